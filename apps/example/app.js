@@ -4,12 +4,25 @@
  * 修复: 使用全局 engine 引用,与原版保持一致
  */
 
-import { MiGPT } from '@mi-gpt/next';
+import { ChatBot, MiGPT, MiSession } from '@mi-gpt/next';
 import { APIServer } from './lib/api-server.js';
-import { loadConfig } from './lib/config-loader.js';
+import {
+  diffConfig,
+  loadConfig,
+  readConfig,
+  resolveSpeakers,
+  watchConfig,
+} from './lib/config-loader.js';
+import { MemoryStore } from './lib/memory-store.js';
 import { MessageHandler } from './lib/message-handler.js';
+import { MQTTBridge } from './lib/mqtt-bridge.js';
+import { PersonaManager } from './lib/persona-manager.js';
 import { ContextProviders, PromptContext } from './lib/prompt-context.js';
+import { Scheduler } from './lib/scheduler.js';
+import { stripSpeechMarkup } from './lib/speech-markup.js';
+import { ToolRegistry } from './lib/tool-registry.js';
 import { TTSService } from './lib/tts-service.js';
+import { WebhookDispatcher } from './lib/webhooks.js';
 
 const AUTHOR_URL_FROM_DEP = 'https://del.wang';
 const AUTHOR_URL = 'https://github.com/huhengbo/migpt-next';
@@ -23,9 +36,176 @@ console.log = (...args) => {
   originalConsoleLog(...patched);
 };
 
+const CONFIG_PATH = './config.yaml';
+
 // ⚡ 全局变量: engine 引用（启动时先绑定 MiGPT 单例，onMessage 中再同步最新引用）
 let globalEngine = null;
 
+/**
+ * 创建 Prompt 上下文管理器 (未启用时返回 null)
+ */
+function createPromptContext(config, memory) {
+  if (!config.promptContext?.enabled) {
+    return null;
+  }
+
+  const promptContext = new PromptContext(config.promptContext);
+  registerContextProviders(promptContext, config, memory);
+
+  console.log('✅ Prompt 模板引擎已初始化');
+  return promptContext;
+}
+
+/**
+ * 注册上下文提供器: 问候语、天气、今日日程、最近对话、长期记忆 (未启用的变量会被移除)
+ */
+function registerContextProviders(promptContext, config, memory) {
+  const { weather, calendar, history, userName, assistantName } = config.promptContext;
+
+  promptContext.set('greeting', ContextProviders.greeting());
+  promptContext.set('hour', ContextProviders.currentHour());
+
+  if (weather?.enabled) {
+    promptContext.set('weather', ContextProviders.weather(weather), {
+      ttlMs: weather.cacheTtlMs,
+      timeoutMs: weather.timeoutMs,
+    });
+  } else {
+    promptContext.delete('weather');
+  }
+
+  if (calendar?.enabled) {
+    promptContext.set('calendar', ContextProviders.calendar(calendar), {
+      ttlMs: calendar.cacheTtlMs,
+      timeoutMs: calendar.timeoutMs,
+    });
+  } else {
+    promptContext.delete('calendar');
+  }
+
+  if (history?.enabled) {
+    // 按时间顺序合并指定会话 (默认全部会话) 的最近消息
+    const getHistory = async (limit) => {
+      await ChatBot.history.load();
+      const sessions = history.sessions?.length ? history.sessions : ChatBot.history.list();
+      return (
+        sessions
+          .flatMap((session) => ChatBot.history.get(session))
+          // 不包含历史摘要
+          .filter((msg) => msg.sender !== 'system')
+          .sort((a, b) => a.timestamp - b.timestamp)
+          .slice(-limit)
+          .map((msg) => ({
+            role: msg.sender === 'user' ? userName || '用户' : assistantName || '助手',
+            content: stripSpeechMarkup(msg.text),
+          }))
+      );
+    };
+    promptContext.set('history', ContextProviders.conversationHistory(getHistory, history.limit));
+  } else {
+    promptContext.delete('history');
+  }
+
+  if (config.memory?.enabled) {
+    promptContext.set(
+      'memory',
+      ContextProviders.memory((query) => memory.search(query)),
+    );
+  } else {
+    promptContext.delete('memory');
+  }
+}
+
+/**
+ * 创建系统 Prompt
+ * 启用模板引擎时每次请求大模型前重新渲染,{{datetime}}、{{greeting}} 等变量不会停留在启动时刻
+ */
+function createSystemPrompt(config, promptContext) {
+  const template = config.ai.systemPrompt;
+  if (!promptContext) {
+    return template;
+  }
+  return (msg) => promptContext.render(template, msg);
+}
+
+/**
+ * 创建工具注册表 (未启用时返回 null)
+ */
+function createToolRegistry(config, getEngine) {
+  if (!config.tools?.enabled) {
+    return null;
+  }
+  const toolRegistry = new ToolRegistry(config, { get: getEngine });
+  console.log(`✅ AI 工具已启用: ${toolRegistry.list().length} 个`);
+  return toolRegistry;
+}
+
+/**
+ * 后台预热 TTS 缓存 (常用语提前合成，不阻塞启动)
+ */
+function warmupTTSCache(ttsService) {
+  ttsService
+    .warmup()
+    .then(({ total, cached, failed }) => {
+      if (total > 0) {
+        console.log(`🔥 TTS 缓存预热完成: ${total} 条 (已缓存 ${cached}, 失败 ${failed})`);
+      }
+    })
+    .catch((error) => {
+      console.warn('⚠️ TTS 缓存预热失败:', error.message);
+    });
+}
+
+/**
+ * 构建 MiGPT 配置
+ */
+function buildMiGPTConfig(config, { systemPrompt, toolRegistry, onMessage }) {
+  return {
+    speaker: {
+      userId: config.speaker.userId,
+      password: config.speaker.password,
+      did: config.speaker.did,
+      passToken: config.speaker.passToken,
+      sessionFile: config.speaker.sessionFile,
+      sessionSecret: config.speaker.sessionSecret,
+      refreshInterval: config.speaker.refreshIntervalMs,
+      endpoints: config.speaker.endpoints,
+    },
+    // 多台音箱: 每台音箱独立轮询消息,账号信息沿用 speaker
+    speakers: resolveSpeakers(config),
+    openai: {
+      baseURL: config.ai.baseURL,
+      apiKey: config.ai.apiKey,
+      model: config.ai.model,
+      timeout: config.ai.timeoutMs,
+      backends: config.ai.backends?.map(({ timeoutMs, ...backend }) => ({
+        ...backend,
+        timeout: timeoutMs,
+      })),
+      routes: config.ai.routes,
+      streamUsage: config.ai.streamUsage,
+      extra: {
+        createParams: {
+          temperature: config.ai.temperature,
+          max_tokens: config.ai.maxTokens,
+        },
+      },
+    },
+    prompt: {
+      system: systemPrompt,
+    },
+    context: {
+      historyMaxLength: config.ai.historyMaxLength,
+      historyMaxTokens: config.ai.historyMaxTokens,
+      summary: config.ai.summary,
+      historyFile: config.ai.historyFile,
+      maxToolRounds: config.tools?.maxRounds,
+    },
+    tools: toolRegistry?.list(),
+    onMessage,
+  };
+}
+
 /**
  * 主函数
  */
@@ -46,90 +226,187 @@ async function main() {
   try {
     // 1. 加载配置
     console.log('📦 加载配置文件...');
-    const config = loadConfig('./config.yaml');
+    let fileConfig = loadConfig(CONFIG_PATH);
     console.log('✅ 配置加载成功');
 
+    // 恢复上次使用的角色: 角色的模型、提示词、音色等覆盖 config.yaml 中的配置
+    const personas = new PersonaManager(fileConfig);
+    await personas.load();
+    let config = personas.apply(fileConfig);
+
+    // 长期记忆 ("记住…" / "忘掉…")，通过 {{memory}} 注入系统提示词
+    const memory = new MemoryStore(config);
+    memory.ask = (prompt) => ChatBot.ask(prompt, { maxTokens: 100, task: 'memory' });
+    await memory.load();
+
     // 2. 创建 TTS 服务
     const ttsService = new TTSService(config);
-    const ttsProvider = ttsService.getProvider();
     if (ttsService.canSynthesize()) {
-      console.log(`✅ TTS 服务已初始化: ${ttsProvider}`);
+      const chain = ttsService.getChain().map((e) => e.name);
+      console.log(`✅ TTS 服务已初始化: ${chain.join(' → ')}`);
+      warmupTTSCache(ttsService);
     } else {
       console.log('✅ TTS 使用小米默认播报');
     }
 
     // 3. 创建 Prompt 上下文管理器
-    let promptContext = null;
-    if (config.promptContext?.enabled) {
-      promptContext = new PromptContext(config.promptContext);
-
-      // 注册内置上下文提供器
-      promptContext.set('greeting', ContextProviders.greeting());
-      promptContext.set('hour', ContextProviders.currentHour());
+    let promptContext = createPromptContext(config, memory);
 
-      console.log('✅ Prompt 模板引擎已初始化');
-    }
-
-    // 4. 渲染系统 Prompt (应用模板变量)
-    let systemPrompt = config.ai.systemPrompt;
-    if (promptContext) {
-      systemPrompt = await promptContext.render(config.ai.systemPrompt);
-      console.log('✅ 系统 Prompt 已渲染');
-    }
+    // 4. 系统 Prompt (每次对话时渲染模板变量)
+    let systemPrompt = createSystemPrompt(config, promptContext);
 
     // 5. 创建 engine 访问器
     // 使用 getter 动态获取全局 engine,避免传递 null
     const getEngine = () => globalEngine;
 
+    // 创建工具注册表 (让 AI 控制音箱和米家设备)
+    let toolRegistry = createToolRegistry(config, getEngine);
+
     // 6. 启动前先绑定 MiGPT 引用，避免 API 在首次消息前返回 Engine not ready
     globalEngine = MiGPT;
 
     // 7. 提前创建 API 服务器和消息处理器
     // 使用工厂函数,延迟访问 engine
     const apiServer = new APIServer(config, { get: getEngine }, ttsService);
+    apiServer.webhooks = new WebhookDispatcher(config);
+    apiServer.personas = personas;
+    apiServer.memory = memory;
     const messageHandler = new MessageHandler(config, { get: getEngine }, apiServer);
     apiServer.start();
 
+    // 启动定时任务 (定时播报、语音提醒)
+    if (config.scheduler?.enabled) {
+      apiServer.scheduler = new Scheduler(config, apiServer);
+      await apiServer.scheduler.start();
+    }
+
+    // 连接 MQTT (发布音箱状态、接收控制指令、Home Assistant 自动发现)
+    let mqttBridge = null;
+    if (config.mqtt?.enabled) {
+      mqttBridge = new MQTTBridge(config, apiServer);
+      await mqttBridge.start();
+    }
+
+    // 消息处理回调
+    async function onMessage(engine, msg) {
+      // 同步最新 engine 引用
+      if (globalEngine !== engine) {
+        globalEngine = engine;
+        console.log('✅ Engine 引用已同步');
+      }
+
+      try {
+        return await messageHandler.handle(msg);
+      } catch (error) {
+        console.error('❌ 消息处理失败:', error);
+        return { handled: true };
+      }
+    }
+
     // 8. 构建 MiGPT 配置
-    const migptConfig = {
-      speaker: {
-        userId: config.speaker.userId,
-        password: config.speaker.password,
-        did: config.speaker.did,
-        passToken: config.speaker.passToken,
-      },
-      openai: {
-        baseURL: config.ai.baseURL,
-        apiKey: config.ai.apiKey,
-        model: config.ai.model,
-        extra: {
-          createParams: {
-            temperature: config.ai.temperature,
-            max_tokens: config.ai.maxTokens,
-          },
-        },
-      },
-      prompt: {
-        system: systemPrompt,
-      },
-      // 消息处理回调
-      async onMessage(engine, msg) {
-        // 同步最新 engine 引用
-        if (globalEngine !== engine) {
-          globalEngine = engine;
-          console.log('✅ Engine 引用已同步');
-        }
-
-        try {
-          return await messageHandler.handle(msg);
-        } catch (error) {
-          console.error('❌ 消息处理失败:', error);
-          return { handled: true };
-        }
-      },
+    let migptConfig = buildMiGPTConfig(config, { systemPrompt, toolRegistry, onMessage });
+
+    // 9. 应用新配置 (热重载、切换角色)
+    // 只有音箱账号/设备变化时才重新登录小米账号,API 端口变化时只重启 HTTP 服务
+    async function applyConfig(next) {
+      const prev = config;
+      config = next;
+
+      messageHandler.updateConfig(next);
+      ttsService.updateConfig(next);
+      // 切换 provider 或音色后缓存 key 会变化
+      warmupTTSCache(ttsService);
+      apiServer.webhooks.updateConfig(next);
+      memory.updateConfig(next);
+
+      if (!next.promptContext?.enabled) {
+        promptContext = null;
+      } else if (promptContext) {
+        promptContext.updateConfig(next.promptContext);
+        registerContextProviders(promptContext, next, memory);
+      } else {
+        promptContext = createPromptContext(next, memory);
+      }
+      systemPrompt = createSystemPrompt(next, promptContext);
+      toolRegistry = createToolRegistry(next, getEngine);
+
+      if (!next.scheduler?.enabled) {
+        apiServer.scheduler?.stop();
+        apiServer.scheduler = null;
+      } else if (apiServer.scheduler) {
+        apiServer.scheduler.updateConfig(next);
+      } else {
+        apiServer.scheduler = new Scheduler(next, apiServer);
+        await apiServer.scheduler.start();
+      }
+
+      await apiServer.updateConfig(next);
+
+      if (!next.mqtt?.enabled) {
+        await mqttBridge?.stop();
+        mqttBridge = null;
+      } else if (mqttBridge) {
+        await mqttBridge.updateConfig(next);
+      } else {
+        mqttBridge = new MQTTBridge(next, apiServer);
+        await mqttBridge.start();
+      }
+
+      migptConfig = buildMiGPTConfig(next, { systemPrompt, toolRegistry, onMessage });
+      const speakerChanges = diffConfig(prev, next, ['speaker', 'speakers']);
+      if (speakerChanges.length > 0) {
+        console.log(`🔄 ${speakerChanges.join(', ')} 已修改,重新登录小米账号...`);
+        MiGPT.restart(migptConfig).catch((error) => {
+          console.error('❌ 重新初始化 Mi 服务失败:', error);
+        });
+      } else {
+        ChatBot.updateConfig(migptConfig);
+      }
+    }
+
+    // 热重载和切换角色按顺序应用,避免同时修改配置
+    let applying = Promise.resolve();
+    const queueApply = (task) => {
+      const run = applying.then(task);
+      applying = run.catch(() => {});
+      return run;
+    };
+
+    // 监听配置文件变化 (热重载)
+    watchConfig(CONFIG_PATH, (next) =>
+      queueApply(async () => {
+        console.log('🔄 检测到配置文件变化,正在应用...');
+        fileConfig = next;
+        personas.updateConfig(next);
+        await applyConfig(personas.apply(next));
+        console.log('✅ 新配置已生效');
+      }),
+    );
+
+    // 切换角色: 更新提示词、模型、音色和进入/退出 AI 模式的回复
+    personas.onChange = async (persona) => {
+      await queueApply(() => applyConfig(personas.apply(fileConfig)));
+      apiServer.webhooks.emit('persona.changed', { persona: persona?.name ?? null });
     };
 
-    // 9. 启动 MiGPT 引擎
+    // 小米账号登录状态变化: 刷新失败或需要验证码时提醒更新 passToken
+    let authStatus = MiSession.state.status;
+    MiSession.onStateChange((state) => {
+      if (state.status === 'refreshing' || state.status === authStatus) {
+        return;
+      }
+      authStatus = state.status;
+      if (state.status === 'captcha') {
+        console.warn('⚠️ 小米账号需要验证码,请更新 speaker.passToken');
+      }
+      apiServer.webhooks.emit('auth.changed', {
+        status: state.status,
+        service: state.service,
+        message: state.message,
+      });
+    });
+
+    // 10. 启动 MiGPT 引擎
     console.log('🚀 启动 MiGPT 引擎...');
     console.log('⏳ 等待 Mi 服务初始化完成...');
     console.log('✅ 系统准备就绪,启动中...');
@@ -160,5 +437,24 @@ for (const signal of ['SIGTERM', 'SIGINT']) {
   });
 }
 
+/**
+ * 只检查配置文件,不启动服务 (node app.js --check-config [config.yaml])
+ */
+function checkConfig(configPath = CONFIG_PATH) {
+  try {
+    readConfig(configPath);
+    console.log(`✅ ${configPath} 检查通过`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // 启动程序
-main();
+const checkIndex = process.argv.indexOf('--check-config');
+if (checkIndex >= 0) {
+  checkConfig(process.argv[checkIndex + 1]);
+} else {
+  main();
+}
@@ -1,6 +1,6 @@
 /**
  * HTTP API 服务器模块
- * 提供外部控制接口: speak, chat, play, audio/info
+ * 提供外部控制接口: speak, chat, play, audio/info, history, schedules, metrics
  */
 
 import { randomUUID } from 'node:crypto';
@@ -8,30 +8,113 @@ import { createReadStream } from 'node:fs';
 import { stat as statPromise } from 'node:fs/promises';
 import { createServer } from 'node:http';
 import { extname, normalize, resolve } from 'node:path';
+import { ChatBot, Metrics, MiSession } from '@mi-gpt/next';
+import { resolveSpeakers } from './config-loader.js';
+import {
+  SpeechMarkupParser,
+  normalizeVoice,
+  parseSpeechMarkup,
+  stripSpeechMarkup,
+} from './speech-markup.js';
+
+const taskWaitMetric = Metrics.histogram('migpt_task_wait_seconds', '任务排队等待时间（秒）');
+const taskDurationMetric = Metrics.histogram('migpt_task_duration_seconds', '任务执行耗时（秒）');
+const queueDepthMetric = Metrics.gauge('migpt_task_queue_depth', '排队和执行中的任务数');
+const ttsDurationMetric = Metrics.histogram(
+  'migpt_tts_synthesis_duration_seconds',
+  'TTS 合成耗时（秒）',
+);
+const ttsFallbackMetric = Metrics.counter(
+  'migpt_tts_fallback_total',
+  'TTS 合成失败回退到小爱播报的次数',
+);
+
+/**
+ * 创建单台音箱的运行状态
+ */
+function createDeviceState(name) {
+  return {
+    name,
+
+    // 任务队列,确保同一台音箱的操作顺序执行
+    taskQueue: Promise.resolve(),
+    queueDepth: 0,
+
+    lastTaskType: null,
+    lastTaskError: null,
+    lastTaskFinishedAt: null,
+
+    lastSpeakMode: null,
+    lastSpeakAt: null,
+
+    lastReply: null,
+    lastReplyAt: null,
+
+    // AI 持续对话模式标志
+    aiConversationMode: false,
+
+    // 播放代次: 每次打断时递增,分段播放的循环据此提前结束
+    playbackGeneration: 0,
+    activeStream: null,
+  };
+}
 
 /**
  * API 服务器类
  */
 export class APIServer {
   constructor(config, engine, ttsService) {
-    this.config = config.api;
     this.engine = engine;
     this.ttsService = ttsService;
-    this.storyConfig = config.story;
+    this.server = null;
 
-    // 任务队列,确保音箱操作顺序执行
-    this.taskQueue = Promise.resolve();
-    this.queueDepth = 0;
+    // 定时任务调度器 (启用 scheduler 时由 app.js 注入)
+    this.scheduler = null;
 
-    this.lastTaskType = null;
-    this.lastTaskError = null;
-    this.lastTaskFinishedAt = null;
+    // Webhook 推送器 (由 app.js 注入)
+    this.webhooks = null;
 
-    this.lastSpeakMode = null;
-    this.lastSpeakAt = null;
+    // 角色管理器 (由 app.js 注入)
+    this.personas = null;
 
-    // AI 持续对话模式标志
-    this.aiConversationMode = false;
+    // 长期记忆 (由 app.js 注入)
+    this.memory = null;
+
+    // 每台音箱独立的任务队列和播放状态 (第一台为默认音箱)
+    this.devices = new Map();
+
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    this.config = config.api;
+    this.storyConfig = config.story;
+
+    // 流式回复: 边生成边合成边播放 (默认开启)
+    this.streamReply = config.ai?.stream !== false;
+    this.streamTimeoutMs = config.ai?.streamTimeoutMs ?? 600000;
+
+    // 保留已有音箱的任务队列和状态
+    this.devices = new Map(
+      resolveSpeakers(config).map(({ name }) => [
+        name,
+        this.devices.get(name) ?? createDeviceState(name),
+      ]),
+    );
+  }
+
+  /**
+   * 应用新配置 (热重载)
+   * 只有 enabled/host/port 变化时才重启 HTTP 服务
+   */
+  async updateConfig(config) {
+    const prev = this.config;
+    this.applyConfig(config);
+
+    if (['enabled', 'host', 'port'].some((key) => prev[key] !== this.config[key])) {
+      await this.stop();
+      this.start();
+    }
   }
 
   /**
@@ -43,7 +126,16 @@ export class APIServer {
       return;
     }
 
-    const server = createServer((req, res) => this.handleRequest(req, res));
+    const server = createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        console.error('❌ 处理请求失败:', error);
+        if (!res.headersSent) {
+          this.writeJson(res, 500, { ok: false, error: error.message || 'Internal Server Error' });
+        } else {
+          res.end();
+        }
+      });
+    });
 
     server.listen(this.config.port, this.config.host, () => {
       const paths = Object.values(this.config.paths).join(', ');
@@ -51,9 +143,22 @@ export class APIServer {
       console.log(`   接口路径: ${paths}`);
     });
 
+    this.server = server;
     return server;
   }
 
+  /**
+   * 停止 HTTP 服务 (等待进行中的请求结束)
+   */
+  async stop() {
+    const server = this.server;
+    this.server = null;
+    if (!server) {
+      return;
+    }
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
   /**
    * 处理 HTTP 请求
    */
@@ -64,27 +169,85 @@ export class APIServer {
     // 健康检查接口 (无需鉴权)
     if (pathname === this.config.paths.health) {
       const engine = this.engine?.get?.();
+      const describe = (state) => ({
+        aiMode: state.aiConversationMode,
+        queueDepth: state.queueDepth,
+        lastTaskType: state.lastTaskType,
+        lastTaskFinishedAt: state.lastTaskFinishedAt,
+        lastTaskError: state.lastTaskError,
+        lastSpeakMode: state.lastSpeakMode,
+        lastSpeakAt: state.lastSpeakAt,
+      });
       return this.writeJson(res, 200, {
         ok: true,
         status: 'running',
-        aiMode: this.aiConversationMode,
         engineReady: Boolean(engine?.MiNA && engine.MiOT),
         ttsProvider: this.ttsService?.getProvider?.() || 'xiaomi',
-        queueDepth: this.queueDepth,
-        lastTaskType: this.lastTaskType,
-        lastTaskFinishedAt: this.lastTaskFinishedAt,
-        lastTaskError: this.lastTaskError,
-        lastSpeakMode: this.lastSpeakMode,
-        lastSpeakAt: this.lastSpeakAt,
+        persona: this.personas?.active?.name ?? null,
+        // 小米账号登录状态 (failed / captcha 时需要检查账号或更新 passToken)
+        auth: {
+          status: MiSession.state.status,
+          message: MiSession.state.message ?? null,
+          loginAt: MiSession.state.loginAt ?? null,
+          refreshAt: MiSession.state.refreshAt ?? null,
+        },
+        // 故障转移链和各 provider 的成功/失败统计、熔断状态
+        tts: this.ttsService?.getHealth?.(),
+        // 顶层字段为默认音箱的状态
+        ...describe(this.getDeviceState()),
+        devices: Array.from(this.devices.values()).map((state) => ({
+          name: state.name,
+          ...describe(state),
+        })),
         timestamp: Date.now(),
       });
     }
 
+    // Prometheus 指标接口 (GET,需要鉴权)
+    if (req.method === 'GET' && pathname === this.config.paths.metrics) {
+      if (!this.validateAuth(req)) {
+        return this.writeJson(res, 401, { ok: false, error: 'Unauthorized' });
+      }
+      return this.handleMetrics(res);
+    }
+
     // 音频文件接口 (GET 请求,无需鉴权)
     if (req.method === 'GET' && pathname.startsWith(this.config.paths.audioInfo)) {
       return this.handleAudioStream(req, res, pathname);
     }
 
+    // 对话历史接口 (GET/DELETE,需要鉴权)
+    if (this.isHistoryPath(pathname)) {
+      if (!this.validateAuth(req)) {
+        return this.writeJson(res, 401, { ok: false, error: 'Unauthorized' });
+      }
+      return this.handleHistory(req, res, url);
+    }
+
+    // 定时任务接口 (GET/POST/DELETE,需要鉴权)
+    if (this.scheduler && this.matchesPath(pathname, this.config.paths.schedules)) {
+      if (!this.validateAuth(req)) {
+        return this.writeJson(res, 401, { ok: false, error: 'Unauthorized' });
+      }
+      return this.handleSchedules(req, res, pathname);
+    }
+
+    // 角色接口 (GET/POST,需要鉴权)
+    if (this.personas && pathname === this.config.paths.persona) {
+      if (!this.validateAuth(req)) {
+        return this.writeJson(res, 401, { ok: false, error: 'Unauthorized' });
+      }
+      return this.handlePersona(req, res);
+    }
+
+    // 长期记忆接口 (GET/POST/DELETE,需要鉴权)
+    if (this.memory?.enabled && this.matchesPath(pathname, this.config.paths.memory)) {
+      if (!this.validateAuth(req)) {
+        return this.writeJson(res, 401, { ok: false, error: 'Unauthorized' });
+      }
+      return this.handleMemory(req, res, url);
+    }
+
     // 其他接口需要 POST 方法
     if (req.method !== 'POST') {
       return this.writeJson(res, 404, { ok: false, error: 'Not Found' });
@@ -134,7 +297,7 @@ export class APIServer {
 
   /**
    * 处理 /api/speak - 让音箱说话
-   * Body: { text: string, interrupt?: boolean, storyMode?: boolean }
+   * Body: { text: string, device?: string, interrupt?: boolean, storyMode?: boolean, voice?: string|object }
    */
   async handleSpeak(body) {
     const text = String(body?.text || '').trim();
@@ -142,24 +305,29 @@ export class APIServer {
       throw new Error('text is required');
     }
 
+    const devices = this.resolveDeviceNames(body?.device, { allowAll: true });
     const interrupt = body?.interrupt !== false;
     const storyMode = body?.storyMode === true;
+    const voice = normalizeVoice(body?.voice);
 
-    const mode = await this.enqueueTask(() => this.speakByText(text, { interrupt, storyMode }), {
-      type: 'api:speak',
-    });
+    const result = await this.runOnDevices(devices, (device) =>
+      this.enqueueTask(() => this.speakByText(text, { device, interrupt, storyMode, voice }), {
+        type: 'api:speak',
+        device,
+      }),
+    );
 
     return {
       ok: true,
       type: 'speak',
-      mode,
+      ...result,
       text,
     };
   }
 
   /**
    * 处理 /api/chat - 与 AI 对话并播报
-   * Body: { text: string, interrupt?: boolean, storyMode?: boolean }
+   * Body: { text: string, device?: string, interrupt?: boolean, storyMode?: boolean, session?: string, voice?: string|object }
    */
   async handleChat(body) {
     const text = String(body?.text || '').trim();
@@ -167,16 +335,21 @@ export class APIServer {
       throw new Error('text is required');
     }
 
+    const [device] = this.resolveDeviceNames(body?.device);
     const interrupt = body?.interrupt !== false;
     const storyMode = body?.storyMode === true;
+    const session = String(body?.session || '').trim() || this.getSession('api', device);
+    const voice = normalizeVoice(body?.voice);
 
-    const result = await this.enqueueTask(() => this.askAndSpeak(text, { interrupt, storyMode }), {
-      type: 'api:chat',
-    });
+    const result = await this.enqueueTask(
+      () => this.askAndSpeak(text, { device, interrupt, storyMode, session, voice }),
+      { type: 'api:chat', device },
+    );
 
     return {
       ok: true,
       type: 'chat',
+      device,
       mode: result.mode,
       replyText: result.replyText,
     };
@@ -184,7 +357,7 @@ export class APIServer {
 
   /**
    * 处理 /api/play - 播放指定音频
-   * Body: { url: string, interrupt?: boolean, blocking?: boolean }
+   * Body: { url: string, device?: string, interrupt?: boolean, blocking?: boolean }
    */
   async handlePlay(body) {
     const url = String(body?.url || '').trim();
@@ -192,21 +365,66 @@ export class APIServer {
       throw new Error('url is required');
     }
 
+    const devices = this.resolveDeviceNames(body?.device, { allowAll: true });
     const interrupt = body?.interrupt !== false;
     const blocking = body?.blocking === true;
 
-    const mode = await this.enqueueTask(() => this.playByUrl(url, { interrupt, blocking }), {
-      type: 'api:play',
-    });
+    const result = await this.runOnDevices(devices, (device) =>
+      this.enqueueTask(() => this.playByUrl(url, { device, interrupt, blocking }), {
+        type: 'api:play',
+        device,
+      }),
+    );
 
     return {
       ok: true,
       type: 'play',
-      mode,
+      ...result,
       url,
     };
   }
 
+  /**
+   * 解析请求中的 device 参数
+   * 不传时使用默认音箱, all 表示全部音箱 (仅用于播报类接口)
+   */
+  resolveDeviceNames(device, { allowAll = false } = {}) {
+    const name = String(device ?? '').trim();
+    if (!name) {
+      return [this.getDeviceState().name];
+    }
+    if (name === 'all') {
+      if (!allowAll) {
+        throw new Error('device=all is not supported by this endpoint');
+      }
+      return Array.from(this.devices.keys());
+    }
+    if (!this.devices.has(name)) {
+      throw new Error(`Unknown device: ${name}`);
+    }
+    return [name];
+  }
+
+  /**
+   * 在一台或多台音箱上执行任务
+   * 广播时单台音箱失败不影响其他音箱, 结果按音箱分别返回
+   */
+  async runOnDevices(devices, run) {
+    if (devices.length === 1) {
+      return { device: devices[0], mode: await run(devices[0]) };
+    }
+
+    const results = await Promise.allSettled(devices.map(run));
+    return {
+      mode: 'broadcast',
+      devices: results.map((result, index) =>
+        result.status === 'fulfilled'
+          ? { device: devices[index], mode: result.value }
+          : { device: devices[index], error: result.reason?.message || String(result.reason) },
+      ),
+    };
+  }
+
   /**
    * 处理音频文件流 (GET /api/audio/:filename)
    * 直接返回文件流,类似 nginx 静态服务
@@ -245,6 +463,7 @@ export class APIServer {
         '.wav': 'audio/wav',
         '.ogg': 'audio/ogg',
         '.m4a': 'audio/mp4',
+        '.aac': 'audio/aac',
         '.flac': 'audio/flac',
       };
       const mimeType = mimeTypes[ext] || 'application/octet-stream';
@@ -277,6 +496,229 @@ export class APIServer {
     }
   }
 
+  /**
+   * 处理 /api/metrics - 导出 Prometheus 文本格式的运行指标
+   */
+  handleMetrics(res) {
+    for (const state of this.devices.values()) {
+      queueDepthMetric.set({ device: state.name }, state.queueDepth);
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(Metrics.toPrometheus());
+  }
+
+  isHistoryPath(pathname) {
+    return this.matchesPath(pathname, this.config.paths.history);
+  }
+
+  matchesPath(pathname, basePath) {
+    return Boolean(basePath) && (pathname === basePath || pathname.startsWith(`${basePath}/`));
+  }
+
+  /**
+   * 处理对话历史接口
+   *
+   * - GET    /api/history                     列出所有会话
+   * - GET    /api/history/:session?from=&to=  获取会话消息
+   * - GET    /api/history/export?session=&from=&to=  导出为 JSON 文件
+   * - DELETE /api/history[/:session]          清空会话（不指定则清空全部）
+   */
+  async handleHistory(req, res, url) {
+    const historyPath = this.config.paths.history;
+    const exportPath = `${historyPath}/export`;
+
+    let session;
+    let range;
+    try {
+      session = decodeURIComponent(url.pathname.slice(historyPath.length + 1));
+      range = this.parseTimeRange(url.searchParams);
+    } catch (error) {
+      return this.writeJson(res, 400, { ok: false, error: error.message });
+    }
+
+    await ChatBot.history.load();
+
+    if (req.method === 'GET' && url.pathname === exportPath) {
+      const sessionFilter = url.searchParams.get('session');
+      const sessions = ChatBot.history
+        .list()
+        .filter((name) => !sessionFilter || name === sessionFilter)
+        .map((name) => ({ session: name, messages: this.filterMessages(name, range) }));
+      const filename = `history-${new Date().toISOString().slice(0, 10)}.json`;
+      res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      });
+      res.end(JSON.stringify({ exportedAt: Date.now(), ...range, sessions }, null, 2));
+      return;
+    }
+
+    if (req.method === 'GET' && !session) {
+      const sessions = ChatBot.history.list().map((name) => {
+        const messages = this.filterMessages(name, range);
+        return {
+          session: name,
+          count: messages.length,
+          firstAt: messages[0]?.timestamp ?? null,
+          lastAt: messages[messages.length - 1]?.timestamp ?? null,
+        };
+      });
+      return this.writeJson(res, 200, { ok: true, sessions });
+    }
+
+    if (req.method === 'GET') {
+      const messages = this.filterMessages(session, range);
+      return this.writeJson(res, 200, { ok: true, session, count: messages.length, messages });
+    }
+
+    if (req.method === 'DELETE') {
+      await ChatBot.history.clear(session || undefined);
+      return this.writeJson(res, 200, { ok: true, cleared: session || 'all' });
+    }
+
+    return this.writeJson(res, 405, { ok: false, error: 'Method Not Allowed' });
+  }
+
+  /**
+   * 处理定时任务接口
+   *
+   * - GET    /api/schedules       列出所有任务
+   * - POST   /api/schedules       新建任务 { name?, action?, text?, url?, device?, cron? | at? | delay? }
+   * - DELETE /api/schedules/:id   删除任务
+   */
+  async handleSchedules(req, res, pathname) {
+    try {
+      const id = decodeURIComponent(pathname.slice(this.config.paths.schedules.length + 1));
+
+      if (req.method === 'GET' && !id) {
+        return this.writeJson(res, 200, { ok: true, jobs: this.scheduler.list() });
+      }
+
+      if (req.method === 'POST' && !id) {
+        const job = await this.scheduler.add(await this.readBody(req));
+        return this.writeJson(res, 200, { ok: true, job });
+      }
+
+      if (req.method === 'DELETE' && id) {
+        const removed = await this.scheduler.remove(id);
+        if (!removed) {
+          return this.writeJson(res, 404, { ok: false, error: 'Job not found' });
+        }
+        return this.writeJson(res, 200, { ok: true, removed: id });
+      }
+    } catch (error) {
+      return this.writeJson(res, 400, { ok: false, error: error.message });
+    }
+
+    return this.writeJson(res, 405, { ok: false, error: 'Method Not Allowed' });
+  }
+
+  /**
+   * 处理角色接口
+   *
+   * - GET  /api/persona   列出所有角色和当前角色
+   * - POST /api/persona   切换角色 { name: string } (默认角色的名称或 default 表示回到默认角色)
+   */
+  async handlePersona(req, res) {
+    try {
+      if (req.method === 'GET') {
+        return this.writeJson(res, 200, {
+          ok: true,
+          active: this.personas.active?.name ?? this.personas.defaultName,
+          personas: this.personas.list(),
+        });
+      }
+
+      if (req.method === 'POST') {
+        const body = await this.readBody(req);
+        const name = String(body?.name || '').trim();
+        if (!name) {
+          throw new Error('name is required');
+        }
+        if (!this.personas.isDefault(name) && !this.personas.find(name)) {
+          return this.writeJson(res, 404, { ok: false, error: 'Persona not found' });
+        }
+        const persona = await this.personas.switch(name);
+        return this.writeJson(res, 200, {
+          ok: true,
+          active: persona?.name ?? this.personas.defaultName,
+        });
+      }
+    } catch (error) {
+      return this.writeJson(res, 400, { ok: false, error: error.message });
+    }
+
+    return this.writeJson(res, 405, { ok: false, error: 'Method Not Allowed' });
+  }
+
+  /**
+   * 处理长期记忆接口
+   *
+   * - GET    /api/memory          列出所有记忆，?q=关键词 按相关度查找
+   * - POST   /api/memory          新增记忆 { text: string }
+   * - DELETE /api/memory/:id      删除一条记忆
+   * - DELETE /api/memory          删除所有记忆
+   */
+  async handleMemory(req, res, url) {
+    try {
+      const id = decodeURIComponent(url.pathname.slice(this.config.paths.memory.length + 1));
+
+      if (req.method === 'GET' && !id) {
+        const query = url.searchParams.get('q');
+        const facts = query
+          ? this.memory.search(query, Number(url.searchParams.get('limit')) || undefined)
+          : this.memory.list();
+        return this.writeJson(res, 200, { ok: true, count: facts.length, facts });
+      }
+
+      if (req.method === 'POST' && !id) {
+        const body = await this.readBody(req);
+        const fact = await this.memory.add(String(body?.text || ''), 'api');
+        return this.writeJson(res, 200, { ok: true, fact });
+      }
+
+      if (req.method === 'DELETE' && id) {
+        const removed = await this.memory.remove(id);
+        if (!removed) {
+          return this.writeJson(res, 404, { ok: false, error: 'Fact not found' });
+        }
+        return this.writeJson(res, 200, { ok: true, removed: id });
+      }
+
+      if (req.method === 'DELETE') {
+        await this.memory.clear();
+        return this.writeJson(res, 200, { ok: true, cleared: 'all' });
+      }
+    } catch (error) {
+      return this.writeJson(res, 400, { ok: false, error: error.message });
+    }
+
+    return this.writeJson(res, 405, { ok: false, error: 'Method Not Allowed' });
+  }
+
+  /**
+   * 解析时间范围参数 (毫秒时间戳或 ISO 日期)
+   */
+  parseTimeRange(searchParams) {
+    const parse = (key) => {
+      const raw = searchParams.get(key);
+      if (!raw) return null;
+      const value = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+      if (Number.isNaN(value)) {
+        throw new Error(`Invalid ${key}: ${raw}`);
+      }
+      return value;
+    };
+    return { from: parse('from'), to: parse('to') };
+  }
+
+  filterMessages(session, { from, to }) {
+    return ChatBot.history
+      .get(session)
+      .filter((m) => (from == null || m.timestamp >= from) && (to == null || m.timestamp <= to))
+      .map(({ id, sender, text, timestamp }) => ({ id, sender, text, timestamp }));
+  }
+
   getEngineOrThrow() {
     const engine = this.engine?.get?.();
     if (!engine || !engine.MiNA || !engine.MiOT) {
@@ -285,70 +727,203 @@ export class APIServer {
     return engine;
   }
 
+  /**
+   * 获取音箱的运行状态, 找不到时返回默认音箱
+   */
+  getDeviceState(device) {
+    return this.devices.get(device) ?? this.devices.values().next().value;
+  }
+
+  /**
+   * 获取音箱实例 (包含 speaker、MiNA、MiOT)
+   */
+  getDeviceOrThrow(device) {
+    const engine = this.getEngineOrThrow();
+    const target = engine.getDevice?.(this.getDeviceState(device).name) ?? engine;
+    if (!target.MiNA || !target.MiOT) {
+      throw new Error(`Device not ready: ${device}`);
+    }
+    return target;
+  }
+
+  /**
+   * 获取音箱对应的会话名称, 每台音箱、每个角色的对话上下文相互独立
+   * 默认音箱和默认角色沿用原有的会话名称
+   */
+  getSession(prefix, device) {
+    const state = this.getDeviceState(device);
+    const session = state === this.getDeviceState() ? prefix : `${prefix}:${state.name}`;
+    return session + (this.personas?.getSessionSuffix() ?? '');
+  }
+
   /**
    * 让音箱说话 (TTS)
+   * 文本中的 <voice>/<prosody>/<break> 标记会拆成多段，每段使用各自的音色和语速
+   * @param {string} text
+   * @param {{ device?: string, interrupt?: boolean, storyMode?: boolean, voice?: object }} options
    */
   async speakByText(text, options = {}) {
-    const { interrupt = false, storyMode = false } = options;
-    const engine = this.getEngineOrThrow();
+    const { device, interrupt = false, storyMode = false, voice } = options;
+    const state = this.getDeviceState(device);
+    const { speaker } = this.getDeviceOrThrow(state.name);
 
     if (interrupt) {
-      await engine.speaker.abortXiaoAI();
+      await speaker.abortXiaoAI();
     }
 
     const ttsProvider = this.ttsService?.getProvider?.() || 'xiaomi';
+    const segments = parseSpeechMarkup(text, voice);
 
-    // 外部 TTS（如豆包/火山）
+    // 外部 TTS（如豆包/火山），按故障转移链依次尝试
     if (this.ttsService?.canSynthesize?.()) {
-      try {
-        if (storyMode) {
-          await this.speakStoryMode(text);
-          this.lastSpeakMode = `tts:${ttsProvider}:story`;
-          this.lastSpeakAt = Date.now();
-          return this.lastSpeakMode;
+      // 多段播放: 合成失败的段落单独回退到小爱 TTS，已播放的段落不会重复播放
+      if (storyMode || segments.length > 1) {
+        const { provider, fallback } = await this.speakSegments(segments, state.name, {
+          storyMode,
+        });
+        let mode = storyMode ? `tts:${provider}:story` : `tts:${provider}`;
+        if (fallback) {
+          mode += ':fallback';
         }
+        state.lastSpeakMode = mode;
+        state.lastSpeakAt = Date.now();
+        return mode;
+      }
 
-        const audioUrl = await this.ttsService.synthesize(text);
-        await engine.speaker.play({ url: audioUrl });
-        this.lastSpeakMode = `tts:${ttsProvider}`;
-        this.lastSpeakAt = Date.now();
-        return this.lastSpeakMode;
+      try {
+        const { url, provider } = await this.synthesize(segments[0]?.text ?? text, {
+          voice: segments[0]?.voice,
+        });
+        await speaker.play({ url });
+        state.lastSpeakMode = `tts:${provider}`;
+        state.lastSpeakAt = Date.now();
+        return state.lastSpeakMode;
       } catch (error) {
         console.warn(`TTS(${ttsProvider}) 合成失败,回退到小爱 TTS:`, error.message);
+        this.reportTTSFallback(state.name, 'speak', error);
       }
     }
 
-    // 小米默认播报
-    await engine.speaker.play({ text });
-    this.lastSpeakMode = 'xiaomi';
-    this.lastSpeakAt = Date.now();
+    // 小米默认播报 (不支持切换音色，去掉标记)
+    await speaker.play({ text: stripSpeechMarkup(text) });
+    state.lastSpeakMode = 'xiaomi';
+    state.lastSpeakAt = Date.now();
     return 'xiaomi';
   }
 
   /**
-   * 故事模式播放 (分段合成和播放)
+   * 调用外部 TTS 合成音频,记录合成耗时
+   * @param {string} text
+   * @param {{ prefer?: string, voice?: object }} [options] - prefer: 优先使用的 provider (保持分段播放的音色一致); voice: 音色和语速
+   * @returns {Promise<{ url: string, provider: string, cached: boolean }>}
    */
-  async speakStoryMode(text) {
-    const engine = this.getEngineOrThrow();
+  async synthesize(text, options = {}) {
+    const stopTimer = ttsDurationMetric.startTimer();
+    try {
+      const result = await this.ttsService.synthesizeAudio(text, options);
+      stopTimer({ provider: result.provider, status: result.cached ? 'cached' : 'ok' });
+      return result;
+    } catch (error) {
+      stopTimer({ provider: this.ttsService.getProvider(), status: 'error' });
+      throw error;
+    }
+  }
+
+  /**
+   * 立即打断当前播放 (不进入任务队列)
+   * 正在进行的故事模式、流式回复会在当前段落后停止
+   */
+  async interrupt(device) {
+    const state = this.getDeviceState(device);
+    state.playbackGeneration += 1;
+    state.activeStream?.cancel();
+
+    const { speaker } = this.getDeviceOrThrow(state.name);
+    try {
+      return await speaker.abortXiaoAI();
+    } catch (error) {
+      console.warn('打断播放失败:', error.message);
+      return false;
+    }
+  }
+
+  isInterrupted(device, generation) {
+    return generation !== this.getDeviceState(device).playbackGeneration;
+  }
+
+  /**
+   * 分段合成和播放 (故事模式、带语音标记的文本)
+   * 下一段在上一段播放期间合成; 故事模式下每段再按 story 配置切分
+   * @param {import('./speech-markup.js').SpeechSegment[]} segments
+   * @returns {Promise<string>} 使用的 TTS provider
+   */
+  async speakSegments(segments, device, { storyMode = false } = {}) {
+    const { speaker } = this.getDeviceOrThrow(device);
+    const generation = this.getDeviceState(device).playbackGeneration;
 
     const firstChunkMaxChars = this.storyConfig.firstChunkMaxChars;
     const normalChunkMaxChars = this.storyConfig.normalChunkMaxChars || firstChunkMaxChars;
-    const chunks = this.splitTextForStory(text, firstChunkMaxChars, normalChunkMaxChars);
+    const pieces = [];
+    for (const segment of segments) {
+      if (segment.pauseMs || !storyMode) {
+        pieces.push(segment);
+        continue;
+      }
+      const firstLimit = pieces.length === 0 ? firstChunkMaxChars : normalChunkMaxChars;
+      for (const chunk of this.splitTextForStory(segment.text, firstLimit, normalChunkMaxChars)) {
+        pieces.push({ text: chunk, voice: segment.voice });
+      }
+    }
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      const audioUrl = await this.ttsService.synthesize(chunk);
+    let provider;
+    let fallback = false;
+    let started = false;
+    for (const piece of pieces) {
+      if (piece.pauseMs) {
+        if (started) {
+          await this.waitForAudioComplete(device, generation);
+          await new Promise((resolve) => setTimeout(resolve, piece.pauseMs));
+        }
+        continue;
+      }
+
+      let payload;
+      try {
+        const result = await this.synthesize(piece.text, { prefer: provider, voice: piece.voice });
+        provider = result.provider;
+        payload = { url: result.url };
+      } catch (error) {
+        const ttsProvider = this.ttsService.getProvider();
+        console.warn(`TTS(${ttsProvider}) 合成失败,本段回退到小爱 TTS:`, error.message);
+        this.reportTTSFallback(device, storyMode ? 'story' : 'speak', error);
+        fallback = true;
+        payload = { text: piece.text };
+      }
+      if (this.isInterrupted(device, generation)) {
+        break;
+      }
 
       // 第一段立即播放,后续等待播放完成
-      if (i === 0) {
-        await engine.speaker.play({ url: audioUrl });
-      } else {
-        await this.waitForAudioComplete();
-        await engine.speaker.play({ url: audioUrl });
+      if (started) {
+        await this.waitForAudioComplete(device, generation);
+        if (this.isInterrupted(device, generation)) {
+          break;
+        }
       }
+      await speaker.play(payload);
+      started = true;
     }
 
-    return 'story';
+    return { provider: provider ?? this.ttsService.getProvider(), fallback };
+  }
+
+  /**
+   * 记录外部 TTS 合成失败、回退到小爱 TTS
+   */
+  reportTTSFallback(device, mode, error) {
+    const provider = this.ttsService?.getProvider?.() || 'xiaomi';
+    ttsFallbackMetric.inc({ provider, mode });
+    this.webhooks?.emit('tts.fallback', { device, provider, mode, error: error.message });
   }
 
   /**
@@ -379,18 +954,21 @@ export class APIServer {
   }
 
   /**
-   * 等待音频播放完成
+   * 等待音频播放完成 (被打断时立即返回)
    */
-  async waitForAudioComplete() {
-    const engine = this.getEngineOrThrow();
+  async waitForAudioComplete(device, generation = this.getDeviceState(device).playbackGeneration) {
+    const { speaker } = this.getDeviceOrThrow(device);
 
     const interval = this.storyConfig.pollIntervalMs;
     const timeout = this.storyConfig.waitTimeoutMs;
     const startTime = Date.now();
 
     while (Date.now() - startTime < timeout) {
-      const status = await engine.speaker.getPlayingStatus();
-      if (!status.is_playing) {
+      if (this.isInterrupted(device, generation)) {
+        return;
+      }
+      const status = await speaker.getPlayingStatus();
+      if (!status.isPlaying) {
         return;
       }
       await new Promise((resolve) => setTimeout(resolve, interval));
@@ -400,81 +978,228 @@ export class APIServer {
   }
 
   /**
-   * 询问 AI 并播报回答
+   * 流式播报 AI 回复
+   * 下一段在上一段播放期间合成,减少首句等待和段间停顿
+   * @param {object} stream
+   * @param {string} device
+   * @param {object} [voice] - 默认音色，回复中的语音标记可以覆盖
    */
-  async askAndSpeak(text, options = {}) {
-    const engine = this.getEngineOrThrow();
+  async speakStream(stream, device, voice) {
+    const state = this.getDeviceState(device);
+    const { speaker } = this.getDeviceOrThrow(state.name);
+    const generation = state.playbackGeneration;
+    state.activeStream = stream;
+    const ttsProvider = this.ttsService?.getProvider?.() || 'xiaomi';
+    const useTTS = this.ttsService?.canSynthesize?.();
+    const parser = new SpeechMarkupParser(voice);
+
+    let provider = ttsProvider;
+    let fallback = false;
+    let playing = Promise.resolve();
+    let done = false;
+    const deadline = Date.now() + this.streamTimeoutMs;
+
+    while (!done) {
+      if (Date.now() > deadline) {
+        console.warn(`⚠️ 流式回复超过 ${this.streamTimeoutMs}ms，停止播报`);
+        stream.cancel();
+        break;
+      }
+      const { next, noMore } = stream.read();
+      let segments;
+      if (next) {
+        segments = parser.feed(next);
+      } else if (noMore) {
+        segments = parser.end();
+        done = true;
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        continue;
+      }
+
+      for (const segment of segments) {
+        if (segment.pauseMs) {
+          playing = playing.then(
+            () => new Promise((resolve) => setTimeout(resolve, segment.pauseMs)),
+          );
+          continue;
+        }
 
-    const { interrupt = false, storyMode = false } = options;
+        let payload = { text: segment.text };
+        if (useTTS) {
+          try {
+            const result = await this.synthesize(segment.text, {
+              prefer: provider,
+              voice: segment.voice,
+            });
+            payload = { url: result.url };
+            provider = result.provider;
+          } catch (error) {
+            console.warn(`TTS(${ttsProvider}) 合成失败,本段回退到小爱 TTS:`, error.message);
+            this.reportTTSFallback(state.name, 'stream', error);
+            fallback = true;
+          }
+        }
 
-    if (interrupt) {
-      await engine.speaker.abortXiaoAI();
+        await playing;
+        if (this.isInterrupted(state.name, generation)) {
+          stream.cancel();
+          done = true;
+          break;
+        }
+        playing = speaker.play({ ...payload, blocking: true });
+      }
     }
 
-    // 调用 AI（@mi-gpt/chat 需要完整消息结构，至少包含 sender）
-    const aiResponse = await engine.askAI({
-      id: randomUUID(),
-      sender: 'user',
-      text,
-      timestamp: Date.now(),
+    await playing;
+    if (state.activeStream === stream) {
+      state.activeStream = null;
+    }
+    let mode = useTTS ? `tts:${provider}:stream` : 'xiaomi:stream';
+    if (fallback) {
+      mode += ':fallback';
+    }
+    state.lastSpeakMode = mode;
+    state.lastSpeakAt = Date.now();
+    return mode;
+  }
+
+  /**
+   * 记录音箱最近一次 AI 回复,并推送 ai.reply 事件
+   */
+  recordAIReply(message, replyText, { device, storyMode }) {
+    const state = this.getDeviceState(device);
+    state.lastReply = replyText;
+    state.lastReplyAt = Date.now();
+    this.webhooks?.emit('ai.reply', {
+      device: state.name,
+      session: message.session,
+      question: message.text,
+      reply: replyText,
+      storyMode,
     });
-    const replyText = aiResponse.text || '';
+  }
 
-    if (!replyText) {
-      return { mode: null, replyText: '' };
+  /**
+   * 调用 AI 并播报回答
+   * 回复中的语音标记按段切换音色，返回和记录的 replyText 为去掉标记的纯文本
+   * @param {object} message - 完整消息结构 { id, sender, text, timestamp, session, device, task? }
+   * @param {{ device?: string, storyMode?: boolean, voice?: object }} options - voice 默认为 story.voice (故事模式)
+   */
+  async replyByAI(message, options = {}) {
+    const engine = this.getEngineOrThrow();
+    const { device = message.device, storyMode = false } = options;
+    // 按任务类型选择大模型服务 (ai.routes)
+    message.task ??= storyMode ? 'story' : 'chat';
+    const voice = options.voice ?? (storyMode ? normalizeVoice(this.storyConfig.voice) : undefined);
+
+    if (!this.streamReply) {
+      const aiResponse = await engine.askAI(message);
+      const rawReply = aiResponse.text || '';
+      const replyText = stripSpeechMarkup(rawReply);
+      if (!replyText) {
+        return { mode: null, replyText: '' };
+      }
+      this.recordAIReply(message, replyText, { device, storyMode });
+      const mode = await this.speakByText(rawReply, { device, interrupt: false, storyMode, voice });
+      return { mode, replyText };
     }
 
-    // 播报回答
-    const mode = await this.speakByText(replyText, { interrupt: false, storyMode });
+    let failed = false;
+    const stream = await ChatBot.chatWithStream(message, async () => {
+      failed = true;
+    });
+    const mode = await this.speakStream(stream, device, voice);
+    const replyText = stripSpeechMarkup((await stream.result()) || '');
 
-    return { mode, replyText };
+    if (replyText) {
+      this.recordAIReply(message, replyText, { device, storyMode });
+    } else if (failed) {
+      await this.speakByText('出错了，请稍后再试吧！', { device, interrupt: false });
+    }
+
+    return { mode: replyText ? mode : null, replyText };
+  }
+
+  /**
+   * 询问 AI 并播报回答
+   */
+  async askAndSpeak(text, options = {}) {
+    const { device, interrupt = false, storyMode = false, voice } = options;
+    const { session = this.getSession('api', device) } = options;
+    const { speaker } = this.getDeviceOrThrow(device);
+
+    if (interrupt) {
+      await speaker.abortXiaoAI();
+    }
+
+    // 调用 AI（@mi-gpt/chat 需要完整消息结构，至少包含 sender）
+    return this.replyByAI(
+      {
+        id: randomUUID(),
+        sender: 'user',
+        text,
+        timestamp: Date.now(),
+        session,
+        device: this.getDeviceState(device).name,
+      },
+      { storyMode, voice },
+    );
   }
 
   /**
    * 播放指定 URL 的音频
    */
   async playByUrl(url, options = {}) {
-    const engine = this.getEngineOrThrow();
-
-    const { interrupt = false, blocking = false } = options;
+    const { device, interrupt = false, blocking = false } = options;
+    const { speaker } = this.getDeviceOrThrow(device);
 
     if (interrupt) {
-      await engine.speaker.abortXiaoAI();
+      await speaker.abortXiaoAI();
     }
 
-    await engine.speaker.play({ url, blocking });
+    await speaker.play({ url, blocking });
     return 'url';
   }
 
   /**
-   * 将任务加入队列顺序执行
+   * 将任务加入音箱的任务队列顺序执行 (不同音箱的队列互不阻塞)
+   * @param {Function} task - 任务函数
+   * @param {string|{ type?: string, device?: string }} meta - 任务类型和目标音箱
    */
   async enqueueTask(task, meta = {}) {
     const taskType = typeof meta === 'string' ? meta : meta.type || 'task';
+    const state = this.getDeviceState(meta?.device);
 
-    this.queueDepth += 1;
+    state.queueDepth += 1;
+    const stopWaitTimer = taskWaitMetric.startTimer({ type: taskType });
 
     const wrappedTask = async () => {
+      stopWaitTimer();
+      const stopTimer = taskDurationMetric.startTimer({ type: taskType });
       try {
         const result = await task();
-        this.lastTaskError = null;
+        state.lastTaskError = null;
+        stopTimer({ status: 'ok' });
         return result;
       } catch (error) {
-        this.lastTaskError = {
+        stopTimer({ status: 'error' });
+        state.lastTaskError = {
           type: taskType,
           message: error?.message || String(error),
           at: Date.now(),
         };
+        this.webhooks?.emit('task.failed', { device: state.name, ...state.lastTaskError });
         throw error;
       } finally {
-        this.queueDepth = Math.max(0, this.queueDepth - 1);
-        this.lastTaskType = taskType;
-        this.lastTaskFinishedAt = Date.now();
+        state.queueDepth = Math.max(0, state.queueDepth - 1);
+        state.lastTaskType = taskType;
+        state.lastTaskFinishedAt = Date.now();
       }
     };
 
-    this.taskQueue = this.taskQueue.then(wrappedTask, wrappedTask);
-    return this.taskQueue;
+    state.taskQueue = state.taskQueue.then(wrappedTask, wrappedTask);
+    return state.taskQueue;
   }
 
   /**
@@ -3,9 +3,25 @@
  * 负责从 YAML 文件读取并解析配置
  */
 
-import { readFileSync } from 'node:fs';
+import { readFileSync, unwatchFile, watchFile } from 'node:fs';
 import { resolve } from 'node:path';
 import yaml from 'js-yaml';
+import { buildLineIndex, configSchema, validateSchema } from './config-schema.js';
+
+/**
+ * 配置文件错误，issues 中包含所有问题及其所在行号
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} configPath - 配置文件路径
+   * @param {{ path: string, line?: number, message: string }[]} issues - 配置问题
+   */
+  constructor(configPath, issues) {
+    super(`${configPath} 中有 ${issues.length} 处错误:\n${issues.map(formatIssue).join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
 
 /**
  * 加载 YAML 配置文件
@@ -14,45 +30,207 @@ import yaml from 'js-yaml';
  */
 export function loadConfig(configPath = './config.yaml') {
   try {
-    const fullPath = resolve(configPath);
-    const fileContent = readFileSync(fullPath, 'utf8');
-    const config = yaml.load(fileContent);
-
-    // 验证必需的配置项
-    validateConfig(config);
-
-    return config;
+    return readConfig(configPath);
   } catch (error) {
     console.error('❌ 配置文件加载失败:', error.message);
     process.exit(1);
   }
 }
 
+/**
+ * 读取并验证配置文件,失败时抛出 ConfigError (一次列出所有问题)
+ * 验证通过后,缺失的可选配置项会填入默认值
+ * @param {string} configPath - 配置文件路径
+ * @returns {object} 解析后的配置对象
+ */
+export function readConfig(configPath = './config.yaml') {
+  const fullPath = resolve(configPath);
+  const fileContent = readFileSync(fullPath, 'utf8');
+
+  let config;
+  try {
+    config = yaml.load(fileContent) ?? {};
+  } catch (error) {
+    const line = error.mark ? error.mark.line + 1 : undefined;
+    throw new ConfigError(configPath, [
+      { path: 'YAML', line, message: error.reason || error.message },
+    ]);
+  }
+
+  const lineOf = buildLineIndex(fileContent);
+  const issues = validateConfig(config).map((issue) => ({ ...issue, line: lineOf(issue.path) }));
+
+  for (const issue of issues.filter((e) => e.level === 'warning')) {
+    console.warn(`⚠️ ${formatIssue(issue).trimStart()}`);
+  }
+  const errors = issues.filter((e) => e.level === 'error');
+  if (errors.length > 0) {
+    throw new ConfigError(configPath, errors);
+  }
+
+  return config;
+}
+
+function formatIssue({ path, line, message }) {
+  return line ? `  - ${path} (第 ${line} 行): ${message}` : `  - ${path}: ${message}`;
+}
+
+/**
+ * 监听配置文件变化 (轮询文件状态,兼容 Docker 挂载的单个文件)
+ * 新配置验证失败时记录日志并忽略,继续使用当前配置
+ * @param {string} configPath - 配置文件路径
+ * @param {(config: object) => Promise<void>|void} onChange - 新配置验证通过后的回调
+ * @param {number} interval - 检查间隔 (毫秒)
+ * @returns {() => void} 停止监听
+ */
+export function watchConfig(configPath, onChange, interval = 2000) {
+  const fullPath = resolve(configPath);
+  let reloading = Promise.resolve();
+
+  watchFile(fullPath, { interval }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+
+    // 按顺序应用,避免连续保存时并发重载
+    reloading = reloading.then(async () => {
+      let config;
+      try {
+        config = readConfig(fullPath);
+      } catch (error) {
+        console.error('❌ 配置文件有误,已忽略本次修改:', error.message);
+        return;
+      }
+      try {
+        await onChange(config);
+      } catch (error) {
+        console.error('❌ 应用新配置失败:', error);
+      }
+    });
+  });
+
+  return () => unwatchFile(fullPath);
+}
+
+/**
+ * 比较两份配置中指定路径的值是否不同
+ * @param {object} prev - 旧配置
+ * @param {object} next - 新配置
+ * @param {string[]} paths - 路径列表 (如 'speaker'、'api.port')
+ * @returns {string[]} 发生变化的路径
+ */
+export function diffConfig(prev, next, paths) {
+  return paths.filter(
+    (path) =>
+      JSON.stringify(getNestedValue(prev, path)) !== JSON.stringify(getNestedValue(next, path)),
+  );
+}
+
 /**
  * 验证配置完整性
+ * 先按 Schema 检查类型、取值范围和格式,再检查配置项之间的依赖关系
  * @param {object} config - 配置对象
+ * @returns {{ level: 'error'|'warning', path: string, message: string }[]} 所有问题
  */
 function validateConfig(config) {
-  const required = ['speaker.userId', 'speaker.did', 'ai.baseURL', 'ai.apiKey', 'ai.model'];
+  const issues = [];
+  const error = (path, message) => issues.push({ level: 'error', path, message });
 
-  for (const path of required) {
-    const value = getNestedValue(config, path);
-    if (!value) {
-      throw new Error(`缺少必需的配置项: ${path}`);
-    }
+  validateSchema(config, configSchema, '', issues);
+
+  if (!config.speakers?.length && config.speaker && !config.speaker.did) {
+    error('speaker.did', '未配置 speakers 时必须配置 speaker.did');
   }
 
   // 验证 speaker 认证信息
-  if (!config.speaker.password && !config.speaker.passToken) {
-    throw new Error('speaker.password 和 speaker.passToken 至少需要提供一个');
+  if (config.speaker && !config.speaker.password && !config.speaker.passToken) {
+    error('speaker', 'speaker.password 和 speaker.passToken 至少需要提供一个');
   }
 
   // 验证 API token
   if (config.api?.enabled && !config.api.token) {
-    console.warn('⚠️  API 已启用但未设置 token,接口将无法鉴权');
+    issues.push({
+      level: 'warning',
+      path: 'api.token',
+      message: 'API 已启用但未设置 token,接口将无法鉴权',
+    });
+  }
+
+  validateSpeakersConfig(config, error);
+  validateAIConfig(config, error);
+  validatePromptContextConfig(config, error);
+  validateTTSConfig(config, error, issues);
+  validateSchedulerConfig(config, error);
+  validatePersonasConfig(config, error, issues);
+  validateMemoryConfig(config, issues);
+  validateIntentsConfig(config, error);
+
+  if (config.mqtt?.enabled && !config.mqtt.url) {
+    error('mqtt.url', 'mqtt.enabled=true 时必须配置 mqtt.url');
   }
 
-  validateTTSConfig(config);
+  return issues;
+}
+
+/**
+ * 获取音箱列表
+ * 未配置 speakers 时，使用 speaker.did 作为唯一一台音箱 (名称为 default)
+ * @param {object} config - 配置对象
+ * @returns {{ name: string, did: string }[]}
+ */
+export function resolveSpeakers(config) {
+  if (config?.speakers?.length) {
+    return config.speakers.map(({ name, did }) => ({ name: String(name), did: String(did) }));
+  }
+  return [{ name: 'default', did: String(config?.speaker?.did ?? '') }];
+}
+
+function validateSpeakersConfig(config, error) {
+  const names = new Set();
+  for (const [index, speaker] of entriesOf(config.speakers)) {
+    if (speaker.name === 'all') {
+      error(`speakers[${index}].name`, 'name 不能为 all (保留给广播使用)');
+    }
+    if (names.has(speaker.name)) {
+      error(`speakers[${index}].name`, `重复的 name: ${speaker.name}`);
+    }
+    names.add(speaker.name);
+  }
+}
+
+function validateAIConfig(config, error) {
+  const backends = entriesOf(config.ai?.backends);
+  const names = new Set();
+  for (const [index, backend] of backends.length > 0 ? backends : [[0, {}]]) {
+    // 名称默认为模型名称
+    const name = backend.name || backend.model || config.ai?.model;
+    if (names.has(name)) {
+      error(`ai.backends[${index}].name`, `重复的名称: ${name}`);
+    }
+    names.add(name);
+  }
+  for (const [task, route] of Object.entries(config.ai?.routes || {})) {
+    for (const name of Array.isArray(route) ? route : []) {
+      if (!names.has(name)) {
+        error(`ai.routes.${task}`, `未找到名称为 ${name} 的后端 (ai.backends)`);
+      }
+    }
+  }
+}
+
+function validatePromptContextConfig(config, error) {
+  const { weather, calendar } = config.promptContext || {};
+  if (weather?.enabled) {
+    // 坐标也可以直接写在 url 的查询参数中
+    const query = String(weather.url || '').split('?')[1] || '';
+    const params = new URLSearchParams(query);
+    for (const key of ['latitude', 'longitude']) {
+      if (weather[key] == null && !params.has(key)) {
+        error(`promptContext.weather.${key}`, 'weather.enabled=true 时必须配置');
+      }
+    }
+  }
+  if (calendar?.enabled && !calendar.source) {
+    error('promptContext.calendar.source', 'calendar.enabled=true 时必须配置');
+  }
 }
 
 function normalizeTTSProvider(provider) {
@@ -63,32 +241,188 @@ function normalizeTTSProvider(provider) {
   return raw;
 }
 
-function validateTTSConfig(config) {
-  const provider = normalizeTTSProvider(config?.tts?.provider || 'xiaomi');
+function validateTTSConfig(config, error, issues) {
+  // 配置了故障转移链时忽略 tts.provider
+  const chain = entriesOf(config?.tts?.providers).map(([index, entry]) => ({
+    provider: normalizeTTSProvider(entry.name),
+    path: `tts.providers[${index}].name`,
+  }));
+  if (chain.length < 1) {
+    chain.push({ provider: normalizeTTSProvider(config?.tts?.provider), path: 'tts.provider' });
+  }
 
-  // 对内置 provider 做强校验；未知 provider 留给运行期插件注册处理
-  if (provider === 'volcano') {
-    if (!config?.tts?.publicBaseURL) {
-      throw new Error('tts.provider=volcano 时必须配置 tts.publicBaseURL');
+  const seen = new Set();
+  for (const [index, { provider, path }] of chain.entries()) {
+    if (seen.has(provider)) {
+      error(path, `重复的 provider: ${provider}`);
+      continue;
     }
+    seen.add(provider);
+    if (provider === 'xiaomi' && index < chain.length - 1) {
+      issues.push({
+        level: 'warning',
+        path,
+        message: 'xiaomi 不走外部合成，其后的 provider 不会被使用',
+      });
+    }
+    validateTTSProvider(config, provider, path, error, issues);
+  }
+
+  if (chain.some(({ provider }) => provider !== 'xiaomi') && !config?.tts?.publicBaseURL) {
+    const { provider, path } = chain.find((e) => e.provider !== 'xiaomi');
+    error('tts.publicBaseURL', `${path}=${provider} 时必须配置 tts.publicBaseURL`);
+  }
 
+  validateVoicePreset(config, 'tts.voice', config?.tts?.voice, issues);
+  validateVoicePreset(config, 'story.voice', config?.story?.voice, issues);
+}
+
+/**
+ * 引用的音色不是 tts.voices 中的预设时提示 (可能是拼写错误)
+ */
+function validateVoicePreset(config, path, voice, issues) {
+  if (voice && !config?.tts?.voices?.[voice]) {
+    issues.push({
+      level: 'warning',
+      path,
+      message: `tts.voices 中没有预设 ${voice}，将作为音色 ID 使用`,
+    });
+  }
+}
+
+function validateTTSProvider(config, provider, path, error, issues) {
+  const when = `${path}=${provider}`;
+
+  // 对内置 provider 做强校验；未知 provider 留给运行期插件注册处理
+  if (provider === 'volcano') {
     const authMode = String(config?.tts?.volcano?.authMode || 'api_key').toLowerCase();
     if (authMode === 'api_key' && !config?.tts?.volcano?.apiKey) {
-      throw new Error('tts.provider=volcano 且 authMode=api_key 时必须配置 tts.volcano.apiKey');
+      error('tts.volcano.apiKey', `${when} 且 authMode=api_key 时必须配置`);
     }
-    if (authMode === 'token' && (!config?.tts?.volcano?.appId || !config?.tts?.volcano?.token)) {
-      throw new Error(
-        'tts.provider=volcano 且 authMode=token 时必须配置 tts.volcano.appId 和 tts.volcano.token',
-      );
+    if (authMode === 'token' && !config?.tts?.volcano?.appId) {
+      error('tts.volcano.appId', `${when} 且 authMode=token 时必须配置`);
+    }
+    if (authMode === 'token' && !config?.tts?.volcano?.token) {
+      error('tts.volcano.token', `${when} 且 authMode=token 时必须配置`);
     }
     return;
   }
 
-  if (provider !== 'xiaomi') {
-    console.warn(`⚠️ 检测到自定义 tts.provider=${provider}，请确保已在代码中注册对应插件`);
+  if (provider === 'local' && !config?.tts?.local?.command) {
+    error('tts.local.command', `${when} 时必须配置`);
+  }
+
+  if (!['xiaomi', 'openai', 'edge', 'local'].includes(provider)) {
+    issues.push({
+      level: 'warning',
+      path,
+      message: `自定义 ${when}，请确保已在代码中注册对应插件`,
+    });
   }
 }
 
+function validateSchedulerConfig(config, error) {
+  if (!config?.scheduler?.enabled) return;
+
+  const speakerNames = entriesOf(config.speakers).map(([, speaker]) => String(speaker.name));
+  if (speakerNames.length < 1) speakerNames.push('default');
+  for (const [index, job] of entriesOf(config.scheduler.jobs)) {
+    const path = `scheduler.jobs[${index}]`;
+    if (!job?.cron && !job?.at) {
+      error(path, '必须配置 cron 或 at');
+    }
+    if (!job?.text && !job?.url) {
+      error(path, '必须配置 text 或 url');
+    }
+    if (job.action === 'chat' && job.device === 'all') {
+      error(`${path}.device`, 'chat 任务不支持 device: all');
+    }
+    if (job.device && job.device !== 'all' && !speakerNames.includes(job.device)) {
+      error(`${path}.device`, `不在 speakers 中: ${job.device}`);
+    }
+  }
+}
+
+function validatePersonasConfig(config, error, issues) {
+  const defaultName = config.personas?.defaultName || '默认';
+  const names = new Set([defaultName, 'default']);
+  for (const [index, persona] of entriesOf(config.personas?.list)) {
+    const path = `personas.list[${index}]`;
+    const aliases = Array.isArray(persona.aliases) ? persona.aliases : [];
+    for (const name of [persona.name, ...aliases]) {
+      if (names.has(name)) {
+        const reserved = name === defaultName || name === 'default';
+        error(path, reserved ? `${name} 是默认角色的名称` : `重复的名称或别名: ${name}`);
+      }
+      names.add(name);
+    }
+    validateVoicePreset(config, `${path}.voice`, persona.voice, issues);
+  }
+}
+
+function validateMemoryConfig(config, issues) {
+  if (!config.memory?.enabled) {
+    return;
+  }
+  const prompts = [
+    config.ai?.systemPrompt,
+    ...entriesOf(config.personas?.list).map(([, e]) => e.systemPrompt),
+  ];
+  if (
+    !config.promptContext?.enabled ||
+    !prompts.some((e) => String(e || '').includes('{{memory}}'))
+  ) {
+    issues.push({
+      level: 'warning',
+      path: 'memory',
+      message: '需要开启 promptContext 并在 systemPrompt 中使用 {{memory}}，记忆才会注入到对话中',
+    });
+  }
+}
+
+function validateIntentsConfig(config, error) {
+  const names = new Set();
+  for (const [index, intent] of entriesOf(config.intents?.custom)) {
+    const path = `intents.custom[${index}]`;
+    if (names.has(intent.name)) {
+      error(`${path}.name`, `重复的 name: ${intent.name}`);
+    }
+    names.add(intent.name);
+
+    const hasRule = ['exact', 'contains', 'regex'].some((key) => intent[key] != null);
+    if (!hasRule && !(config.intents.llmFallback && intent.description)) {
+      error(
+        path,
+        '必须配置 exact、contains 或 regex (开启 llmFallback 时也可以只配置 description)',
+      );
+    }
+
+    const required = { speak: 'text', play: 'url', webhook: 'webhook', miot: 'miot' }[
+      intent.action
+    ];
+    if (required && intent[required] == null) {
+      error(path, `action=${intent.action} 时必须配置 ${required}`);
+    }
+    const { miot } = intent;
+    if (
+      intent.action === 'miot' &&
+      miot &&
+      miot.aiid == null &&
+      (miot.piid == null || miot.value == null)
+    ) {
+      error(`${path}.miot`, '必须配置 piid 和 value (设置属性) 或 aiid (执行动作)');
+    }
+  }
+}
+
+/**
+ * 遍历数组中的对象元素 (类型错误已由 Schema 报告,这里跳过)
+ */
+function entriesOf(list) {
+  if (!Array.isArray(list)) return [];
+  return Array.from(list.entries()).filter(([, item]) => item && typeof item === 'object');
+}
+
 /**
  * 获取嵌套对象的值
  * @param {object} obj - 对象
@@ -0,0 +1,635 @@
+/**
+ * 配置文件 Schema
+ * 声明 config.yaml 中每个配置项的类型、取值范围和默认值
+ */
+
+import { parseCron } from './scheduler.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+
+/**
+ * @typedef {{
+ *   type: string | string[],
+ *   required?: boolean,
+ *   default?: any,
+ *   min?: number,
+ *   max?: number,
+ *   enum?: any[],
+ *   format?: 'url' | 'mqttUrl' | 'regex' | 'cron' | 'datetime' | 'apiPath',
+ *   items?: SchemaNode,
+ *   properties?: Record<string, SchemaNode>,
+ *   values?: SchemaNode
+ * }} SchemaNode
+ *
+ * values: 键名不固定的对象 (如 tts.voices)，每个值都按 values 校验
+ */
+
+const string = (options) => ({ type: 'string', ...options });
+const number = (options) => ({ type: 'number', ...options });
+const integer = (options) => ({ type: 'integer', ...options });
+const boolean = (options) => ({ type: 'boolean', ...options });
+const array = (items, options) => ({ type: 'array', items, ...options });
+const object = (properties, options) => ({ type: 'object', properties, ...options });
+const record = (values, options) => ({ type: 'object', values, ...options });
+
+// 小米 ID、设备 DID 可能被 YAML 解析成数字
+const id = (options) => ({ type: ['string', 'number'], ...options });
+const keywords = () => array(string(), { default: [] });
+// 单个关键词或关键词列表
+const keywordList = () => ({ type: ['string', 'array'] });
+const apiPath = (value) => string({ format: 'apiPath', default: value });
+
+/** @type {SchemaNode} */
+export const configSchema = object({
+  speaker: object(
+    {
+      userId: id({ required: true }),
+      password: string({ default: '' }),
+      did: id(),
+      passToken: string(),
+      sessionFile: string({ default: './data/mi-session.json' }),
+      sessionSecret: string(),
+      refreshIntervalMs: integer({ min: 60000 }),
+      // 替换小米云接口地址 (连接 @mi-gpt/miot/simulator 等本地模拟服务)
+      endpoints: object({
+        account: string({ format: 'url' }),
+        mina: string({ format: 'url' }),
+        miot: string({ format: 'url' }),
+        userprofile: string({ format: 'url' }),
+      }),
+    },
+    { required: true },
+  ),
+  speakers: array(
+    object({
+      name: string({ required: true }),
+      did: id({ required: true }),
+    }),
+  ),
+  ai: object(
+    {
+      baseURL: string({ required: true, format: 'url' }),
+      apiKey: string({ required: true }),
+      model: string({ required: true }),
+      temperature: number({ min: 0, max: 2 }),
+      maxTokens: integer({ min: 1 }),
+      stream: boolean({ default: true }),
+      // 流式回复 (生成 + 播放) 的总时长上限，超时后停止播报
+      streamTimeoutMs: integer({ min: 1000, default: 600000 }),
+      // 流式回复时请求 token 用量 (stream_options.include_usage)，部分服务不支持
+      streamUsage: boolean({ default: false }),
+      historyMaxLength: integer({ min: 1, default: 10 }),
+      // 按估算的 token 数裁剪历史消息，0 为不限制
+      historyMaxTokens: integer({ min: 0, default: 0 }),
+      // 超出上限的较早消息由大模型整理成摘要
+      summary: object({
+        enabled: boolean({ default: false }),
+        prompt: string(),
+        maxTokens: integer({ min: 1 }),
+      }),
+      historyFile: string(),
+      systemPrompt: string({ default: '' }),
+      timeoutMs: integer({ min: 1000 }),
+      // 多个大模型服务，按顺序故障转移，未配置的项使用上面的 baseURL、apiKey、model
+      backends: array(
+        object({
+          name: string(),
+          baseURL: string({ format: 'url' }),
+          apiKey: string(),
+          model: string(),
+          timeoutMs: integer({ min: 1000 }),
+          maxRetries: integer({ min: 0 }),
+        }),
+        { default: [] },
+      ),
+      // 按任务类型 (chat / story / intent) 选择后端，值为 backends 中的名称列表
+      routes: record(array(string()), { default: {} }),
+    },
+    { required: true },
+  ),
+  tools: object({
+    enabled: boolean({ default: false }),
+    maxRounds: integer({ min: 1, max: 20 }),
+    devices: array(
+      object({
+        name: string({ required: true }),
+        did: id({ required: true }),
+        description: string(),
+      }),
+      { default: [] },
+    ),
+  }),
+  promptContext: object({
+    enabled: boolean({ default: false }),
+    location: string(),
+    userName: string(),
+    assistantName: string(),
+    // {{weather}}: Open-Meteo 格式的天气接口
+    weather: object({
+      enabled: boolean({ default: false }),
+      url: string({ format: 'url' }),
+      latitude: number({ min: -90, max: 90 }),
+      longitude: number({ min: -180, max: 180 }),
+      timeoutMs: integer({ min: 100, default: 5000 }),
+      cacheTtlMs: integer({ min: 0, default: 1800000 }),
+    }),
+    // {{calendar}}: ICS 日历文件或订阅地址中的今日日程
+    calendar: object({
+      enabled: boolean({ default: false }),
+      source: string(),
+      timeoutMs: integer({ min: 100, default: 10000 }),
+      cacheTtlMs: integer({ min: 0, default: 600000 }),
+    }),
+    // {{history}}: 最近的对话记录
+    history: object({
+      enabled: boolean({ default: false }),
+      sessions: array(string()),
+      limit: integer({ min: 1, default: 6 }),
+    }),
+  }),
+  tts: object(
+    {
+      // 自定义 provider 需要在代码中注册，这里不限制取值
+      provider: string({ default: 'xiaomi' }),
+      // 故障转移链: 按顺序尝试，配置后忽略 provider
+      providers: array(
+        object({
+          name: string({ required: true }),
+          timeoutMs: integer({ min: 100 }),
+        }),
+      ),
+      // 单个 provider 的默认合成超时
+      timeoutMs: integer({ min: 100 }),
+      circuitBreaker: object(
+        {
+          failureThreshold: integer({ min: 1, default: 3 }),
+          cooldownMs: integer({ min: 0, default: 60000 }),
+        },
+        { default: {} },
+      ),
+      volcano: object({
+        endpoint: string({ format: 'url' }),
+        authMode: string({ enum: ['api_key', 'token'], default: 'api_key' }),
+        appId: id(),
+        apiKey: string(),
+        token: string(),
+        cluster: string(),
+        voiceType: string(),
+        encoding: string({ enum: ['mp3', 'wav', 'pcm', 'ogg_opus'] }),
+        sampleRate: integer({ enum: [8000, 16000, 22050, 24000, 32000, 44100, 48000] }),
+        speedRatio: number({ min: 0.2, max: 3 }),
+        volumeRatio: number({ min: 0.1, max: 3 }),
+        pitchRatio: number({ min: 0.1, max: 3 }),
+      }),
+      openai: object({
+        baseURL: string({ format: 'url', default: 'https://api.openai.com/v1' }),
+        apiKey: string(),
+        model: string({ default: 'tts-1' }),
+        voice: string({ default: 'alloy' }),
+        responseFormat: string({ enum: ['mp3', 'opus', 'aac', 'flac', 'wav'], default: 'mp3' }),
+        speed: number({ min: 0.25, max: 4 }),
+        instructions: string(),
+        timeoutMs: integer({ min: 1000 }),
+      }),
+      edge: object({
+        voice: string({ default: 'zh-CN-XiaoxiaoNeural' }),
+        // 相对默认值的调整，如 +10%、-5Hz
+        rate: string({ default: '+0%' }),
+        pitch: string({ default: '+0Hz' }),
+        volume: string({ default: '+0%' }),
+        timeoutMs: integer({ min: 1000 }),
+      }),
+      local: object({
+        command: string(),
+        args: array(string(), { default: [] }),
+        cwd: string(),
+        format: string({ enum: ['wav', 'mp3', 'ogg', 'flac'], default: 'wav' }),
+        timeoutMs: integer({ min: 1000 }),
+      }),
+      // 默认音色 (tts.voices 中的预设名称或音色 ID)，角色的 voice 覆盖它
+      voice: string(),
+      // 音色预设: 在 /api/speak 的 voice 参数和回复的 <voice name="..."> 标记中按名称引用
+      voices: record(
+        object({
+          // 音色 ID，或按 provider 分别配置 { volcano: "...", edge: "..." }
+          voice: { type: ['string', 'object'] },
+          speed: number({ min: 0.1, max: 4 }),
+          pitch: number({ min: 0.1, max: 4 }),
+          volume: number({ min: 0.1, max: 4 }),
+          description: string(),
+        }),
+        { default: {} },
+      ),
+      cacheDir: string({ default: './tts-cache' }),
+      // 缓存文件超过该时长未使用时删除
+      maxCacheAge: integer({ min: 0 }),
+      cache: object(
+        {
+          enabled: boolean({ default: true }),
+          maxSizeMB: number({ min: 1, default: 200 }),
+          warmup: array(string(), { default: [] }),
+        },
+        { default: {} },
+      ),
+      publicBaseURL: string({ format: 'url' }),
+    },
+    { default: {} },
+  ),
+  wakeup: object(
+    {
+      keywords: keywords(),
+      enterAIMode: keywords(),
+      exitAIMode: keywords(),
+      stopKeywords: keywords(),
+      enterMessage: string({ default: '好的，已经进入 AI 模式。' }),
+      exitMessage: string({ default: '好的，已退出 AI 模式。' }),
+    },
+    { default: {} },
+  ),
+  story: object(
+    {
+      triggerPattern: string({ format: 'regex', default: '(故事|讲个|讲一个)' }),
+      systemPrompt: string({ default: '' }),
+      firstChunkMaxChars: integer({ min: 10, default: 160 }),
+      normalChunkMaxChars: integer({ min: 10, default: 280 }),
+      pollIntervalMs: integer({ min: 100, default: 700 }),
+      waitTimeoutMs: integer({ min: 1000, default: 180000 }),
+      // 故事模式的默认音色 (tts.voices 中的预设名称)，如语速更慢、音量更小的睡前音色
+      voice: string(),
+    },
+    { default: {} },
+  ),
+  api: object(
+    {
+      enabled: boolean({ default: false }),
+      host: string({ default: '0.0.0.0' }),
+      port: integer({ min: 1, max: 65535, default: 18082 }),
+      token: string(),
+      maxBodyBytes: integer({ min: 1024, default: 16384 }),
+      paths: object(
+        {
+          health: apiPath('/api/health'),
+          speak: apiPath('/api/speak'),
+          chat: apiPath('/api/chat'),
+          play: apiPath('/api/play'),
+          audioInfo: apiPath('/api/audio'),
+          history: string({ format: 'apiPath' }),
+          schedules: string({ format: 'apiPath' }),
+          metrics: string({ format: 'apiPath' }),
+          persona: string({ format: 'apiPath' }),
+          memory: string({ format: 'apiPath' }),
+        },
+        { default: {} },
+      ),
+    },
+    { default: {} },
+  ),
+  // 角色: 覆盖 ai、tts.voice 和 wakeup 中的部分配置，对话历史按角色隔离
+  personas: object({
+    file: string(),
+    // 切换到默认角色 (config.yaml 中的 ai 配置) 时使用的名称
+    defaultName: string({ default: '默认' }),
+    switchKeywords: array(string()),
+    switchMessage: string(),
+    list: array(
+      object({
+        name: string({ required: true }),
+        aliases: array(string()),
+        description: string(),
+        systemPrompt: string(),
+        model: string(),
+        temperature: number({ min: 0, max: 2 }),
+        maxTokens: integer({ min: 1 }),
+        historyMaxLength: integer({ min: 1 }),
+        voice: string(),
+        enterMessage: string(),
+        exitMessage: string(),
+        switchMessage: string(),
+      }),
+      { default: [] },
+    ),
+  }),
+  // 长期记忆: "记住…" / "忘掉…"，相关的记忆通过 {{memory}} 注入系统提示词
+  memory: object({
+    enabled: boolean({ default: false }),
+    file: string(),
+    // rule: 保存关键词后面的原话；llm: 由大模型整理成一句话 (失败时保存原话)
+    extract: string({ enum: ['rule', 'llm'], default: 'rule' }),
+    rememberKeywords: array(string()),
+    forgetKeywords: array(string()),
+    rememberMessage: string(),
+    forgetMessage: string(),
+    // 每次对话注入的记忆条数上限
+    limit: integer({ min: 1, default: 5 }),
+    maxFacts: integer({ min: 1, default: 200 }),
+  }),
+  intents: object(
+    {
+      llmFallback: boolean({ default: false }),
+      custom: array(
+        object({
+          name: string({ required: true }),
+          priority: integer(),
+          exact: keywordList(),
+          contains: keywordList(),
+          regex: string({ format: 'regex' }),
+          description: string(),
+          action: string({ enum: ['speak', 'play', 'webhook', 'miot'], default: 'speak' }),
+          text: string(),
+          url: string(),
+          reply: string(),
+          errorReply: string(),
+          webhook: object({
+            url: string({ required: true }),
+            method: string({ enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] }),
+            headers: { type: 'object' },
+            body: { type: ['string', 'object', 'array'] },
+            timeoutMs: integer({ min: 100 }),
+          }),
+          miot: object({
+            device: id({ required: true }),
+            siid: integer({ required: true }),
+            piid: integer(),
+            value: { type: ['string', 'number', 'boolean'] },
+            aiid: integer(),
+            args: array(),
+          }),
+        }),
+        { default: [] },
+      ),
+    },
+    { default: {} },
+  ),
+  webhooks: object(
+    {
+      enabled: boolean({ default: false }),
+      secret: string(),
+      timeoutMs: integer({ min: 100, default: 5000 }),
+      retries: integer({ min: 0, max: 10, default: 3 }),
+      retryDelayMs: integer({ min: 100, default: 1000 }),
+      endpoints: array(
+        object({
+          url: string({ required: true, format: 'url' }),
+          events: array(string({ enum: ['*', ...WEBHOOK_EVENTS] })),
+          secret: string(),
+          headers: { type: 'object' },
+        }),
+        { default: [] },
+      ),
+    },
+    { default: {} },
+  ),
+  mqtt: object({
+    enabled: boolean({ default: false }),
+    url: string({ format: 'mqttUrl' }),
+    username: string(),
+    password: string(),
+    clientId: string(),
+    topicPrefix: string({ default: 'migpt' }),
+    statusIntervalMs: integer({ min: 5000, default: 30000 }),
+    discovery: object(
+      {
+        enabled: boolean({ default: true }),
+        prefix: string({ default: 'homeassistant' }),
+      },
+      { default: {} },
+    ),
+  }),
+  scheduler: object({
+    enabled: boolean({ default: false }),
+    file: string(),
+    reminderKeywords: array(string()),
+    reminderPrefix: string(),
+    missedGraceMs: integer({ min: 0 }),
+    jobs: array(
+      object({
+        name: string(),
+        cron: string({ format: 'cron' }),
+        at: { type: ['string', 'number', 'date'], format: 'datetime' },
+        action: string({ enum: ['speak', 'chat', 'play'] }),
+        text: string(),
+        url: string({ format: 'url' }),
+        device: string(),
+      }),
+      { default: [] },
+    ),
+  }),
+});
+
+const FORMATS = {
+  url(value) {
+    const { protocol } = new URL(value);
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new Error('必须以 http:// 或 https:// 开头');
+    }
+  },
+  mqttUrl(value) {
+    const { protocol } = new URL(value);
+    if (!['mqtt:', 'mqtts:', 'ws:', 'wss:', 'tcp:'].includes(protocol)) {
+      throw new Error('必须以 mqtt://、mqtts://、ws:// 或 wss:// 开头');
+    }
+  },
+  regex(value) {
+    new RegExp(value);
+  },
+  cron(value) {
+    parseCron(value);
+  },
+  datetime(value) {
+    if (Number.isNaN(new Date(value).getTime())) {
+      throw new Error('不是有效的时间');
+    }
+  },
+  apiPath(value) {
+    if (!value.startsWith('/')) {
+      throw new Error('必须以 / 开头');
+    }
+  },
+};
+
+const TYPE_NAMES = {
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: 'true/false',
+  object: '对象',
+  array: '数组',
+  date: '日期',
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 按 Schema 验证配置，缺失的配置项会填入默认值
+ * @param {any} value - 配置值
+ * @param {SchemaNode} schema
+ * @param {string} path - YAML 路径，如 wakeup.keywords[0]
+ * @param {{ level: 'error'|'warning', path: string, message: string }[]} issues - 收集到的问题
+ * @returns {any} 填充默认值后的配置值
+ */
+export function validateSchema(value, schema, path, issues) {
+  if (value == null || value === '') {
+    if (schema.required) {
+      issues.push({ level: 'error', path, message: '缺少必需的配置项' });
+      return value;
+    }
+    if (value === '' || schema.default === undefined) {
+      return value;
+    }
+    return validateSchema(
+      structuredClone(schema.default),
+      { ...schema, default: undefined },
+      path,
+      issues,
+    );
+  }
+
+  const types = [schema.type].flat();
+  if (!types.some((type) => matchesType(value, type))) {
+    const expected = types.map((type) => TYPE_NAMES[type] || type).join(' 或 ');
+    issues.push({
+      level: 'error',
+      path,
+      message: `必须是${expected}，当前值: ${JSON.stringify(value)}`,
+    });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({
+      level: 'error',
+      path,
+      message: `必须是 ${schema.enum.join(' / ')} 之一，当前值: ${value}`,
+    });
+  }
+  if (schema.min != null && value < schema.min) {
+    issues.push({ level: 'error', path, message: `不能小于 ${schema.min}，当前值: ${value}` });
+  }
+  if (schema.max != null && value > schema.max) {
+    issues.push({ level: 'error', path, message: `不能大于 ${schema.max}，当前值: ${value}` });
+  }
+  if (schema.format && typeof value === 'string') {
+    try {
+      FORMATS[schema.format](value);
+    } catch (error) {
+      issues.push({ level: 'error', path, message: `格式错误: ${error.message}` });
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      value[index] = validateSchema(item, schema.items, joinPath(path, index), issues);
+    });
+  }
+
+  if (schema.type === 'object' && schema.values) {
+    for (const [key, item] of Object.entries(value)) {
+      value[key] = validateSchema(item, schema.values, joinPath(path, key), issues);
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    for (const [key, child] of Object.entries(schema.properties)) {
+      const result = validateSchema(value[key], child, joinPath(path, key), issues);
+      if (result !== undefined) {
+        value[key] = result;
+      }
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in schema.properties)) {
+        issues.push({
+          level: 'warning',
+          path: joinPath(path, key),
+          message: '未知的配置项，请检查拼写',
+        });
+      }
+    }
+  }
+
+  return value;
+}
+
+/**
+ * 建立 YAML 路径到行号的索引 (用于错误提示)
+ * 只处理块格式 (缩进) 的 YAML，足以覆盖 config.yaml
+ * @param {string} text - YAML 文本
+ * @returns {(path: string) => number|undefined} 查询行号，路径不存在时返回最近的上级配置项所在行
+ */
+export function buildLineIndex(text) {
+  const index = new Map();
+  const stack = [];
+  let blockIndent = -1;
+
+  const pushKey = (content, indent, line) => {
+    const match = content.match(/^("[^"]*"|'[^']*'|[^\s:#'"][^:#]*?)\s*:(?:\s+(.*))?$/);
+    if (!match) return;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    const key = match[1].replace(/^["']|["']$/g, '');
+    const path = joinPath(stack[stack.length - 1]?.path ?? '', key);
+    index.set(path, line);
+    stack.push({ indent, path, kind: 'key', count: 0 });
+    // 多行字符串 (| 或 >) 的内容不是配置项
+    if (/^[|>][-+0-9]*\s*(#.*)?$/.test(match[2] ?? '')) {
+      blockIndent = indent;
+    }
+  };
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const content = raw.trim();
+    const indent = raw.length - raw.trimStart().length;
+    if (!content) return;
+    if (blockIndent >= 0) {
+      if (indent > blockIndent) return;
+      blockIndent = -1;
+    }
+    if (content.startsWith('#')) return;
+
+    if (content === '-' || content.startsWith('- ')) {
+      while (
+        stack.length &&
+        (stack[stack.length - 1].indent > indent ||
+          (stack[stack.length - 1].kind === 'item' && stack[stack.length - 1].indent === indent))
+      ) {
+        stack.pop();
+      }
+      const owner = stack[stack.length - 1];
+      if (!owner) return;
+      const path = joinPath(owner.path, owner.count++);
+      index.set(path, line);
+      stack.push({ indent, path, kind: 'item' });
+
+      const rest = content.slice(1).trimStart();
+      if (rest) {
+        pushKey(rest, indent + (content.length - rest.length), line);
+      }
+      return;
+    }
+
+    pushKey(content, indent, line);
+  });
+
+  return (path) => {
+    let current = path;
+    while (current) {
+      if (index.has(current)) return index.get(current);
+      current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+      if (!/[.[]/.test(current) && !index.has(current)) return undefined;
+    }
+    return undefined;
+  };
+}
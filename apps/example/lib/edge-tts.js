@@ -0,0 +1,175 @@
+/**
+ * Microsoft Edge 大声朗读 (Read Aloud) 语音合成
+ * 使用 Edge 浏览器内置的在线语音服务,免费、无需 API 密钥 (非官方接口,可能随时变化)
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import WebSocket from 'ws';
+
+const TRUSTED_CLIENT_TOKEN = '6A5AA1D4EAFF4E9FB37E23D68491D6F4';
+const WSS_URL = 'wss://speech.platform.bing.com/consumer/speech/synthesize/readaloud/edge/v1';
+const CHROMIUM_FULL_VERSION = '130.0.2849.68';
+const CHROMIUM_MAJOR_VERSION = CHROMIUM_FULL_VERSION.split('.')[0];
+const USER_AGENT = `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROMIUM_MAJOR_VERSION}.0.0.0 Safari/537.36 Edg/${CHROMIUM_MAJOR_VERSION}.0.0.0`;
+
+// Windows 文件时间 (1601-01-01) 与 Unix 时间的秒数差
+const WIN_EPOCH = 11644473600;
+
+/**
+ * 生成 Sec-MS-GEC 校验值: 按 5 分钟取整的 Windows 时间戳 + 客户端 token 的 SHA256
+ */
+function generateSecMsGec() {
+  let ticks = Math.floor(Date.now() / 1000) + WIN_EPOCH;
+  ticks -= ticks % 300;
+  // 单位为 100 纳秒
+  const value = `${BigInt(ticks) * 10000000n}${TRUSTED_CLIENT_TOKEN}`;
+  return createHash('sha256').update(value, 'ascii').digest('hex').toUpperCase();
+}
+
+function timestamp() {
+  const date = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = [
+    'Jan',
+    'Feb',
+    'Mar',
+    'Apr',
+    'May',
+    'Jun',
+    'Jul',
+    'Aug',
+    'Sep',
+    'Oct',
+    'Nov',
+    'Dec',
+  ];
+  return (
+    `${days[date.getUTCDay()]} ${months[date.getUTCMonth()]} ${pad(date.getUTCDate())} ` +
+    `${date.getUTCFullYear()} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:` +
+    `${pad(date.getUTCSeconds())} GMT+0000 (Coordinated Universal Time)`
+  );
+}
+
+function escapeXml(text) {
+  return String(text).replace(
+    /[<>&"']/g,
+    (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c],
+  );
+}
+
+/**
+ * 解析服务端二进制消息: 前 2 字节为消息头长度 (大端),之后是消息头和音频数据
+ * @param {Buffer} data
+ * @returns {{ path?: string, audio: Buffer }}
+ */
+export function parseBinaryMessage(data) {
+  const headerLength = data.readUInt16BE(0);
+  const header = data.subarray(2, 2 + headerLength).toString('utf8');
+  const path = header.match(/Path:\s*([^\r\n]+)/i)?.[1]?.trim();
+  return { path, audio: data.subarray(2 + headerLength) };
+}
+
+/**
+ * 合成语音
+ * @param {string} text - 要合成的文本
+ * @param {{
+ *   voice?: string,
+ *   rate?: string,
+ *   pitch?: string,
+ *   volume?: string,
+ *   outputFormat?: string,
+ *   timeoutMs?: number
+ * }} options - 音色和语速/音调/音量 (如 +10%、-5Hz)
+ * @returns {Promise<Buffer>} 音频数据
+ */
+export function synthesizeEdgeTTS(text, options = {}) {
+  const {
+    voice = 'zh-CN-XiaoxiaoNeural',
+    rate = '+0%',
+    pitch = '+0Hz',
+    volume = '+0%',
+    outputFormat = 'audio-24khz-48kbitrate-mono-mp3',
+    timeoutMs = 30000,
+  } = options;
+
+  const connectionId = randomUUID().replaceAll('-', '');
+  const url =
+    `${WSS_URL}?TrustedClientToken=${TRUSTED_CLIENT_TOKEN}&ConnectionId=${connectionId}` +
+    `&Sec-MS-GEC=${generateSecMsGec()}&Sec-MS-GEC-Version=1-${CHROMIUM_FULL_VERSION}`;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const ws = new WebSocket(url, {
+      headers: {
+        Pragma: 'no-cache',
+        'Cache-Control': 'no-cache',
+        Origin: 'chrome-extension://jdiccldimpdaibmpdkjnbmckianbfold',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'User-Agent': USER_AGENT,
+      },
+    });
+
+    const finish = (error) => {
+      clearTimeout(timer);
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.close();
+      if (error) {
+        reject(error);
+      } else if (chunks.length < 1) {
+        reject(new Error('Edge TTS 未返回音频'));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    };
+    const timer = setTimeout(() => finish(new Error('Edge TTS 请求超时')), timeoutMs);
+
+    ws.on('open', () => {
+      const config = {
+        context: {
+          synthesis: {
+            audio: {
+              metadataoptions: { sentenceBoundaryEnabled: 'false', wordBoundaryEnabled: 'false' },
+              outputFormat,
+            },
+          },
+        },
+      };
+      ws.send(
+        `X-Timestamp:${timestamp()}\r\nContent-Type:application/json; charset=utf-8\r\n` +
+          `Path:speech.config\r\n\r\n${JSON.stringify(config)}`,
+      );
+
+      const prosody = `pitch='${escapeXml(pitch)}' rate='${escapeXml(rate)}' volume='${escapeXml(volume)}'`;
+      const ssml = [
+        `<speak version='1.0' xmlns='http://www.w3.org/2001/10/synthesis' xml:lang='en-US'>`,
+        `<voice name='${escapeXml(voice)}'><prosody ${prosody}>${escapeXml(text)}</prosody></voice>`,
+        '</speak>',
+      ].join('');
+      ws.send(
+        `X-RequestId:${connectionId}\r\nContent-Type:application/ssml+xml\r\n` +
+          `X-Timestamp:${timestamp()}Z\r\nPath:ssml\r\n\r\n${ssml}`,
+      );
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        const { path, audio } = parseBinaryMessage(data);
+        if (path === 'audio' && audio.length > 0) {
+          chunks.push(audio);
+        }
+        return;
+      }
+      if (/Path:\s*turn\.end/i.test(data.toString())) {
+        finish();
+      }
+    });
+
+    ws.on('unexpected-response', (_req, res) => {
+      finish(new Error(`Edge TTS 连接失败: HTTP ${res.statusCode}`));
+    });
+    ws.on('error', (error) => finish(error));
+    ws.on('close', () => finish(new Error('Edge TTS 连接已关闭')));
+  });
+}
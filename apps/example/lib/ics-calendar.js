@@ -0,0 +1,342 @@
+/**
+ * ICS 日历解析模块
+ * 读取 iCalendar (.ics) 文件中的事件，计算某一天的日程 (用于 Prompt 模板变量)
+ *
+ * 支持单次事件和常见的重复规则 (RRULE: DAILY / WEEKLY + BYDAY / MONTHLY / YEARLY，
+ * INTERVAL、UNTIL、COUNT) 以及 EXDATE；带 TZID 的时间先按对应时区换算，再按本地时区展开
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * @typedef {{
+ *   summary: string,
+ *   location?: string,
+ *   start: Date,
+ *   end?: Date,
+ *   allDay: boolean,
+ *   rrule?: { freq: string, interval: number, until?: Date, count?: number, byday?: number[] },
+ *   exdates: Set<string>
+ * }} CalendarEvent
+ */
+
+/**
+ * 读取日历内容: http(s)/webcal 地址或本地文件
+ * @param {string} source
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<string>}
+ */
+export async function readCalendar(source, options = {}) {
+  if (!/^(https?|webcal):\/\//i.test(source)) {
+    return readFile(source, 'utf8');
+  }
+  const response = await fetch(source.replace(/^webcal:/i, 'https:'), {
+    signal: AbortSignal.timeout(options.timeoutMs ?? 10000),
+  });
+  if (!response.ok) {
+    throw new Error(`日历请求失败: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * 展开折行 (以空格或制表符开头的行是上一行的延续)
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+}
+
+/**
+ * 解析一行属性: NAME;PARAM=VALUE:内容
+ */
+function parseLine(line) {
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') quoted = !quoted;
+    if (char === ':' && !quoted) {
+      const [name, ...rest] = line.slice(0, index).split(';');
+      const params = {};
+      for (const param of rest) {
+        const [key, value = ''] = param.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+      }
+      return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+    }
+  }
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (_match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char,
+  );
+}
+
+/** @type {Map<string, Intl.DateTimeFormat|null>} */
+const zoneFormatters = new Map();
+
+/**
+ * 时区的格式化器，无法识别的时区 (如 Windows 时区名称) 返回 null
+ */
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch {}
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * 把 timeZone 时区的时间转为 Date，无法识别的时区按本地时间处理
+ * @param {number[]} parts 年、月 (从 0 开始)、日、时、分、秒
+ */
+function zonedTimeToDate(parts, timeZone) {
+  const formatter = getZoneFormatter(timeZone);
+  if (!formatter) {
+    return new Date(...parts);
+  }
+  // 该时刻在 timeZone 中的时间与 UTC 的差值
+  const offsetAt = (time) => {
+    const values = Object.fromEntries(
+      formatter.formatToParts(time).map((part) => [part.type, Number(part.value)]),
+    );
+    const { year, month, day, hour, minute, second } = values;
+    return Date.UTC(year, month - 1, day, hour, minute, second) - time;
+  };
+  const wallTime = Date.UTC(...parts);
+  // 先按当前偏移估算，再用估算时刻的偏移修正 (夏令时切换前后偏移不同)
+  const guess = wallTime - offsetAt(wallTime);
+  return new Date(wallTime - offsetAt(guess));
+}
+
+/**
+ * 解析日期: 20260101 (全天) / 20260101T090000 (本地时间) / 20260101T010000Z (UTC)，
+ * 带 TZID 参数时按对应时区解析
+ * @returns {{ date: Date, allDay: boolean }|undefined}
+ */
+function parseDate(value, params = {}) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return;
+  }
+  const [, y, m, d, hh, mm, ss = '0', utc] = match;
+  if (hh == null || params.VALUE === 'DATE') {
+    return { date: new Date(Number(y), Number(m) - 1, Number(d)), allDay: true };
+  }
+  const parts = [Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)];
+  if (utc) {
+    return { date: new Date(Date.UTC(...parts)), allDay: false };
+  }
+  const date = params.TZID ? zonedTimeToDate(parts, params.TZID) : new Date(...parts);
+  return { date, allDay: false };
+}
+
+function parseRRule(value) {
+  const rule = Object.fromEntries(
+    value.split(';').map((part) => {
+      const [key, v = ''] = part.split('=');
+      return [key.toUpperCase(), v.toUpperCase()];
+    }),
+  );
+  if (!rule.FREQ) {
+    return;
+  }
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL) || 1),
+    until: rule.UNTIL ? parseDate(rule.UNTIL)?.date : undefined,
+    count: rule.COUNT ? Number(rule.COUNT) : undefined,
+    // 带序号的 BYDAY (如 2TU，每月第二个周二) 不支持
+    byday: rule.BYDAY?.split(',').map((day) => WEEKDAYS.indexOf(day)),
+  };
+}
+
+/**
+ * 解析 ICS 文本中的事件
+ * @param {string} text
+ * @returns {CalendarEvent[]}
+ */
+export function parseICS(text) {
+  const events = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      current = { summary: '', allDay: false, exdates: new Set() };
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.start && current.status !== 'CANCELLED') {
+        events.push(current);
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    const { name, params, value } = prop;
+    if (name === 'SUMMARY') {
+      current.summary = unescapeText(value);
+    } else if (name === 'LOCATION') {
+      current.location = unescapeText(value) || undefined;
+    } else if (name === 'STATUS') {
+      current.status = value.toUpperCase();
+    } else if (name === 'DTSTART') {
+      const parsed = parseDate(value, params);
+      if (parsed) {
+        current.start = parsed.date;
+        current.allDay = parsed.allDay;
+      }
+    } else if (name === 'DTEND') {
+      current.end = parseDate(value, params)?.date;
+    } else if (name === 'RRULE') {
+      current.rrule = parseRRule(value);
+    } else if (name === 'EXDATE') {
+      for (const item of value.split(',')) {
+        const parsed = parseDate(item, params);
+        if (parsed) current.exdates.add(dayKey(parsed.date));
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * 星期几 (0 为周日) 转为从周一开始的序号
+ */
+function fromMonday(weekday) {
+  return (weekday + 6) % 7;
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * 两个日期相差的天数 (按日历日计算，不受夏令时影响)
+ */
+function daysBetween(from, to) {
+  const utc = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((utc(to) - utc(from)) / DAY_MS);
+}
+
+/**
+ * 重复事件在某一天的第几次发生，不在这一天发生时返回 -1
+ */
+function occurrenceIndex(event, day) {
+  const { start, rrule } = event;
+  const days = daysBetween(start, day);
+  if (days < 0) return -1;
+
+  if (rrule.freq === 'DAILY') {
+    return days % rrule.interval === 0 ? days / rrule.interval : -1;
+  }
+  if (rrule.freq === 'WEEKLY') {
+    // 以周一为一周的开始 (WKST=MO)
+    const byday = (rrule.byday?.filter((e) => e >= 0) ?? [start.getDay()])
+      .map(fromMonday)
+      .sort((a, b) => a - b);
+    const position = byday.indexOf(fromMonday(day.getDay()));
+    const weeks = Math.floor((days + fromMonday(start.getDay())) / 7);
+    if (position < 0 || weeks % rrule.interval !== 0) return -1;
+    return (weeks / rrule.interval) * byday.length + position;
+  }
+  if (rrule.byday) {
+    return -1;
+  }
+  if (rrule.freq === 'MONTHLY') {
+    const months =
+      (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+    return day.getDate() === start.getDate() && months % rrule.interval === 0
+      ? months / rrule.interval
+      : -1;
+  }
+  if (rrule.freq === 'YEARLY') {
+    const years = day.getFullYear() - start.getFullYear();
+    return day.getMonth() === start.getMonth() &&
+      day.getDate() === start.getDate() &&
+      years % rrule.interval === 0
+      ? years / rrule.interval
+      : -1;
+  }
+  return -1;
+}
+
+/**
+ * 获取某一天的日程 (按开始时间排序，全天事件在前)
+ * @param {CalendarEvent[]} events
+ * @param {Date} [date] - 默认为今天
+ * @returns {{ summary: string, location?: string, start: Date, end?: Date, allDay: boolean }[]}
+ */
+export function getEventsOn(events, date = new Date()) {
+  const dayStart = startOfDay(date);
+  const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+  const result = [];
+
+  for (const event of events) {
+    const duration = event.end ? event.end - event.start : event.allDay ? DAY_MS : 0;
+
+    if (!event.rrule) {
+      const end = new Date(event.start.getTime() + duration);
+      const overlaps = event.start < dayEnd && (end > dayStart || event.start >= dayStart);
+      if (overlaps) {
+        result.push(event);
+      }
+      continue;
+    }
+
+    if (event.exdates.has(dayKey(dayStart))) continue;
+    const index = occurrenceIndex(event, dayStart);
+    if (index < 0 || (event.rrule.count != null && index >= event.rrule.count)) continue;
+
+    const start = new Date(
+      dayStart.getFullYear(),
+      dayStart.getMonth(),
+      dayStart.getDate(),
+      event.start.getHours(),
+      event.start.getMinutes(),
+      event.start.getSeconds(),
+    );
+    if (start < event.start || (event.rrule.until && start > event.rrule.until)) continue;
+    result.push({
+      ...event,
+      start,
+      end: duration > 0 ? new Date(start.getTime() + duration) : undefined,
+    });
+  }
+
+  return result
+    .sort((a, b) => Number(b.allDay) - Number(a.allDay) || a.start - b.start)
+    .map(({ summary, location, start, end, allDay }) => ({
+      summary,
+      location,
+      start,
+      end,
+      allDay,
+    }));
+}
@@ -0,0 +1,214 @@
+/**
+ * 意图路由模块
+ * 按优先级匹配语音指令 (精确/包含/正则/自定义函数)，未命中时可交给大模型分类
+ */
+
+/**
+ * @typedef {{
+ *   text: string,
+ *   normalizedText: string,
+ *   msg: object,
+ *   device: string,
+ *   deviceState: object
+ * }} IntentContext
+ */
+
+/**
+ * @typedef {{
+ *   exact?: string | string[],
+ *   contains?: string | string[],
+ *   regex?: string | RegExp,
+ *   test?: (ctx: IntentContext) => object | boolean | null | undefined
+ * }} IntentRule
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   priority?: number,
+ *   match?: IntentRule | IntentRule[],
+ *   description?: string,
+ *   fallback?: boolean,
+ *   handle: (ctx: IntentContext & { intent: Intent, params: object }) => Promise<any> | any
+ * }} Intent
+ */
+
+/**
+ * 规范化文本 (去除空格和标点)
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .trim()
+    .replace(/\s+/g, '')
+    .replace(/[，。,.!?！？]/g, '');
+}
+
+/**
+ * 替换模板中的 {{变量}}，未提供的变量保持原样
+ */
+export function renderTemplate(template, params = {}) {
+  if (typeof template !== 'string') {
+    return template;
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    params[name] != null ? String(params[name]) : match,
+  );
+}
+
+/**
+ * 匹配单条规则
+ * @param {IntentRule} rule
+ * @param {IntentContext} ctx
+ * @returns {object|null} 匹配参数 (正则的命名分组)，未匹配时返回 null
+ */
+function matchRule(rule, ctx) {
+  if (rule.exact != null) {
+    const keywords = [rule.exact].flat().map(normalizeText);
+    if (!keywords.includes(ctx.normalizedText)) return null;
+  }
+  if (rule.contains != null) {
+    const keywords = [rule.contains].flat().map(normalizeText).filter(Boolean);
+    const keyword = keywords.find((e) => ctx.normalizedText.includes(e));
+    if (!keyword) return null;
+  }
+  let params = {};
+  if (rule.regex != null) {
+    const match = ctx.text.match(
+      rule.regex instanceof RegExp ? rule.regex : new RegExp(rule.regex),
+    );
+    if (!match) return null;
+    params = { ...match.groups };
+  }
+  if (rule.test) {
+    const result = rule.test(ctx);
+    if (!result) return null;
+    if (typeof result === 'object') {
+      params = { ...params, ...result };
+    }
+  }
+  return params;
+}
+
+/**
+ * 意图路由器
+ *
+ * 匹配顺序:
+ * 1. 普通意图按 priority 从高到低匹配规则，同优先级按注册顺序
+ * 2. 都未命中、开启了大模型分类且 shouldClassify 通过时，让大模型从带 description 的意图中选择
+ * 3. 兜底意图 (fallback: true，如 AI 对话) 按 priority 匹配规则
+ */
+export class IntentRouter {
+  /**
+   * @param {{
+   *   ask?: (prompt: string) => Promise<string>,
+   *   shouldClassify?: (ctx: IntentContext) => boolean,
+   *   onMatch?: (matched: { intent: Intent, params: object, by: 'rule'|'llm' }, ctx: IntentContext) => void
+   * }} options - ask: 请求大模型; shouldClassify: 是否交给大模型分类 (默认都分类);
+   *   onMatch: 命中意图后、执行前的回调
+   */
+  constructor(options = {}) {
+    this.ask = options.ask;
+    this.shouldClassify = options.shouldClassify ?? (() => true);
+    this.onMatch = options.onMatch;
+    this.llmFallback = false;
+
+    /** @type {Map<string, Intent>} */
+    this.intents = new Map();
+  }
+
+  /**
+   * 注册意图，同名意图会被覆盖
+   * @param {Intent} intent
+   */
+  register(intent) {
+    if (!intent?.name || typeof intent.handle !== 'function') {
+      throw new Error('Intent name and handle() are required');
+    }
+    this.intents.delete(intent.name);
+    this.intents.set(intent.name, { priority: 0, ...intent });
+  }
+
+  unregister(name) {
+    this.intents.delete(name);
+  }
+
+  /**
+   * 按匹配顺序列出意图
+   * @returns {Intent[]}
+   */
+  list() {
+    // Array.prototype.sort 是稳定排序，同优先级保持注册顺序
+    return Array.from(this.intents.values()).sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * 查找匹配的意图
+   * @param {IntentContext} ctx
+   * @returns {Promise<{ intent: Intent, params: object, by: 'rule'|'llm' }|undefined>}
+   */
+  async match(ctx) {
+    const intents = this.list();
+
+    const matchByRule = (intent) => {
+      for (const rule of [intent.match ?? []].flat()) {
+        const params = matchRule(rule, ctx);
+        if (params) return { intent, params, by: 'rule' };
+      }
+    };
+
+    for (const intent of intents.filter((e) => !e.fallback)) {
+      const result = matchByRule(intent);
+      if (result) return result;
+    }
+
+    if (this.llmFallback && this.ask && ctx.text && this.shouldClassify(ctx)) {
+      const intent = await this.classify(ctx.text, intents);
+      if (intent) return { intent, params: {}, by: 'llm' };
+    }
+
+    for (const intent of intents.filter((e) => e.fallback)) {
+      const result = matchByRule(intent);
+      if (result) return result;
+    }
+  }
+
+  /**
+   * 匹配意图并执行
+   * @param {IntentContext} ctx
+   * @returns {Promise<{ intent: string, result: any }|undefined>} 未命中时返回 undefined
+   */
+  async route(ctx) {
+    const matched = await this.match(ctx);
+    if (!matched) return;
+
+    const { intent, params, by } = matched;
+    console.log(`🎯 意图: ${intent.name}${by === 'llm' ? ' (大模型识别)' : ''}`);
+    this.onMatch?.(matched, ctx);
+    const result = await intent.handle({ ...ctx, intent, params });
+    return { intent: intent.name, result };
+  }
+
+  /**
+   * 让大模型从带 description 的意图中选择，无法判断时返回 undefined
+   */
+  async classify(text, intents) {
+    const candidates = intents.filter((e) => e.description && !e.fallback);
+    if (candidates.length < 1) return;
+
+    const prompt = [
+      '判断用户的语音指令属于以下哪个意图，只回复意图名称，都不符合时回复 none。',
+      '',
+      ...candidates.map((e) => `- ${e.name}: ${e.description}`),
+      '',
+      `用户指令: ${text}`,
+    ].join('\n');
+
+    try {
+      // 只接受完整的意图名称，避免 "不是 open_door" 之类的回答误触发
+      const answer = String((await this.ask(prompt)) || '').trim();
+      return candidates.find((e) => answer === e.name);
+    } catch (error) {
+      console.error('❌ 大模型意图识别失败:', error.message);
+    }
+  }
+}
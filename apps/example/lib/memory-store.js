@@ -0,0 +1,318 @@
+/**
+ * 长期记忆模块
+ * 保存用户让助手记住的事情 ("记住我女儿对花生过敏")，对话时按关键词相关度 (BM25)
+ * 挑选相关的记忆注入系统提示词 ({{memory}})，不依赖外部向量服务
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { normalizeText, renderTemplate } from './intent-router.js';
+
+// BM25 参数
+const K1 = 1.2;
+const B = 0.75;
+
+// 要记住的内容至少包含的字数
+const MIN_FACT_LENGTH = 2;
+
+const EXTRACT_PROMPT = `用户让你记住一件事，请把它整理成一句简洁的陈述，用"用户"指代说话的人。
+只输出这句话，不要添加其他内容。
+
+示例：
+输入：我女儿对花生过敏
+输出：用户的女儿对花生过敏
+
+输入：{{text}}
+输出：`;
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   text: string,
+ *   source: 'voice' | 'api',
+ *   createdAt: number
+ * }} Fact
+ */
+
+/**
+ * 分词: 英文和数字按单词，中文没有分词，使用相邻两个字 (单独一个字时使用这个字)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  const words = String(text || '')
+    .toLowerCase()
+    .match(/[a-z0-9]+|[\u3400-\u9fff]+/g);
+  for (const word of words || []) {
+    if (/^[a-z0-9]/.test(word) || word.length === 1) {
+      tokens.push(word);
+      continue;
+    }
+    for (let index = 0; index < word.length - 1; index++) {
+      tokens.push(word.slice(index, index + 2));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 按 BM25 计算每个文档与查询的相关度
+ * @param {string[]} query - 查询的分词结果
+ * @param {string[][]} docs - 每个文档的分词结果
+ * @returns {number[]}
+ */
+function scoreBM25(query, docs) {
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+  const docFreq = new Map();
+  for (const doc of docs) {
+    for (const token of new Set(doc)) {
+      docFreq.set(token, (docFreq.get(token) ?? 0) + 1);
+    }
+  }
+
+  return docs.map((doc) => {
+    let score = 0;
+    for (const token of new Set(query)) {
+      const freq = doc.filter((e) => e === token).length;
+      if (freq < 1) continue;
+      const n = docFreq.get(token);
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += (idf * freq * (K1 + 1)) / (freq + K1 * (1 - B + (B * doc.length) / avgLength));
+    }
+    return score;
+  });
+}
+
+/**
+ * 去掉开头和结尾的标点，如 "，我女儿对花生过敏。" -> "我女儿对花生过敏"
+ */
+function cleanFact(text) {
+  return String(text || '')
+    .trim()
+    .replace(/^[，,：:、\s]+/, '')
+    .replace(/[。.!！~～\s]+$/, '');
+}
+
+/**
+ * 要记住的内容的字数 (中文按字，英文和数字按单词)，
+ * 不计 "记住了吗"、"记住没有" 这类询问是否记住的语气词
+ */
+function factLength(text) {
+  const content = text.replace(/^(?:了|没)/, '').replace(/(?:吗|呢|吧|啊|呀|没有|没)[?？]?$/, '');
+  return content.match(/[\u3400-\u9fff]|[a-z0-9]+/gi)?.length ?? 0;
+}
+
+/**
+ * 长期记忆存储
+ */
+export class MemoryStore {
+  constructor(config) {
+    /** @type {Map<string, Fact>} */
+    this.facts = new Map();
+    this.saving = Promise.resolve();
+
+    // 请求大模型的函数 (由 app.js 设置)，extract=llm 时用于整理记忆
+    this.ask = null;
+
+    this.applyConfig(config);
+    this.filePath = resolve(this.config.file || './data/memory.json');
+  }
+
+  applyConfig(config) {
+    this.config = config.memory || {};
+    this.enabled = Boolean(this.config.enabled);
+    this.rememberKeywords = this.config.rememberKeywords || ['记住', '请记住', '帮我记住'];
+    this.forgetKeywords = this.config.forgetKeywords || ['忘掉', '请忘掉', '帮我忘掉', '不用记住'];
+    this.rememberMessage = this.config.rememberMessage ?? '好的，我记住了。';
+    this.forgetMessage = this.config.forgetMessage ?? '好的，已经忘掉了：{{fact}}。';
+    this.limit = this.config.limit ?? 5;
+    this.maxFacts = this.config.maxFacts ?? 200;
+  }
+
+  /**
+   * 应用新配置 (热重载)，文件路径 (file) 修改后需要重启
+   */
+  updateConfig(config) {
+    this.applyConfig(config);
+  }
+
+  /**
+   * 从文件加载记忆
+   */
+  async load() {
+    const content = await readFile(this.filePath, 'utf8').catch(() => null);
+    if (!content) {
+      return;
+    }
+    try {
+      for (const fact of JSON.parse(content)) {
+        if (fact?.id && fact.text) {
+          this.facts.set(fact.id, fact);
+        }
+      }
+      console.log(`✅ 已加载长期记忆: ${this.facts.size} 条`);
+    } catch (error) {
+      console.error('❌ 长期记忆文件解析失败:', error.message);
+    }
+  }
+
+  /**
+   * 获取所有记忆 (按创建时间排序)
+   * @returns {Fact[]}
+   */
+  list() {
+    return Array.from(this.facts.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * 新增一条记忆并写入文件，内容相同的记忆只保存一次
+   * 超出 maxFacts 时删除最早的记忆
+   * @param {string} text
+   * @param {'voice'|'api'} [source]
+   * @returns {Promise<Fact>}
+   */
+  async add(text, source = 'api') {
+    const content = cleanFact(text);
+    if (!content) {
+      throw new Error('text is required');
+    }
+
+    const existing = this.list().find((e) => normalizeText(e.text) === normalizeText(content));
+    if (existing) {
+      return existing;
+    }
+
+    const fact = { id: randomUUID(), text: content, source, createdAt: Date.now() };
+    this.facts.set(fact.id, fact);
+    for (const old of this.list().slice(0, Math.max(0, this.facts.size - this.maxFacts))) {
+      this.facts.delete(old.id);
+    }
+    await this.save();
+    return fact;
+  }
+
+  /**
+   * 删除一条记忆
+   * @returns {Promise<boolean>} 记忆是否存在
+   */
+  async remove(id) {
+    if (!this.facts.delete(id)) {
+      return false;
+    }
+    await this.save();
+    return true;
+  }
+
+  /**
+   * 删除所有记忆
+   */
+  async clear() {
+    this.facts.clear();
+    await this.save();
+  }
+
+  /**
+   * 按相关度查找记忆，只返回相关度大于 0 的记忆
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {(Fact & { score: number })[]}
+   */
+  search(query, limit = this.limit) {
+    const facts = this.list();
+    const tokens = tokenize(query);
+    if (facts.length < 1 || tokens.length < 1) {
+      return [];
+    }
+    const scores = scoreBM25(
+      tokens,
+      facts.map((fact) => tokenize(fact.text)),
+    );
+    return facts
+      .map((fact, index) => ({ ...fact, score: scores[index] }))
+      .filter((fact) => fact.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * 解析 "记住…" 语音指令 (关键词需要在句首，后面至少有两个字的内容)
+   * @returns {{ text: string }|undefined}
+   */
+  parseRemember(text) {
+    if (!this.enabled) {
+      return;
+    }
+    const content = this.stripKeyword(text, this.rememberKeywords);
+    if (factLength(content) >= MIN_FACT_LENGTH) {
+      return { text: content };
+    }
+  }
+
+  /**
+   * 解析 "忘掉…" 语音指令，只有找到相关的记忆时才匹配
+   * @returns {{ id: string, text: string }|undefined}
+   */
+  parseForget(text) {
+    if (!this.enabled) {
+      return;
+    }
+    const content = this.stripKeyword(text, this.forgetKeywords);
+    const [fact] = content ? this.search(content, 1) : [];
+    if (fact) {
+      return { id: fact.id, text: fact.text };
+    }
+  }
+
+  stripKeyword(text, keywords) {
+    const trimmed = String(text || '').trim();
+    const keyword = keywords
+      .filter((k) => trimmed.startsWith(k))
+      .sort((a, b) => b.length - a.length)[0];
+    return keyword ? cleanFact(trimmed.slice(keyword.length)) : '';
+  }
+
+  /**
+   * 记住用户说的事情，返回确认语
+   * extract=llm 时由大模型整理成一句话，失败时直接保存原话
+   */
+  async remember(text) {
+    let content = text;
+    if (this.config.extract === 'llm' && this.ask) {
+      try {
+        const answer = cleanFact(await this.ask(renderTemplate(EXTRACT_PROMPT, { text })));
+        content = answer || text;
+      } catch (error) {
+        console.error('❌ 整理记忆失败，保存原话:', error.message);
+      }
+    }
+    const fact = await this.add(content, 'voice');
+    console.log(`🧠 已记住: ${fact.text}`);
+    return renderTemplate(this.rememberMessage, { fact: fact.text });
+  }
+
+  /**
+   * 忘掉一条记忆，返回确认语
+   */
+  async forget({ id, text }) {
+    await this.remove(id);
+    console.log(`🧠 已忘掉: ${text}`);
+    return renderTemplate(this.forgetMessage, { fact: text });
+  }
+
+  /**
+   * 写入文件 (按顺序执行，避免并发写入)
+   */
+  save() {
+    this.saving = this.saving
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(this.filePath, JSON.stringify(this.list(), null, 2), 'utf8');
+      })
+      .catch((error) => {
+        console.error('❌ 保存长期记忆失败:', error.message);
+      });
+    return this.saving;
+  }
+}
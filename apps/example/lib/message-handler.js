@@ -1,20 +1,58 @@
 /**
  * 消息处理模块
- * 处理小爱音箱的语音消息,实现唤醒词、AI 对话等功能
+ * 处理小爱音箱的语音消息,通过意图路由实现唤醒词、AI 对话和自定义语音指令
  */
 
+import { ChatBot } from '@mi-gpt/next';
+import { IntentRouter, normalizeText, renderTemplate } from './intent-router.js';
+
 export class MessageHandler {
   constructor(config, engine, apiServer) {
-    this.config = config;
     this.engine = engine;
     this.apiServer = apiServer;
+    this.router = new IntentRouter({
+      ask: (prompt) => ChatBot.ask(prompt, { maxTokens: 20, task: 'intent' }),
+      // 只在命中唤醒词或 AI 模式时请求大模型，小爱的普通指令不会多一次请求，也不会误触发自定义动作
+      shouldClassify: (ctx) => Boolean(this.matchChat(ctx)),
+      onMatch: ({ intent, params, by }, { device, text }) => {
+        this.apiServer.webhooks?.emit('intent.matched', {
+          device,
+          text,
+          intent: intent.name,
+          params,
+          by,
+        });
+      },
+    });
+    /** config.yaml 中声明的意图名称 (热重载时替换) */
+    this.configIntents = [];
+    this.updateConfig(config);
+  }
+
+  /**
+   * 应用新配置 (热重载)
+   */
+  updateConfig(config) {
+    this.config = config;
     this.wakeupConfig = config.wakeup;
     this.storyConfig = config.story;
+    this.intentsConfig = config.intents || {};
+
+    for (const name of this.configIntents) {
+      this.router.unregister(name);
+    }
+    // 自定义意图与内置意图同名时会覆盖内置意图，这里重新注册以便删除配置后恢复
+    this.registerBuiltinIntents();
+    this.configIntents = (this.intentsConfig.custom || []).map((intent) => {
+      this.registerConfigIntent(intent);
+      return intent.name;
+    });
+    this.router.llmFallback = Boolean(this.intentsConfig.llmFallback);
   }
 
   /**
    * 处理收到的消息
-   * @param {object} msg - 消息对象 { text: string, ... }
+   * @param {object} msg - 消息对象 { text: string, device?: string, ... }
    * @returns {Promise<object|undefined>} { handled: boolean } 或 undefined
    */
   async handle(msg) {
@@ -25,112 +63,320 @@ export class MessageHandler {
     }
 
     const text = msg.text || '';
-    const normalizedText = this.normalizeText(text);
 
-    // 检查是否是停止播放指令
-    if (this.isStopCommand(normalizedText)) {
-      await this.apiServer.enqueueTask(
-        async () => {
-          try {
-            await engine.speaker.abortXiaoAI();
-          } catch (error) {
-            console.warn('打断播放失败:', error.message);
-          }
-          try {
-            await engine.MiNA.stop();
-          } catch (error) {
-            console.warn('停止播放失败:', error.message);
-          }
+    // 消息来源的音箱: AI 模式、任务队列和对话上下文按音箱隔离
+    const deviceState = this.apiServer.getDeviceState(msg.device);
+    const device = deviceState.name;
+
+    this.apiServer.webhooks?.emit('message.received', {
+      device,
+      text,
+      timestamp: msg.timestamp,
+    });
+
+    const routed = await this.router.route({
+      text,
+      normalizedText: normalizeText(text),
+      msg,
+      device,
+      deviceState,
+    });
+
+    if (!routed) {
+      return; // 不处理,让小爱自己回答
+    }
+
+    // ⚡⚡⚡ 关键修改:立即返回 handled,完全阻止小爱的默认处理
+    // 这样小爱不会说 "我在" 或其他默认回复
+    return { handled: true };
+  }
+
+  /**
+   * 注册内置意图: 停止播放、语音提醒、切换角色、长期记忆、进入/退出 AI 模式、讲故事、AI 对话
+   */
+  registerBuiltinIntents() {
+    // 停止播放: 立即打断,不进入任务队列,否则要等当前的故事/回复播完才会执行
+    this.router.register({
+      name: 'stop',
+      priority: 100,
+      match: { test: ({ normalizedText }) => this.isStopCommand(normalizedText) },
+      handle: ({ device }) => this.apiServer.interrupt(device),
+    });
+
+    // 语音提醒 (如 "请提醒我十分钟后关火"),创建一次性定时任务
+    // 小爱会为 "提醒我..." 自己创建提醒,只在命中唤醒词或 AI 模式时处理,避免重复提醒
+    this.router.register({
+      name: 'reminder',
+      priority: 90,
+      match: {
+        test: (ctx) => {
+          const chat = this.matchChat(ctx);
+          return chat && this.apiServer.scheduler?.parseReminder(chat.userText);
+        },
+      },
+      handle: async ({ device, params }) => {
+        const reply = await this.apiServer.scheduler.addReminder(params, device);
+        await this.apiServer.enqueueTask(
+          () => this.apiServer.speakByText(reply, { device, interrupt: true }),
+          { type: 'voice:reminder', device },
+        );
+      },
+    });
+
+    // 切换角色 (如 "切换到英语老师"),只匹配已配置的角色名称,其他内容交给后续意图
+    this.router.register({
+      name: 'persona',
+      priority: 85,
+      match: { test: ({ text }) => this.apiServer.personas?.parseSwitch(text) },
+      handle: ({ device, params }) =>
+        this.apiServer.enqueueTask(
+          async () => {
+            const persona = await this.apiServer.personas.switch(params.name);
+            // 切换后使用新角色的音色回复
+            await this.apiServer.speakByText(this.apiServer.personas.getSwitchMessage(persona), {
+              device,
+              interrupt: true,
+            });
+          },
+          { type: 'voice:persona', device },
+        ),
+    });
+
+    // 长期记忆: "请记住我女儿对花生过敏"、"请忘掉花生过敏" (只匹配已有的记忆)
+    // 与对话一样只在命中唤醒词或 AI 模式时处理,避免把 "记住了吗" 这类日常对话当成指令
+    this.router.register({
+      name: 'remember',
+      priority: 84,
+      match: {
+        test: (ctx) => {
+          const chat = this.matchChat(ctx);
+          return chat && this.apiServer.memory?.parseRemember(chat.userText);
+        },
+      },
+      handle: ({ device, params }) =>
+        this.apiServer.enqueueTask(
+          async () => {
+            const reply = await this.apiServer.memory.remember(params.text);
+            await this.apiServer.speakByText(reply, { device, interrupt: true });
+          },
+          { type: 'voice:remember', device },
+        ),
+    });
+
+    this.router.register({
+      name: 'forget',
+      priority: 84,
+      match: {
+        test: (ctx) => {
+          const chat = this.matchChat(ctx);
+          return chat && this.apiServer.memory?.parseForget(chat.userText);
         },
-        { type: 'voice:stop' },
-      );
-      return { handled: true };
+      },
+      handle: ({ device, params }) =>
+        this.apiServer.enqueueTask(
+          async () => {
+            const reply = await this.apiServer.memory.forget(params);
+            await this.apiServer.speakByText(reply, { device, interrupt: true });
+          },
+          { type: 'voice:forget', device },
+        ),
+    });
+
+    this.router.register({
+      name: 'enter-ai-mode',
+      priority: 80,
+      match: { exact: this.wakeupConfig.enterAIMode },
+      handle: ({ device, deviceState }) => {
+        deviceState.aiConversationMode = true;
+        this.apiServer.webhooks?.emit('ai_mode.changed', { device, enabled: true });
+        return this.apiServer.enqueueTask(
+          () =>
+            this.apiServer.speakByText(this.wakeupConfig.enterMessage, { device, interrupt: true }),
+          { type: 'voice:enter-ai-mode', device },
+        );
+      },
+    });
+
+    this.router.register({
+      name: 'exit-ai-mode',
+      priority: 80,
+      match: { exact: this.wakeupConfig.exitAIMode },
+      handle: ({ device, deviceState }) => {
+        deviceState.aiConversationMode = false;
+        this.apiServer.webhooks?.emit('ai_mode.changed', { device, enabled: false });
+        return this.apiServer.enqueueTask(
+          () =>
+            this.apiServer.speakByText(this.wakeupConfig.exitMessage, { device, interrupt: true }),
+          { type: 'voice:exit-ai-mode', device },
+        );
+      },
+    });
+
+    // 讲故事和 AI 对话: AI 模式下或命中唤醒词时触发,作为兜底意图最后匹配
+    this.router.register({
+      name: 'story',
+      priority: 10,
+      fallback: true,
+      match: {
+        test: (ctx) => {
+          const chat = this.matchChat(ctx);
+          return chat && this.isStoryRequest(chat.userText) && chat;
+        },
+      },
+      handle: ({ msg, device, params }) =>
+        this.replyByVoice(msg, params.userText, { device, storyMode: true }),
+    });
+
+    this.router.register({
+      name: 'chat',
+      priority: 0,
+      fallback: true,
+      match: { test: (ctx) => this.matchChat(ctx) },
+      handle: ({ msg, device, params }) => this.replyByVoice(msg, params.userText, { device }),
+    });
+  }
+
+  /**
+   * 注册 config.yaml 中声明的意图
+   * 正则的命名分组可以在 text/url/body 中通过 {{name}} 引用
+   */
+  registerConfigIntent(intent) {
+    const match = ['exact', 'contains', 'regex']
+      .filter((key) => intent[key] != null)
+      .map((key) => ({ [key]: intent[key] }));
+
+    this.router.register({
+      name: intent.name,
+      priority: intent.priority ?? 50,
+      match,
+      description: intent.description,
+      handle: ({ device, params }) =>
+        this.apiServer.enqueueTask(() => this.runIntentAction(intent, params, device), {
+          type: `voice:intent:${intent.name}`,
+          device,
+        }),
+    });
+  }
+
+  /**
+   * 执行自定义意图的动作,完成后播报 reply (如有)
+   */
+  async runIntentAction(intent, params, device) {
+    const render = (value) => renderTemplate(value, params);
+
+    if (intent.action === 'play') {
+      return this.apiServer.playByUrl(render(intent.url), { device, interrupt: true });
+    }
+    if (!intent.action || intent.action === 'speak') {
+      return this.apiServer.speakByText(render(intent.text), { device, interrupt: true });
     }
 
-    // 检查是否是进入 AI 模式指令
-    if (this.isEnterAIModeCommand(normalizedText)) {
-      this.apiServer.aiConversationMode = true;
-      await this.apiServer.enqueueTask(
-        () => this.apiServer.speakByText(this.wakeupConfig.enterMessage, { interrupt: true }),
-        { type: 'voice:enter-ai-mode' },
-      );
-      return { handled: true };
+    // 先打断小爱,避免执行动作期间小爱自己回答
+    await this.apiServer.getDeviceOrThrow(device).speaker.abortXiaoAI();
+    try {
+      if (intent.action === 'webhook') {
+        await this.callWebhook(intent.webhook, render);
+      } else {
+        await this.runMiotAction(intent.miot, device);
+      }
+    } catch (error) {
+      console.error(`❌ 意图执行失败: ${intent.name}`, error.message);
+      if (intent.errorReply) {
+        await this.apiServer.speakByText(render(intent.errorReply), { device });
+      }
+      return;
     }
 
-    // 检查是否是退出 AI 模式指令
-    if (this.isExitAIModeCommand(normalizedText)) {
-      this.apiServer.aiConversationMode = false;
-      await this.apiServer.enqueueTask(
-        () => this.apiServer.speakByText(this.wakeupConfig.exitMessage, { interrupt: true }),
-        { type: 'voice:exit-ai-mode' },
-      );
-      return { handled: true };
+    if (intent.reply) {
+      await this.apiServer.speakByText(render(intent.reply), { device });
     }
+  }
 
-    // 检查是否需要触发 AI
-    const matchedKeyword = this.findMatchedKeyword(text);
-    const shouldHandleAI = this.apiServer.aiConversationMode || matchedKeyword;
+  async callWebhook(webhook, render) {
+    const { body } = webhook;
+    const response = await fetch(render(webhook.url), {
+      method: webhook.method || 'POST',
+      headers: { 'Content-Type': 'application/json', ...webhook.headers },
+      body:
+        body == null
+          ? undefined
+          : typeof body === 'string'
+            ? render(body)
+            : JSON.stringify(body, (_key, value) => render(value)),
+      signal: AbortSignal.timeout(webhook.timeoutMs || 10000),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook HTTP 请求失败: ${response.status}`);
+    }
+  }
 
-    if (!shouldHandleAI) {
-      return; // 不处理,让小爱自己回答
+  async runMiotAction(miot, device) {
+    const { MiOT } = this.apiServer.getDeviceOrThrow(device);
+    const did = this.resolveMiotDevice(miot.device);
+    const ok =
+      miot.aiid != null
+        ? await MiOT.doAction(miot.siid, miot.aiid, miot.args || [], did)
+        : await MiOT.setProperty(miot.siid, miot.piid, miot.value, did);
+    if (!ok) {
+      throw new Error(`米家设备操作失败: ${miot.device}`);
     }
+  }
 
-    // ⚡⚡⚡ 关键修改:立即返回 handled,完全阻止小爱的默认处理
-    // 这样小爱不会说 "我在" 或其他默认回复
+  /**
+   * 设备名称按 tools.devices 查找 did,找不到时直接作为 did 使用
+   */
+  resolveMiotDevice(nameOrDid) {
+    const devices = this.config.tools?.devices || [];
+    const device = devices.find((d) => d.name === nameOrDid);
+    return String(device?.did ?? nameOrDid);
+  }
 
+  /**
+   * 判断是否交给 AI 处理 (AI 模式或命中唤醒词),返回去除唤醒词后的用户文本
+   * @returns {{ userText: string }|undefined}
+   */
+  matchChat({ text, deviceState }) {
+    const matchedKeyword = this.findMatchedKeyword(text);
+    if (!deviceState.aiConversationMode && !matchedKeyword) {
+      return;
+    }
     // 提取用户意图文本
-    const userText = matchedKeyword ? this.extractUserIntent(text, matchedKeyword) : text;
+    return { userText: matchedKeyword ? this.extractUserIntent(text, matchedKeyword) : text };
+  }
 
+  /**
+   * 在后台异步排队处理 AI 请求 (不阻塞返回)
+   */
+  replyByVoice(msg, userText, { device, storyMode = false }) {
     if (!userText) {
-      return { handled: true };
+      return;
     }
 
-    // 在后台异步排队处理 AI 请求 (不阻塞返回)
     this.apiServer
       .enqueueTask(
         async () => {
           try {
             // 打断小爱
-            await engine.speaker.abortXiaoAI();
+            await this.apiServer.getDeviceOrThrow(device).speaker.abortXiaoAI();
 
-            // 判断是否是故事模式
-            const storyMode = this.isStoryRequest(userText);
-
-            // 构建 AI 消息
-            const aiMessage = { ...msg, text: userText };
+            // 构建 AI 消息（语音对话使用独立会话，不与 HTTP 调用和其他音箱混在一起）
+            const session = this.apiServer.getSession('voice', device);
+            const aiMessage = { ...msg, text: userText, session, device };
             if (storyMode) {
               aiMessage.text = `${userText}\n${this.storyConfig.systemPrompt}`;
             }
 
-            // 调用 AI 并播报
-            const aiResponse = await engine.askAI(aiMessage);
-            const replyText = aiResponse.text || '';
-
-            if (replyText) {
-              await this.apiServer.speakByText(replyText, { storyMode, interrupt: false });
-            }
+            // 调用 AI 并播报 (流式回复时边生成边播放)
+            await this.apiServer.replyByAI(aiMessage, { storyMode });
           } catch (error) {
             console.error('后台 AI 处理失败:', error);
           }
         },
-        { type: 'voice:chat' },
+        { type: storyMode ? 'voice:story' : 'voice:chat', device },
       )
       .catch((error) => {
         console.error('语音任务入队失败:', error);
       });
-
-    // 立即返回 handled,阻止小爱说话
-    return { handled: true };
-  }
-
-  /**
-   * 规范化文本 (去除空格和标点)
-   */
-  normalizeText(text) {
-    return String(text || '')
-      .trim()
-      .replace(/\s+/g, '')
-      .replace(/[，。,.!?！？]/g, '');
   }
 
   /**
@@ -138,25 +384,7 @@ export class MessageHandler {
    */
   isStopCommand(normalizedText) {
     return this.wakeupConfig.stopKeywords.some((keyword) =>
-      normalizedText.includes(this.normalizeText(keyword)),
-    );
-  }
-
-  /**
-   * 检查是否是进入 AI 模式指令
-   */
-  isEnterAIModeCommand(normalizedText) {
-    return this.wakeupConfig.enterAIMode.some(
-      (keyword) => normalizedText === this.normalizeText(keyword),
-    );
-  }
-
-  /**
-   * 检查是否是退出 AI 模式指令
-   */
-  isExitAIModeCommand(normalizedText) {
-    return this.wakeupConfig.exitAIMode.some(
-      (keyword) => normalizedText === this.normalizeText(keyword),
+      normalizedText.includes(normalizeText(keyword)),
     );
   }
 
@@ -0,0 +1,391 @@
+/**
+ * MQTT 桥接模块
+ * 发布音箱状态、订阅控制指令,并通过 Home Assistant MQTT Discovery 自动添加实体
+ */
+
+import mqtt from 'mqtt';
+import { resolveSpeakers } from './config-loader.js';
+
+// 可以通过 MQTT 下发的指令: <topicPrefix>/<音箱名称>/<指令>
+const COMMANDS = [
+  'speak',
+  'chat',
+  'play',
+  'stop',
+  'pause',
+  'resume',
+  'volume',
+  'volume_level',
+  'ai_mode',
+];
+
+/**
+ * 解析指令消息: 纯文本或 JSON ({ text, url, volume, ... })
+ */
+function parsePayload(payload) {
+  const raw = payload.toString().trim();
+  if (raw.startsWith('{')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      // 不是合法 JSON 时按纯文本处理
+    }
+  }
+  return { value: raw };
+}
+
+/**
+ * MQTT 桥接
+ *
+ * 主题:
+ * - <prefix>/status: online / offline (遗嘱消息)
+ * - <prefix>/<音箱>/state: 音箱状态 JSON (retain)
+ * - <prefix>/<音箱>/<指令>: 控制指令,见 COMMANDS
+ */
+export class MQTTBridge {
+  constructor(config, apiServer) {
+    this.apiServer = apiServer;
+    this.client = null;
+    this.timers = [];
+
+    /** 每台音箱的播放状态和音量 (来自 MiNA.getStatus) */
+    this.playerStatus = new Map();
+    /** 最近一次发布的状态,未变化时不重复发布 */
+    this.publishedStates = new Map();
+
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    this.config = config.mqtt;
+    this.speakers = resolveSpeakers(config);
+    this.prefix = String(this.config.topicPrefix || 'migpt').replace(/\/$/, '');
+  }
+
+  /**
+   * 应用新配置 (热重载),连接参数变化时重新连接
+   */
+  async updateConfig(config) {
+    const prev = this.config;
+    const prevSpeakers = this.speakers;
+    this.applyConfig(config);
+
+    // 移除已删除音箱的 Home Assistant 实体
+    const dids = this.speakers.map((s) => s.did);
+    const removed = prevSpeakers.filter((s) => !dids.includes(s.did));
+    if (removed.length > 0 && this.client?.connected) {
+      await this.removeDiscovery(removed);
+    }
+
+    const connectionKeys = ['url', 'username', 'password', 'clientId', 'topicPrefix'];
+    if (connectionKeys.some((key) => prev[key] !== this.config[key])) {
+      await this.stop();
+      await this.start();
+      return;
+    }
+
+    this.startTimers();
+    if (this.client?.connected) {
+      await this.onConnect();
+    }
+  }
+
+  async start() {
+    const { url, username, password, clientId } = this.config;
+    this.client = mqtt.connect(url, {
+      username,
+      password,
+      clientId: clientId || `migpt-next-${Math.random().toString(16).slice(2, 10)}`,
+      will: { topic: this.topic('status'), payload: 'offline', retain: true, qos: 1 },
+      reconnectPeriod: 5000,
+    });
+
+    // 每次连接 (包括断线重连) 后重新订阅并发布状态
+    this.client.on('connect', () => {
+      console.log(`✅ MQTT 已连接: ${url}`);
+      this.onConnect().catch((error) => console.error('❌ MQTT 初始化失败:', error.message));
+    });
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload).catch((error) => {
+        console.error(`❌ MQTT 指令执行失败: ${topic}`, error.message);
+      });
+    });
+    this.client.on('error', (error) => console.error('❌ MQTT 连接错误:', error.message));
+
+    this.startTimers();
+  }
+
+  /**
+   * 断开连接,Home Assistant 中的实体会显示为不可用
+   */
+  async stop() {
+    this.stopTimers();
+    const client = this.client;
+    this.client = null;
+    if (!client) return;
+
+    if (client.connected) {
+      await client.publishAsync(this.topic('status'), 'offline', { retain: true, qos: 1 });
+    }
+    await client.endAsync();
+    this.publishedStates.clear();
+  }
+
+  startTimers() {
+    this.stopTimers();
+    // 本地状态 (AI 模式、队列、最近回复) 变化时尽快发布
+    this.timers.push(setInterval(() => this.publishStates(), 1000));
+    // 播放状态和音量需要请求小米服务器,间隔长一些
+    this.timers.push(
+      setInterval(() => this.refreshPlayerStatus(), this.config.statusIntervalMs ?? 30000),
+    );
+    for (const timer of this.timers) {
+      timer.unref();
+    }
+  }
+
+  stopTimers() {
+    for (const timer of this.timers) {
+      clearInterval(timer);
+    }
+    this.timers = [];
+  }
+
+  async onConnect() {
+    const client = this.client;
+    await client.subscribeAsync(
+      COMMANDS.map((command) => this.topic('+', command)),
+      { qos: 1 },
+    );
+    if (this.config.discovery?.enabled !== false) {
+      await this.publishDiscovery();
+    }
+    await client.publishAsync(this.topic('status'), 'online', { retain: true, qos: 1 });
+    this.publishedStates.clear();
+    await this.refreshPlayerStatus();
+  }
+
+  topic(...parts) {
+    return [this.prefix, ...parts].join('/');
+  }
+
+  /**
+   * 音箱当前状态
+   */
+  getState(name) {
+    const state = this.apiServer.getDeviceState(name);
+    const player = this.playerStatus.get(name) ?? {};
+    return {
+      state: player.status ?? 'unknown',
+      volume: player.volume ?? null,
+      ai_mode: state.aiConversationMode ? 'ON' : 'OFF',
+      queue_depth: state.queueDepth,
+      last_reply: state.lastReply ?? '',
+      last_reply_at: state.lastReplyAt,
+      last_task_type: state.lastTaskType,
+      last_task_error: state.lastTaskError?.message ?? null,
+    };
+  }
+
+  /**
+   * 发布状态有变化的音箱
+   */
+  publishStates() {
+    if (!this.client?.connected) return;
+
+    for (const { name } of this.speakers) {
+      const state = this.getState(name);
+      const payload = JSON.stringify(state);
+      if (this.publishedStates.get(name) === payload) continue;
+      this.publishedStates.set(name, payload);
+
+      const publish = (topic, value) => this.client.publish(topic, String(value), { retain: true });
+      publish(this.topic(name, 'state'), payload);
+      // 供 Home Assistant media_player 使用的单值主题
+      publish(this.topic(name, 'media', 'state'), state.state);
+      publish(this.topic(name, 'media', 'title'), state.last_reply.slice(0, 255));
+      publish(this.topic(name, 'media', 'volume'), state.volume == null ? 0 : state.volume / 100);
+    }
+  }
+
+  /**
+   * 通过 MiNA.getStatus 刷新播放状态和音量
+   * @param {string[]} names - 音箱名称,默认全部
+   */
+  async refreshPlayerStatus(names = this.speakers.map((s) => s.name)) {
+    await Promise.all(
+      names.map(async (name) => {
+        try {
+          const status = await this.apiServer.getDeviceOrThrow(name).MiNA.getStatus();
+          if (status) {
+            this.playerStatus.set(name, status);
+          }
+        } catch {
+          // Engine 未就绪时跳过,下次再刷新
+        }
+      }),
+    );
+    this.publishStates();
+  }
+
+  /**
+   * 处理控制指令
+   */
+  async handleMessage(topic, payload) {
+    const parts = topic.split('/');
+    const command = parts.pop();
+    const name = parts.pop();
+    if (parts.join('/') !== this.prefix || !COMMANDS.includes(command)) return;
+    if (!this.speakers.some((s) => s.name === name)) {
+      console.warn(`⚠️ MQTT 指令的音箱不存在: ${name}`);
+      return;
+    }
+
+    const data = parsePayload(payload);
+    console.log(`📨 MQTT 指令: ${name} ${command}`);
+    await this.runCommand(name, command, data);
+    await this.refreshPlayerStatus([name]);
+  }
+
+  async runCommand(device, command, data) {
+    const api = this.apiServer;
+    const text = data.text ?? data.message ?? data.value;
+    const enqueue = (task) => api.enqueueTask(task, { type: `mqtt:${command}`, device });
+
+    if (['speak', 'chat'].includes(command) && !text) {
+      throw new Error('缺少文本内容');
+    }
+
+    switch (command) {
+      case 'speak':
+        return enqueue(() => api.speakByText(text, { device, interrupt: true }));
+      case 'chat':
+        return enqueue(() => api.askAndSpeak(text, { device, interrupt: true }));
+      case 'play': {
+        // 兼容 media_player 的 play_media 消息 ({ media_id })
+        const url = data.url ?? data.media_id ?? data.value;
+        if (!url) {
+          throw new Error('缺少音频地址');
+        }
+        return enqueue(() => api.playByUrl(url, { device, interrupt: true }));
+      }
+      case 'stop':
+        // 立即打断,不进入任务队列
+        return api.interrupt(device);
+      case 'pause':
+        return api.getDeviceOrThrow(device).MiNA.pause();
+      case 'resume':
+        return api.getDeviceOrThrow(device).MiNA.play();
+      case 'volume':
+        return api.getDeviceOrThrow(device).MiNA.setVolume(Number(data.volume ?? data.value));
+      case 'volume_level': {
+        // media_player 的音量范围为 0-1
+        const level = Number(data.volume ?? data.value);
+        return api.getDeviceOrThrow(device).MiNA.setVolume(Math.round(level * 100));
+      }
+      case 'ai_mode': {
+        const enabled = ['ON', 'TRUE', '1'].includes(
+          String(data.enabled ?? data.value).toUpperCase(),
+        );
+        api.getDeviceState(device).aiConversationMode = enabled;
+        api.webhooks?.emit('ai_mode.changed', { device, enabled });
+        return;
+      }
+    }
+  }
+
+  /**
+   * Home Assistant 实体配置
+   */
+  discoveryConfigs({ name, did }) {
+    const id = `migpt_${did}`;
+    const stateTopic = this.topic(name, 'state');
+    const common = {
+      availability_topic: this.topic('status'),
+      device: {
+        identifiers: [id],
+        name: `小爱音箱 ${name}`,
+        manufacturer: 'Xiaomi',
+        model: 'MiGPT-Next',
+      },
+    };
+    const entity = (component, key, config) => ({
+      topic: `${this.discoveryPrefix()}/${component}/${id}/${key}/config`,
+      payload: { ...common, unique_id: `${id}_${key}`, object_id: `${id}_${key}`, ...config },
+    });
+
+    return [
+      entity('notify', 'speak', { name: '播报', command_topic: this.topic(name, 'speak') }),
+      entity('notify', 'chat', { name: 'AI 对话', command_topic: this.topic(name, 'chat') }),
+      entity('number', 'volume', {
+        name: '音量',
+        command_topic: this.topic(name, 'volume'),
+        state_topic: stateTopic,
+        value_template: '{{ value_json.volume }}',
+        min: 0,
+        max: 100,
+        icon: 'mdi:volume-high',
+      }),
+      entity('switch', 'ai_mode', {
+        name: 'AI 模式',
+        command_topic: this.topic(name, 'ai_mode'),
+        state_topic: stateTopic,
+        value_template: '{{ value_json.ai_mode }}',
+        icon: 'mdi:robot',
+      }),
+      entity('button', 'stop', {
+        name: '停止播放',
+        command_topic: this.topic(name, 'stop'),
+        icon: 'mdi:stop',
+      }),
+      entity('sensor', 'queue_depth', {
+        name: '任务队列',
+        state_topic: stateTopic,
+        value_template: '{{ value_json.queue_depth }}',
+        icon: 'mdi:tray-full',
+      }),
+      entity('sensor', 'last_reply', {
+        name: '最近回复',
+        state_topic: stateTopic,
+        // 传感器状态最长 255 个字符,完整内容见属性
+        value_template: '{{ value_json.last_reply[:255] }}',
+        json_attributes_topic: stateTopic,
+        icon: 'mdi:message-reply-text',
+      }),
+      // media_player 不在 Home Assistant 内置的 MQTT 平台中,需要安装 mqtt_media_player 集成
+      entity('media_player', 'player', {
+        name: '播放器',
+        state_state_topic: this.topic(name, 'media', 'state'),
+        state_title_topic: this.topic(name, 'media', 'title'),
+        state_volume_topic: this.topic(name, 'media', 'volume'),
+        command_volume_topic: this.topic(name, 'volume_level'),
+        command_play_topic: this.topic(name, 'resume'),
+        command_pause_topic: this.topic(name, 'pause'),
+        command_playmedia_topic: this.topic(name, 'play'),
+      }),
+    ];
+  }
+
+  discoveryPrefix() {
+    return String(this.config.discovery?.prefix || 'homeassistant').replace(/\/$/, '');
+  }
+
+  async publishDiscovery() {
+    for (const speaker of this.speakers) {
+      for (const { topic, payload } of this.discoveryConfigs(speaker)) {
+        await this.client.publishAsync(topic, JSON.stringify(payload), { retain: true, qos: 1 });
+      }
+    }
+  }
+
+  /**
+   * 移除音箱对应的 Home Assistant 实体 (发布空的 retain 消息)
+   */
+  async removeDiscovery(speakers) {
+    for (const speaker of speakers) {
+      for (const { topic } of this.discoveryConfigs(speaker)) {
+        await this.client.publishAsync(topic, '', { retain: true, qos: 1 });
+      }
+    }
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * 角色管理模块
+ * 每个角色有自己的系统提示词、模型、音色、进入/退出 AI 模式的回复和独立的对话历史，
+ * 可以通过语音 ("切换到英语老师") 或 /api/persona 切换，当前角色保存到文件，重启后恢复
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { normalizeText } from './intent-router.js';
+
+// 角色可以覆盖的 ai 配置项
+const AI_OVERRIDES = ['systemPrompt', 'model', 'temperature', 'maxTokens', 'historyMaxLength'];
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   aliases?: string[],
+ *   description?: string,
+ *   systemPrompt?: string,
+ *   model?: string,
+ *   temperature?: number,
+ *   maxTokens?: number,
+ *   historyMaxLength?: number,
+ *   voice?: string,
+ *   enterMessage?: string,
+ *   exitMessage?: string,
+ *   switchMessage?: string
+ * }} Persona
+ */
+
+/**
+ * 角色管理器
+ * 当前角色为 null 时使用 config.yaml 中的 ai、tts.voice 和 wakeup 配置 (默认角色)
+ */
+export class PersonaManager {
+  constructor(config) {
+    /** @type {Persona|null} */
+    this.active = null;
+    this.saving = Promise.resolve();
+
+    // 切换角色后的回调 (由 app.js 设置，重新应用配置)
+    this.onChange = null;
+
+    this.applyConfig(config);
+    this.filePath = resolve(this.config.file || './data/persona.json');
+  }
+
+  applyConfig(config) {
+    this.config = config.personas || {};
+    /** @type {Persona[]} */
+    this.personas = this.config.list || [];
+    this.defaultName = this.config.defaultName || '默认';
+    this.switchKeywords = this.config.switchKeywords || ['切换到', '切换成'];
+    this.switchMessage = this.config.switchMessage ?? '好的，已切换到{{name}}。';
+  }
+
+  /**
+   * 应用新配置 (热重载)，当前角色被删除时回到默认角色
+   * 文件路径 (file) 修改后需要重启
+   */
+  updateConfig(config) {
+    this.applyConfig(config);
+    if (this.active) {
+      const persona = this.find(this.active.name);
+      if (!persona) {
+        console.warn(`⚠️  角色 ${this.active.name} 已从配置中删除，使用默认角色`);
+      }
+      this.active = persona ?? null;
+    }
+  }
+
+  /**
+   * 从文件恢复上次使用的角色
+   */
+  async load() {
+    const content = await readFile(this.filePath, 'utf8').catch(() => null);
+    if (!content) {
+      return;
+    }
+    try {
+      const { name } = JSON.parse(content);
+      if (!name) {
+        return;
+      }
+      this.active = this.find(name) ?? null;
+      if (this.active) {
+        console.log(`✅ 已恢复角色: ${this.active.name}`);
+      } else {
+        console.warn(`⚠️  角色 ${name} 不在配置中，使用默认角色`);
+      }
+    } catch (error) {
+      console.error('❌ 角色文件解析失败:', error.message);
+    }
+  }
+
+  /**
+   * 按名称或别名查找角色
+   * @param {string} name
+   * @returns {Persona|undefined}
+   */
+  find(name) {
+    const target = normalizeText(name);
+    if (!target) {
+      return;
+    }
+    return this.personas.find((persona) =>
+      [persona.name, ...(persona.aliases || [])].some((e) => normalizeText(e) === target),
+    );
+  }
+
+  /**
+   * 是否是默认角色的名称 (defaultName 或 default)
+   */
+  isDefault(name) {
+    const target = normalizeText(name);
+    return target === normalizeText(this.defaultName) || target.toLowerCase() === 'default';
+  }
+
+  /**
+   * 列出所有角色 (第一项为默认角色)
+   */
+  list() {
+    const activeName = this.active?.name ?? null;
+    return [
+      { name: this.defaultName, default: true, active: activeName === null },
+      ...this.personas.map((persona) => ({
+        name: persona.name,
+        aliases: persona.aliases || [],
+        description: persona.description,
+        active: persona.name === activeName,
+      })),
+    ];
+  }
+
+  /**
+   * 切换角色并保存
+   * @param {string} name - 角色名称或别名，defaultName / default 表示回到默认角色
+   * @returns {Promise<Persona|null>} 切换后的角色，默认角色为 null
+   */
+  async switch(name) {
+    const persona = this.isDefault(name) ? null : this.find(name);
+    if (persona === undefined) {
+      throw new Error(`Persona not found: ${name}`);
+    }
+
+    this.active = persona;
+    await this.save();
+    await this.onChange?.(persona);
+    console.log(`🎭 已切换角色: ${persona?.name ?? this.defaultName}`);
+    return persona;
+  }
+
+  /**
+   * 解析切换角色的语音指令，如 "切换到英语老师"、"切换成默认"
+   * @param {string} text
+   * @returns {{ name: string }|undefined} 目标角色名称，不是已配置的角色时返回 undefined
+   */
+  parseSwitch(text) {
+    const normalized = normalizeText(text);
+    for (const keyword of this.switchKeywords) {
+      const index = normalized.indexOf(normalizeText(keyword));
+      if (index < 0) continue;
+
+      const target = normalized.slice(index + normalizeText(keyword).length);
+      if (this.isDefault(target)) {
+        return { name: this.defaultName };
+      }
+      const persona = this.find(target);
+      if (persona) {
+        return { name: persona.name };
+      }
+    }
+  }
+
+  /**
+   * 切换成功后的回复
+   */
+  getSwitchMessage(persona) {
+    const template = persona?.switchMessage ?? this.switchMessage;
+    return template.replaceAll('{{name}}', persona?.name ?? this.defaultName);
+  }
+
+  /**
+   * 会话名称后缀: 每个角色的对话历史相互独立，默认角色沿用原有的会话名称
+   */
+  getSessionSuffix() {
+    return this.active ? `@${this.active.name}` : '';
+  }
+
+  /**
+   * 用当前角色覆盖配置中的 ai、tts.voice 和进入/退出 AI 模式的回复
+   * @param {object} config - config.yaml 中的配置
+   * @returns {object} 实际生效的配置
+   */
+  apply(config) {
+    const persona = this.active;
+    if (!persona) {
+      return config;
+    }
+
+    const ai = { ...config.ai };
+    for (const key of AI_OVERRIDES) {
+      if (persona[key] != null) {
+        ai[key] = persona[key];
+      }
+    }
+    return {
+      ...config,
+      ai,
+      tts: persona.voice ? { ...config.tts, voice: persona.voice } : config.tts,
+      wakeup: {
+        ...config.wakeup,
+        enterMessage: persona.enterMessage ?? config.wakeup?.enterMessage,
+        exitMessage: persona.exitMessage ?? config.wakeup?.exitMessage,
+      },
+    };
+  }
+
+  /**
+   * 写入文件 (按顺序执行，避免并发写入)
+   */
+  save() {
+    const name = this.active?.name ?? null;
+    this.saving = this.saving
+      .then(async () => {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(this.filePath, JSON.stringify({ name }, null, 2), 'utf8');
+      })
+      .catch((error) => {
+        console.error('❌ 保存当前角色失败:', error.message);
+      });
+    return this.saving;
+  }
+}
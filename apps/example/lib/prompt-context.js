@@ -3,44 +3,147 @@
  * 支持变量替换和动态上下文注入
  */
 
+import { getEventsOn, parseICS, readCalendar } from './ics-calendar.js';
+
+const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// WMO 天气代码 (Open-Meteo weather_code)
+const WEATHER_CODES = {
+  0: '晴',
+  1: '晴间多云',
+  2: '多云',
+  3: '阴',
+  45: '雾',
+  48: '雾凇',
+  51: '小毛毛雨',
+  53: '毛毛雨',
+  55: '大毛毛雨',
+  56: '冻毛毛雨',
+  57: '冻毛毛雨',
+  61: '小雨',
+  63: '中雨',
+  65: '大雨',
+  66: '冻雨',
+  67: '冻雨',
+  71: '小雪',
+  73: '中雪',
+  75: '大雪',
+  77: '雪粒',
+  80: '小阵雨',
+  81: '阵雨',
+  82: '强阵雨',
+  85: '阵雪',
+  86: '强阵雪',
+  95: '雷阵雨',
+  96: '雷阵雨伴有冰雹',
+  99: '雷阵雨伴有冰雹',
+};
+
 /**
  * Prompt 上下文类
- * 管理所有可用的模板变量
+ * 管理所有可用的模板变量，每次渲染时重新计算 (时间、问候语等始终是最新的)
  */
 export class PromptContext {
   constructor(config) {
     this.config = config;
+    /** 变量名 -> { value, ttlMs, 缓存的结果和过期时间 } */
     this.customVars = new Map();
   }
 
+  /**
+   * 应用新配置 (热重载)，自定义变量保持不变
+   */
+  updateConfig(config) {
+    this.config = config;
+  }
+
   /**
    * 设置自定义变量
    * @param {string} key - 变量名
-   * @param {any} value - 变量值 (可以是函数)
+   * @param {any} value - 变量值 (可以是函数，支持异步，参数为当前消息)
+   * @param {{ ttlMs?: number, timeoutMs?: number }} [options]
+   *   - ttlMs: 函数结果的缓存时长，默认 0 (每次渲染都重新获取)
+   *   - timeoutMs: 获取超时，超时按失败处理，避免拖慢 AI 回复
+   */
+  set(key, value, options = {}) {
+    this.customVars.set(key, {
+      value,
+      ttlMs: options.ttlMs ?? 0,
+      timeoutMs: options.timeoutMs,
+      cached: undefined,
+      expiresAt: 0,
+      pending: null,
+    });
+  }
+
+  /**
+   * 删除自定义变量
+   * @param {string} key - 变量名
    */
-  set(key, value) {
-    this.customVars.set(key, value);
+  delete(key) {
+    this.customVars.delete(key);
+  }
+
+  /**
+   * 获取自定义变量的值
+   * 缓存未过期时直接返回；同一时间只请求一次；获取失败时使用上次的结果 (没有则为空字符串)
+   * 不缓存的变量 (ttlMs 为 0) 可能与当前消息有关 (如 {{memory}})，每次单独获取
+   */
+  async resolve(key, entry, msg) {
+    if (typeof entry.value !== 'function') {
+      return entry.value;
+    }
+    if (entry.expiresAt > Date.now()) {
+      return entry.cached;
+    }
+    if (!entry.ttlMs) {
+      return this.fetch(key, entry, msg);
+    }
+
+    entry.pending ??= this.fetch(key, entry, msg).finally(() => {
+      entry.pending = null;
+    });
+    return entry.pending;
+  }
+
+  async fetch(key, entry, msg) {
+    try {
+      const result = await withTimeout(entry.value(msg), entry.timeoutMs);
+      entry.cached = result;
+      entry.expiresAt = Date.now() + entry.ttlMs;
+      return result;
+    } catch (error) {
+      console.error(`❌ 上下文变量 ${key} 获取失败:`, error.message);
+      return entry.cached ?? '';
+    }
   }
 
   /**
    * 获取所有可用的上下文变量
+   * @param {string[]} [names] - 只获取这些变量 (不传则获取全部)，避免请求模板中没有用到的数据
+   * @param {object} [msg] - 当前消息
    * @returns {Promise<object>} 变量对象
    */
-  async getVariables() {
+  async getVariables(names, msg) {
+    const now = new Date();
     const vars = {
-      date: new Date().toLocaleDateString('zh-CN'),
-      time: new Date().toLocaleTimeString('zh-CN', { hour12: false }),
-      datetime: new Date().toLocaleString('zh-CN'),
-      timestamp: Date.now(),
-      dayOfWeek: ['日', '一', '二', '三', '四', '五', '六'][new Date().getDay()],
+      date: now.toLocaleDateString('zh-CN'),
+      time: now.toLocaleTimeString('zh-CN', { hour12: false }),
+      datetime: now.toLocaleString('zh-CN'),
+      timestamp: now.getTime(),
+      dayOfWeek: ['日', '一', '二', '三', '四', '五', '六'][now.getDay()],
       location: this.config.location || '未设置',
       userName: this.config.userName || '用户',
       assistantName: this.config.assistantName || '助手',
     };
 
-    for (const [key, value] of this.customVars.entries()) {
-      vars[key] = typeof value === 'function' ? await value() : value;
-    }
+    const entries = Array.from(this.customVars.entries()).filter(
+      ([key]) => !names || names.includes(key),
+    );
+    const values = await Promise.all(entries.map(([key, entry]) => this.resolve(key, entry, msg)));
+    entries.forEach(([key], index) => {
+      vars[key] = values[index];
+    });
 
     return vars;
   }
@@ -48,14 +151,16 @@ export class PromptContext {
   /**
    * 渲染模板
    * @param {string} template - 包含变量的模板字符串
+   * @param {object} [msg] - 当前消息 (传给自定义变量的函数)
    * @returns {Promise<string>} 渲染后的字符串
    */
-  async render(template) {
+  async render(template, msg) {
     if (!template || typeof template !== 'string') {
       return template;
     }
 
-    const vars = await this.getVariables();
+    const names = Array.from(template.matchAll(/\{\{(\w+)\}\}/g), (match) => match[1]);
+    const vars = await this.getVariables(names, msg);
 
     return template.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
       if (varName in vars) {
@@ -66,16 +171,106 @@ export class PromptContext {
   }
 }
 
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) {
+    return promise;
+  }
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`超时 (${timeoutMs}ms)`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 格式化 Open-Meteo 返回的天气，如 "多云，当前 18℃，今天 12~22℃，降水概率 10%"
+ */
+function formatWeather(data) {
+  const { current = {}, daily = {} } = data || {};
+  const parts = [];
+  const code = current.weather_code ?? daily.weather_code?.[0];
+  if (code != null) {
+    parts.push(WEATHER_CODES[code] ?? '未知天气');
+  }
+  if (current.temperature_2m != null) {
+    parts.push(`当前 ${Math.round(current.temperature_2m)}℃`);
+  }
+  const [min] = daily.temperature_2m_min || [];
+  const [max] = daily.temperature_2m_max || [];
+  if (min != null && max != null) {
+    parts.push(`今天 ${Math.round(min)}~${Math.round(max)}℃`);
+  }
+  const [precipitation] = daily.precipitation_probability_max || [];
+  if (precipitation != null) {
+    parts.push(`降水概率 ${precipitation}%`);
+  }
+  if (parts.length < 1) {
+    throw new Error('天气接口返回的数据格式不正确');
+  }
+  return parts.join('，');
+}
+
+function formatClock(date) {
+  return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
 /**
  * 上下文变量提供器
  */
 export const ContextProviders = {
   /**
-   * 天气信息提供器 (示例)
-   * @param {string} location - 位置
+   * 天气信息提供器 (Open-Meteo 格式的接口)
+   * url 中已有的查询参数不会被覆盖，可以接入自建的 Open-Meteo 或兼容接口
+   * @param {{ url?: string, latitude: number, longitude: number, timeoutMs?: number }} options
+   */
+  weather(options) {
+    return async () => {
+      const url = new URL(options.url || OPEN_METEO_URL);
+      const params = {
+        latitude: options.latitude,
+        longitude: options.longitude,
+        current: 'temperature_2m,weather_code',
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+        timezone: 'auto',
+        forecast_days: 1,
+      };
+      for (const [key, value] of Object.entries(params)) {
+        if (value != null && !url.searchParams.has(key)) {
+          url.searchParams.set(key, String(value));
+        }
+      }
+
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(options.timeoutMs ?? 5000),
+      });
+      if (!response.ok) {
+        throw new Error(`天气接口请求失败: HTTP ${response.status}`);
+      }
+      return formatWeather(await response.json());
+    };
+  },
+
+  /**
+   * 今日日程提供器 (ICS 日历文件或订阅地址)
+   * @param {{ source: string, timeoutMs?: number }} options
    */
-  weather(location) {
-    return async () => `${location}今天晴天,20-28℃`;
+  calendar(options) {
+    return async () => {
+      const events = getEventsOn(parseICS(await readCalendar(options.source, options)));
+      if (events.length === 0) {
+        return '今天没有日程';
+      }
+      return events
+        .map(({ summary, location, start, end, allDay }) => {
+          const time = allDay
+            ? '全天'
+            : end
+              ? `${formatClock(start)}-${formatClock(end)}`
+              : formatClock(start);
+          return location ? `${time} ${summary} (${location})` : `${time} ${summary}`;
+        })
+        .join('；');
+    };
   },
 
   /**
@@ -93,6 +288,20 @@ export const ContextProviders = {
     };
   },
 
+  /**
+   * 长期记忆提供器: 与当前消息相关的记忆
+   * @param {Function} search - 查找记忆的函数 (query) => { text }[]
+   */
+  memory(search) {
+    return (msg) => {
+      const facts = search(msg?.text || '');
+      if (facts.length === 0) {
+        return '无';
+      }
+      return facts.map((fact) => `- ${fact.text}`).join('\n');
+    };
+  },
+
   currentHour() {
     return () => new Date().getHours();
   },
@@ -0,0 +1,525 @@
+/**
+ * 定时任务模块
+ * 支持 cron 表达式和一次性定时播报，语音提醒 ("提醒我十分钟后关火") 也通过这里创建
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+const ACTIONS = ['speak', 'chat', 'play'];
+
+const CRON_FIELDS = [
+  { min: 0, max: 59 }, // 分钟
+  { min: 0, max: 23 }, // 小时
+  { min: 1, max: 31 }, // 日
+  { min: 1, max: 12 }, // 月
+  { min: 0, max: 7 }, // 星期 (0 和 7 都表示周日)
+];
+
+/**
+ * 解析 cron 表达式 (分 时 日 月 周)
+ * 支持 *、列表 (1,3)、范围 (1-5) 和步长 (*\/15)
+ */
+export function parseCron(expr) {
+  const parts = String(expr || '')
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression: ${expr}`);
+  }
+
+  const [minute, hour, day, month, weekday] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index], expr),
+  );
+  if (weekday.has(7)) {
+    weekday.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    // 日和星期同时指定时满足其一即可 (与标准 cron 一致)
+    anyDay: parts[2].startsWith('*') || parts[4].startsWith('*'),
+  };
+}
+
+function parseCronField(part, { min, max }, expr) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepRaw] = item.split('/');
+    const step = stepRaw == null ? 1 : Number(stepRaw);
+    const bounds = range === '*' ? [min, max] : range.split('-').map(Number);
+    const start = bounds[0];
+    const end = bounds[1] ?? (stepRaw == null ? start : max);
+
+    const valid = [start, end, step].every(Number.isInteger) && step > 0;
+    if (!valid || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron expression: ${expr}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 计算 cron 表达式在 from 之后的下一次执行时间 (本地时区)
+ * @returns {number|null} 毫秒时间戳，一年内没有匹配时返回 null
+ */
+export function nextCronTime(cron, from = Date.now()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from + 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    const dayMatched = cron.anyDay
+      ? cron.day.has(date.getDate()) && cron.weekday.has(date.getDay())
+      : cron.day.has(date.getDate()) || cron.weekday.has(date.getDay());
+
+    if (!cron.month.has(date.getMonth() + 1) || !dayMatched) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (cron.minute.has(date.getMinutes())) {
+      return date.getTime();
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+}
+
+const CN_DIGITS = {
+  零: 0,
+  〇: 0,
+  一: 1,
+  二: 2,
+  两: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+};
+
+/**
+ * 解析阿拉伯数字或中文数字 (如 "十五"、"一百零五")
+ */
+export function parseChineseNumber(raw) {
+  if (/^\d+$/.test(raw)) {
+    return Number(raw);
+  }
+
+  let total = 0;
+  let current = 0;
+  for (const ch of raw) {
+    if (ch in CN_DIGITS) {
+      current = CN_DIGITS[ch];
+    } else if (ch === '十' || ch === '百') {
+      total += (current || 1) * (ch === '十' ? 10 : 100);
+      current = 0;
+    } else {
+      return Number.NaN;
+    }
+  }
+  return total + current;
+}
+
+const NUM = '[\\d零〇一二两三四五六七八九十百]+';
+
+const UNIT_MS = {
+  秒: 1000,
+  秒钟: 1000,
+  分: 60 * 1000,
+  分钟: 60 * 1000,
+  小时: 60 * 60 * 1000,
+  钟头: 60 * 60 * 1000,
+  天: 24 * 60 * 60 * 1000,
+};
+
+// 十分钟后、一个半小时后、半小时以后
+const RELATIVE_PATTERN = new RegExp(
+  `(${NUM}|半)个?(半)?(秒钟|秒|分钟|分|小时|钟头|天)(?:以后|之后|后)`,
+);
+
+// 明天早上8点、下午三点半、9点15分、今晚十点、半夜十二点
+const ABSOLUTE_PATTERN = new RegExp(
+  `(今天|明天|后天)?(早上|上午|中午|下午|傍晚|晚上|今晚|半夜|深夜|凌晨)?(${NUM})[点:：](?:(半)|(一刻)|(${NUM})分?)?`,
+);
+
+const EVENING_PERIODS = ['下午', '傍晚', '晚上', '今晚'];
+const NIGHT_PERIODS = ['半夜', '深夜'];
+
+/**
+ * 从语音文本中解析提醒时间和内容
+ * @param {string} text - 去除提醒关键词后的文本
+ * @returns {{ at: number, phrase: string, content: string } | null}
+ */
+export function parseReminderTime(text, now = Date.now()) {
+  const relative = text.match(RELATIVE_PATTERN);
+  if (relative) {
+    const [phrase, amountRaw, half, unit] = relative;
+    const amount = amountRaw === '半' ? 0.5 : parseChineseNumber(amountRaw) + (half ? 0.5 : 0);
+    if (!(amount > 0)) return null;
+    return {
+      at: now + Math.round(amount * UNIT_MS[unit]),
+      phrase,
+      content: extractContent(text, phrase),
+    };
+  }
+
+  const absolute = text.match(ABSOLUTE_PATTERN);
+  if (absolute) {
+    const [phrase, dayWord, period, hourRaw, half, quarter, minuteRaw] = absolute;
+    // 单独的「一点」多半是「一点儿」，比如「提醒我多喝一点水」
+    if (hourRaw === '一' && !dayWord && !period && !half && !quarter && !minuteRaw) {
+      return null;
+    }
+    let hour = parseChineseNumber(hourRaw);
+    const minute = half ? 30 : quarter ? 15 : minuteRaw ? parseChineseNumber(minuteRaw) : 0;
+    let days = { 明天: 1, 后天: 2 }[dayWord] ?? 0;
+    if ([...EVENING_PERIODS, ...NIGHT_PERIODS].includes(period) && hour === 12) {
+      // 晚上十二点、半夜十二点: 当天结束时的 0 点
+      hour = 0;
+      days += 1;
+    } else if (EVENING_PERIODS.includes(period) && hour < 12) {
+      hour += 12;
+    } else if (NIGHT_PERIODS.includes(period) && hour >= 6 && hour < 12) {
+      // 深夜十一点；半夜两点仍是凌晨
+      hour += 12;
+    }
+    if (period === '中午' && hour < 11) hour += 12;
+    if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59)) return null;
+
+    const date = new Date(now);
+    date.setDate(date.getDate() + days);
+    date.setHours(hour, minute, 0, 0);
+
+    // 没有指定日期且时间已过: 12 点前的钟点优先理解为下午，否则顺延到明天
+    if (!dayWord && date.getTime() <= now) {
+      if (!period && hour < 12 && date.getTime() + 12 * 60 * 60 * 1000 > now) {
+        date.setHours(hour + 12);
+      } else {
+        date.setDate(date.getDate() + 1);
+      }
+    }
+    if (date.getTime() <= now) return null;
+
+    return { at: date.getTime(), phrase, content: extractContent(text, phrase) };
+  }
+
+  return null;
+}
+
+function extractContent(text, phrase) {
+  return text
+    .replace(phrase, '')
+    .replace(/^[，。,.!?！？:\s]+|[，。,.!?！？\s]+$/g, '')
+    .replace(/^(要|记得)/, '');
+}
+
+/**
+ * 定时任务调度器
+ *
+ * 任务结构: { id, name, action, text?, url?, device?, cron? | at?, source, createdAt }
+ * - action: speak (播报文本) / chat (询问 AI 并播报回答) / play (播放音频)
+ * - source: config (来自 config.yaml，不写入文件) / api / voice
+ */
+export class Scheduler {
+  constructor(config, apiServer) {
+    this.apiServer = apiServer;
+    this.jobs = new Map();
+    this.timer = null;
+    this.saving = Promise.resolve();
+
+    // 已执行过的 config.yaml 一次性任务 (按任务内容区分)，热重载时不再重复添加
+    this.firedConfigJobs = new Set();
+    this.configJobKeys = new Map();
+
+    this.applyConfig(config);
+    this.filePath = resolve(this.config.file || './data/schedules.json');
+  }
+
+  applyConfig(config) {
+    this.config = config.scheduler || {};
+    this.reminderKeywords = this.config.reminderKeywords || ['提醒我'];
+    this.reminderPrefix = this.config.reminderPrefix ?? '时间到了，记得';
+    // 一次性任务错过执行时间 (如服务重启) 后的补执行期限
+    this.missedGraceMs = this.config.missedGraceMs ?? 10 * 60 * 1000;
+  }
+
+  /**
+   * 应用新配置 (热重载): 替换 config.yaml 中的任务，保留通过接口和语音创建的任务
+   * 任务文件路径 (file) 修改后需要重启
+   */
+  updateConfig(config) {
+    this.applyConfig(config);
+    for (const job of this.jobs.values()) {
+      if (job.source === 'config') {
+        this.jobs.delete(job.id);
+      }
+    }
+    this.addConfigJobs();
+  }
+
+  /**
+   * 添加 config.yaml 中的任务，已过期或无效的任务跳过并提示
+   */
+  addConfigJobs() {
+    this.configJobKeys.clear();
+    for (const [index, input] of (this.config.jobs || []).entries()) {
+      const id = `config-${index + 1}`;
+      const key = JSON.stringify(input);
+      if (!input.cron && this.firedConfigJobs.has(key)) {
+        continue;
+      }
+      try {
+        this.addJob({ id, ...input }, 'config');
+        this.configJobKeys.set(id, key);
+      } catch (error) {
+        console.warn(
+          `⚠️  跳过 config.yaml 中的定时任务 ${input.name || input.text || input.url || id}: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * 加载配置和文件中的任务，开始调度
+   */
+  async start() {
+    this.addConfigJobs();
+
+    const content = await readFile(this.filePath, 'utf8').catch(() => null);
+    if (content) {
+      try {
+        for (const job of JSON.parse(content)) {
+          try {
+            this.addJob(job, job.source);
+          } catch (error) {
+            console.warn(`⚠️  跳过定时任务 ${job.name || job.id}: ${error.message}`);
+          }
+        }
+      } catch (error) {
+        console.error('❌ 定时任务文件解析失败:', error.message);
+      }
+    }
+
+    this.timer = setInterval(() => this.tick(), 1000);
+    this.timer.unref?.();
+    console.log(`✅ 定时任务已启动: ${this.jobs.size} 个`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 获取所有任务 (按下次执行时间排序)
+   */
+  list() {
+    return Array.from(this.jobs.values()).sort((a, b) => (a.nextRunAt ?? 0) - (b.nextRunAt ?? 0));
+  }
+
+  /**
+   * 新建任务并写入文件
+   * @param {object} input - { name?, action?, text?, url?, device?, cron? | at? | delay? (秒) }
+   */
+  async add(input, source = 'api') {
+    const job = this.addJob({ ...input, id: undefined, createdAt: undefined }, source);
+    await this.save();
+    return job;
+  }
+
+  /**
+   * 删除任务 (config.yaml 中的任务需要在配置文件中删除)
+   * @returns {Promise<boolean>} 任务是否存在
+   */
+  async remove(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return false;
+    }
+    if (job.source === 'config') {
+      throw new Error('Jobs from config.yaml cannot be deleted via API');
+    }
+    this.jobs.delete(id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * 解析语音提醒，不是提醒或无法识别时间时返回 null
+   */
+  parseReminder(text) {
+    const keyword = this.reminderKeywords.find((k) => text.includes(k));
+    if (!keyword) {
+      return null;
+    }
+    return parseReminderTime(text.replace(keyword, ''));
+  }
+
+  /**
+   * 根据语音提醒创建一次性任务
+   * @returns {Promise<string>} 确认语
+   */
+  async addReminder(reminder, device) {
+    const { at, phrase, content } = reminder;
+    await this.add(
+      {
+        name: content || '提醒',
+        action: 'speak',
+        text: content ? `${this.reminderPrefix}${content}` : '提醒时间到了',
+        at,
+        device,
+      },
+      'voice',
+    );
+    return `好的，${phrase}提醒你${content}`;
+  }
+
+  addJob(input, source) {
+    const action = input.action || (input.url ? 'play' : 'speak');
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`action must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    const text = String(input.text || '').trim();
+    const url = String(input.url || '').trim();
+    if (action === 'play' ? !url : !text) {
+      throw new Error(action === 'play' ? 'url is required' : 'text is required');
+    }
+
+    const device = String(input.device || '').trim() || undefined;
+    this.apiServer.resolveDeviceNames(device, { allowAll: action !== 'chat' });
+
+    const now = Date.now();
+    const job = {
+      id: input.id || randomUUID(),
+      name: String(input.name || text || url),
+      action,
+      ...(text && { text }),
+      ...(url && { url }),
+      ...(device && { device }),
+      source: source || 'api',
+      createdAt: input.createdAt || now,
+    };
+
+    if (input.cron) {
+      job.cron = String(input.cron).trim();
+      job.nextRunAt = nextCronTime(parseCron(job.cron), now);
+    } else {
+      job.at = this.parseTime(input);
+      if (job.at < now - this.missedGraceMs) {
+        throw new Error('at is in the past');
+      }
+      job.nextRunAt = job.at;
+    }
+
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * 解析一次性任务的执行时间 (at: 毫秒时间戳或 ISO 日期，delay: 秒)
+   */
+  parseTime({ at, delay }) {
+    if (at != null && at !== '') {
+      const value = /^\d+$/.test(String(at)) ? Number(at) : Date.parse(at);
+      if (Number.isNaN(value)) {
+        throw new Error(`Invalid at: ${at}`);
+      }
+      return value;
+    }
+    if (Number(delay) > 0) {
+      return Date.now() + Number(delay) * 1000;
+    }
+    throw new Error('cron, at or delay is required');
+  }
+
+  tick() {
+    const now = Date.now();
+    for (const job of this.jobs.values()) {
+      if (job.nextRunAt == null || job.nextRunAt > now) {
+        continue;
+      }
+
+      this.run(job);
+
+      if (job.cron) {
+        job.nextRunAt = nextCronTime(parseCron(job.cron), now);
+      } else {
+        if (job.source === 'config') {
+          this.firedConfigJobs.add(this.configJobKeys.get(job.id));
+        }
+        this.jobs.delete(job.id);
+        this.save();
+      }
+    }
+  }
+
+  /**
+   * 执行任务: 加入目标音箱的任务队列，device 为 all 时在所有音箱上执行
+   */
+  async run(job) {
+    console.log(`⏰ 执行定时任务: ${job.name}`);
+    try {
+      const devices = this.apiServer.resolveDeviceNames(job.device, {
+        allowAll: job.action !== 'chat',
+      });
+      await this.apiServer.runOnDevices(devices, (device) =>
+        this.apiServer.enqueueTask(() => this.execute(job, device), {
+          type: `schedule:${job.action}`,
+          device,
+        }),
+      );
+    } catch (error) {
+      console.error(`❌ 定时任务执行失败: ${job.name}`, error.message);
+    }
+  }
+
+  execute(job, device) {
+    if (job.action === 'play') {
+      return this.apiServer.playByUrl(job.url, { device, interrupt: true });
+    }
+    if (job.action === 'chat') {
+      const session = this.apiServer.getSession('schedule', device);
+      return this.apiServer.askAndSpeak(job.text, { device, interrupt: true, session });
+    }
+    return this.apiServer.speakByText(job.text, { device, interrupt: true });
+  }
+
+  /**
+   * 写入文件 (按顺序执行，避免并发写入)
+   */
+  save() {
+    this.saving = this.saving
+      .then(async () => {
+        const jobs = this.list()
+          .filter((job) => job.source !== 'config')
+          .map(({ nextRunAt, ...job }) => job);
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(this.filePath, JSON.stringify(jobs, null, 2), 'utf8');
+      })
+      .catch((error) => {
+        console.error('❌ 保存定时任务失败:', error.message);
+      });
+    return this.saving;
+  }
+}
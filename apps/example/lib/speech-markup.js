@@ -0,0 +1,247 @@
+/**
+ * 语音标记解析模块
+ * 回复文本中可以用类似 SSML 的轻量标签切换音色和语速，每段单独合成后依次播放:
+ *
+ *   <voice name="孙悟空">俺老孙来也！</voice>
+ *   <prosody rate="0.8" volume="soft">小朋友们，晚安。</prosody>
+ *   <break time="800ms"/>
+ */
+
+/**
+ * @typedef {{
+ *   name?: string,
+ *   speed?: number,
+ *   pitch?: number,
+ *   volume?: number
+ * }} VoiceOptions - name 为 tts.voices 中的预设名称或 provider 的音色 ID，其余为相对默认值的倍数
+ */
+
+/**
+ * @typedef {{ text: string, voice: VoiceOptions } | { pauseMs: number }} SpeechSegment
+ */
+
+const TAG_NAMES = ['voice', 'prosody', 'break'];
+const TAG_PATTERN = /<(\/?)(voice|prosody|break)\b([^<>]*)>/gi;
+const ATTR_PATTERN = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>/]+))/g;
+
+const RATE_KEYWORDS = { 'x-slow': 0.5, slow: 0.75, medium: 1, fast: 1.25, 'x-fast': 1.5 };
+const PITCH_KEYWORDS = { 'x-low': 0.8, low: 0.9, medium: 1, high: 1.1, 'x-high': 1.2 };
+const VOLUME_KEYWORDS = { 'x-soft': 0.4, soft: 0.7, medium: 1, loud: 1.3, 'x-loud': 1.6 };
+
+// 单个停顿的上限，避免标记写错时长时间静音
+const MAX_PAUSE_MS = 10000;
+
+/**
+ * 解析倍数: 0.8 / 80% (绝对值) / -20% (相对值) / slow 等关键词
+ * @returns {number|undefined}
+ */
+function parseRatio(value, keywords) {
+  const raw = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (raw in keywords) {
+    return keywords[raw];
+  }
+  const percent = raw.match(/^([+-]?\d+(?:\.\d+)?)%$/);
+  if (percent) {
+    const n = Number(percent[1]);
+    const ratio = /^[+-]/.test(raw) ? 1 + n / 100 : n / 100;
+    return ratio > 0 ? ratio : undefined;
+  }
+  const n = Number(raw);
+  return raw && Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+/**
+ * 解析停顿时长: 500ms / 1.5s / 500
+ * @returns {number|undefined}
+ */
+function parseDuration(value) {
+  const match = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/);
+  if (!match) {
+    return;
+  }
+  const ms = match[2] === 's' ? Number(match[1]) * 1000 : Number(match[1]);
+  return Math.min(Math.round(ms), MAX_PAUSE_MS);
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(ATTR_PATTERN)) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attrs;
+}
+
+/**
+ * 文本末尾是否是被截断的标签 (流式回复按句子切分，可能把标签切成两半)
+ */
+function partialTagStart(text) {
+  const start = text.lastIndexOf('<');
+  if (start < 0 || text.indexOf('>', start) >= 0) {
+    return -1;
+  }
+  const rest = text.slice(start + 1).replace(/^\//, '');
+  const name = rest.match(/^[a-z]*/i)[0].toLowerCase();
+  const isPrefix =
+    rest === name ? TAG_NAMES.some((e) => e.startsWith(name)) : TAG_NAMES.includes(name);
+  return isPrefix && rest.length < 200 ? start : -1;
+}
+
+/**
+ * 规范化 voice 参数 (HTTP 接口和配置中可以直接写预设名称)
+ * @param {string|VoiceOptions|undefined} voice
+ * @returns {VoiceOptions|undefined}
+ */
+export function normalizeVoice(voice) {
+  if (voice == null || voice === '') {
+    return;
+  }
+  if (typeof voice === 'string') {
+    return { name: voice };
+  }
+  if (typeof voice !== 'object' || Array.isArray(voice)) {
+    throw new Error('voice must be a string or an object');
+  }
+
+  const result = {};
+  if (voice.name != null) {
+    result.name = String(voice.name);
+  }
+  for (const key of ['speed', 'pitch', 'volume']) {
+    if (voice[key] == null) continue;
+    const value = Number(voice[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`voice.${key} must be a positive number`);
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * 移除语音标记，得到纯文本 (用于小米默认播报、对话记录等)
+ */
+export function stripSpeechMarkup(text) {
+  return String(text || '').replace(TAG_PATTERN, '');
+}
+
+/**
+ * 语音标记解析器
+ * 支持分段输入 (流式回复)，未闭合的标签对后续文本继续生效
+ */
+export class SpeechMarkupParser {
+  /**
+   * @param {VoiceOptions} [voice] - 默认音色参数，标签中的参数覆盖它
+   */
+  constructor(voice) {
+    this.stack = [{ tag: null, voice: { ...voice } }];
+    this.pending = '';
+  }
+
+  /**
+   * 解析一段文本
+   * @param {string} text
+   * @returns {SpeechSegment[]}
+   */
+  feed(text) {
+    let input = this.pending + String(text || '');
+    this.pending = '';
+
+    const cut = partialTagStart(input);
+    if (cut >= 0) {
+      this.pending = input.slice(cut);
+      input = input.slice(0, cut);
+    }
+
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of input.matchAll(TAG_PATTERN)) {
+      this.pushText(segments, input.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+      this.applyTag(segments, match[1] === '/', match[2].toLowerCase(), match[3]);
+    }
+    this.pushText(segments, input.slice(lastIndex));
+    return segments;
+  }
+
+  /**
+   * 结束输入，被截断的标签按普通文本处理
+   * @returns {SpeechSegment[]}
+   */
+  end() {
+    const segments = [];
+    this.pushText(segments, this.pending);
+    this.pending = '';
+    return segments;
+  }
+
+  applyTag(segments, closing, tag, source) {
+    if (tag === 'break') {
+      const attrs = parseAttributes(source);
+      const pauseMs = parseDuration(attrs.time) ?? 500;
+      if (!closing && pauseMs > 0) {
+        segments.push({ pauseMs });
+      }
+      return;
+    }
+
+    if (closing) {
+      // 关闭最近的同名标签，多余的关闭标签忽略
+      for (let index = this.stack.length - 1; index > 0; index--) {
+        if (this.stack[index].tag === tag) {
+          this.stack.length = index;
+          break;
+        }
+      }
+      return;
+    }
+
+    const attrs = parseAttributes(source);
+    const voice = { ...this.stack.at(-1).voice };
+    if (tag === 'voice' && attrs.name) {
+      voice.name = attrs.name;
+    }
+    if (tag === 'prosody') {
+      const speed = parseRatio(attrs.rate ?? attrs.speed, RATE_KEYWORDS);
+      const pitch = parseRatio(attrs.pitch, PITCH_KEYWORDS);
+      const volume = parseRatio(attrs.volume, VOLUME_KEYWORDS);
+      if (speed) voice.speed = speed;
+      if (pitch) voice.pitch = pitch;
+      if (volume) voice.volume = volume;
+    }
+    this.stack.push({ tag, voice });
+  }
+
+  pushText(segments, text) {
+    if (!text || !text.trim()) {
+      return;
+    }
+    const { voice } = this.stack.at(-1);
+    const last = segments.at(-1);
+    // 相同参数的相邻文本合并为一段
+    if (last?.text != null && sameVoice(last.voice, voice)) {
+      last.text += text;
+      return;
+    }
+    segments.push({ text, voice });
+  }
+}
+
+function sameVoice(a, b) {
+  return ['name', 'speed', 'pitch', 'volume'].every((key) => a[key] === b[key]);
+}
+
+/**
+ * 解析完整文本
+ * @param {string} text
+ * @param {VoiceOptions} [voice] - 默认音色参数
+ * @returns {SpeechSegment[]}
+ */
+export function parseSpeechMarkup(text, voice) {
+  const parser = new SpeechMarkupParser(voice);
+  return [...parser.feed(text), ...parser.end()];
+}
@@ -0,0 +1,191 @@
+/**
+ * 工具注册模块
+ * 让大模型通过 Function Calling 控制音箱和米家设备
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   description: string,
+ *   parameters?: object,
+ *   run: (args: any, msg: object) => any
+ * }} ChatTool
+ */
+
+/**
+ * 工具注册表
+ */
+export class ToolRegistry {
+  constructor(config, engine) {
+    this.config = config.tools || {};
+    this.engine = engine;
+    this.devices = this.config.devices || [];
+
+    /** @type {Map<string, ChatTool>} */
+    this.tools = new Map();
+
+    this.registerBuiltins();
+  }
+
+  /**
+   * 注册工具，同名工具会被覆盖
+   * @param {ChatTool} tool
+   */
+  register(tool) {
+    if (!tool?.name || typeof tool.run !== 'function') {
+      throw new Error('Tool name and run() are required');
+    }
+    this.tools.set(tool.name, tool);
+  }
+
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * 获取所有已注册的工具 (传给 ChatBot)
+   * @returns {ChatTool[]}
+   */
+  list() {
+    return Array.from(this.tools.values());
+  }
+
+  getEngineOrThrow() {
+    const engine = this.engine?.get?.();
+    if (!engine || !engine.MiNA || !engine.MiOT) {
+      throw new Error('Engine not ready');
+    }
+    return engine;
+  }
+
+  /**
+   * 获取发出消息的音箱 (多音箱时按 msg.device 区分)
+   */
+  getSpeakerOrThrow(msg) {
+    const engine = this.getEngineOrThrow();
+    return engine.getDevice?.(msg?.device) ?? engine;
+  }
+
+  registerBuiltins() {
+    this.register({
+      name: 'speaker_get_status',
+      description: '获取音箱当前的播放状态和音量',
+      run: async (_args, msg) => {
+        const status = await this.getSpeakerOrThrow(msg).MiNA.getStatus();
+        return status ?? { error: '获取播放状态失败' };
+      },
+    });
+
+    this.register({
+      name: 'speaker_set_volume',
+      description: '设置音箱音量。用户说"大声点/小声点"时，先获取当前音量再调整',
+      parameters: {
+        type: 'object',
+        properties: {
+          volume: { type: 'number', description: '目标音量，范围 6-100' },
+        },
+        required: ['volume'],
+      },
+      run: async ({ volume }, msg) => {
+        const ok = await this.getSpeakerOrThrow(msg).MiNA.setVolume(Number(volume));
+        return { ok, volume };
+      },
+    });
+
+    this.register({
+      name: 'speaker_pause',
+      description: '暂停音箱当前的播放',
+      run: async (_args, msg) => ({ ok: await this.getSpeakerOrThrow(msg).MiNA.pause() }),
+    });
+
+    this.register({
+      name: 'speaker_stop',
+      description: '停止音箱当前的播放',
+      run: async (_args, msg) => ({ ok: await this.getSpeakerOrThrow(msg).MiNA.stop() }),
+    });
+
+    // 米家设备: 仅在配置了 tools.devices 时注册
+    if (this.devices.length < 1) {
+      return;
+    }
+
+    const deviceList = this.devices
+      .map((d) => `- ${d.name}${d.description ? `: ${d.description}` : ''}`)
+      .join('\n');
+    const deviceParam = {
+      type: 'string',
+      description: '设备名称',
+      enum: this.devices.map((d) => d.name),
+    };
+
+    this.register({
+      name: 'device_get_property',
+      description: `读取米家设备属性 (siid/piid 见设备说明)。可用设备:\n${deviceList}`,
+      parameters: {
+        type: 'object',
+        properties: {
+          device: deviceParam,
+          siid: { type: 'number', description: '服务 ID' },
+          piid: { type: 'number', description: '属性 ID' },
+        },
+        required: ['device', 'siid', 'piid'],
+      },
+      run: async ({ device, siid, piid }) => {
+        const did = this.resolveDevice(device);
+        const value = await this.getEngineOrThrow().MiOT.getProperty(siid, piid, did);
+        return { device, siid, piid, value };
+      },
+    });
+
+    this.register({
+      name: 'device_set_property',
+      description: `设置米家设备属性，比如开关灯、调亮度 (siid/piid 见设备说明)。可用设备:\n${deviceList}`,
+      parameters: {
+        type: 'object',
+        properties: {
+          device: deviceParam,
+          siid: { type: 'number', description: '服务 ID' },
+          piid: { type: 'number', description: '属性 ID' },
+          value: { description: '属性值，比如 true/false 或数字' },
+        },
+        required: ['device', 'siid', 'piid', 'value'],
+      },
+      run: async ({ device, siid, piid, value }) => {
+        const did = this.resolveDevice(device);
+        const ok = await this.getEngineOrThrow().MiOT.setProperty(siid, piid, value, did);
+        return { ok, device, siid, piid, value };
+      },
+    });
+
+    this.register({
+      name: 'device_do_action',
+      description: `执行米家设备动作 (siid/aiid 见设备说明)。可用设备:\n${deviceList}`,
+      parameters: {
+        type: 'object',
+        properties: {
+          device: deviceParam,
+          siid: { type: 'number', description: '服务 ID' },
+          aiid: { type: 'number', description: '动作 ID' },
+          args: { type: 'array', description: '动作参数', items: {} },
+        },
+        required: ['device', 'siid', 'aiid'],
+      },
+      run: async ({ device, siid, aiid, args = [] }) => {
+        const did = this.resolveDevice(device);
+        const ok = await this.getEngineOrThrow().MiOT.doAction(siid, aiid, args, did);
+        return { ok, device, siid, aiid };
+      },
+    });
+  }
+
+  /**
+   * 根据设备名称或 did 查找设备 did
+   */
+  resolveDevice(nameOrDid) {
+    const device = this.devices.find((d) => d.name === nameOrDid || d.did === nameOrDid);
+    if (!device) {
+      throw new Error(`未配置的设备: ${nameOrDid}`);
+    }
+    return String(device.did);
+  }
+}
@@ -3,19 +3,56 @@
  * 支持可配置、可扩展的 TTS Provider
  */
 
-import { randomUUID } from 'node:crypto';
-import { mkdirSync, readdirSync, statSync, unlinkSync, writeFileSync } from 'node:fs';
-import { join } from 'node:path';
+import { spawn } from 'node:child_process';
+import { createHash, randomUUID } from 'node:crypto';
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  statSync,
+  unlinkSync,
+  utimesSync,
+  writeFileSync,
+} from 'node:fs';
+import { join, resolve } from 'node:path';
+import { synthesizeEdgeTTS } from './edge-tts.js';
+import { normalizeVoice } from './speech-markup.js';
 
 const DEFAULT_PROVIDER = 'xiaomi';
 const PROVIDER_ALIASES = {
   doubao: 'volcano',
 };
 
+// OpenAI response_format -> 文件扩展名
+const OPENAI_AUDIO_EXTENSIONS = {
+  mp3: 'mp3',
+  opus: 'ogg',
+  aac: 'aac',
+  flac: 'flac',
+  wav: 'wav',
+};
+
+// 缓存文件名: tts-<缓存 key>.<扩展名>
+const CACHE_FILE_PATTERN = /^tts-([0-9a-f]{40})\.\w+$/;
+
 /**
  * @typedef {{
- *   synthesize?: (text: string) => Promise<string>
+ *   synthesize?: (text: string, context: { cacheKey?: string, voice: ResolvedVoice }) => Promise<string>,
+ *   cacheParams?: (voice: ResolvedVoice) => object
  * }} TTSSynthProvider
+ *
+ * cacheParams 返回影响合成结果的参数 (音色、语速等)，与 provider 和文本一起计算缓存 key；
+ * 提供了 cacheParams 的 provider 需要把 context.cacheKey 传给 saveAudioFile
+ */
+
+/**
+ * @typedef {{
+ *   id?: string,
+ *   speed?: number,
+ *   pitch?: number,
+ *   volume?: number
+ * }} ResolvedVoice - 单次合成的音色 ID 和倍数参数，未设置的项使用 provider 配置
  */
 
 /**
@@ -23,8 +60,16 @@ const PROVIDER_ALIASES = {
  */
 export class TTSService {
   constructor(config) {
-    this.config = config.tts || {};
-    this.volcConfig = this.config.volcano || {};
+    /** @type {Map<string, string>} 缓存 key -> 文件名 */
+    this.cache = new Map();
+    // 预热的常用语，按容量清理时最后删除，不按时间清理
+    this.pinned = new Set();
+
+    this.updateConfig(config);
+
+    // provider -> 成功/失败统计和熔断状态 (热重载时保留)
+    this.stats = new Map();
+    this.cacheStats = { hits: 0, misses: 0 };
 
     this.providers = new Map();
     this.aliases = new Map(Object.entries(PROVIDER_ALIASES));
@@ -32,13 +77,71 @@ export class TTSService {
     this.registerBuiltins();
   }
 
+  /**
+   * 应用新配置 (热重载)，比如切换 provider、故障转移链或音色
+   */
+  updateConfig(config) {
+    const cacheDir = this.config?.cacheDir;
+    this.config = config.tts || {};
+    this.volcConfig = this.config.volcano || {};
+    this.openaiConfig = this.config.openai || {};
+    this.edgeConfig = this.config.edge || {};
+    this.localConfig = this.config.local || {};
+    this.cacheConfig = this.config.cache || {};
+    // 默认音色 (tts.voice，切换角色时会变化)，单次合成的参数覆盖它
+    this.defaultVoice = normalizeVoice(this.config.voice);
+
+    // 预热常用语: 配置的 warmup 和进入/退出 AI 模式的固定回复
+    this.warmupPhrases = Array.from(
+      new Set(
+        [
+          ...(this.cacheConfig.warmup || []),
+          config.wakeup?.enterMessage,
+          config.wakeup?.exitMessage,
+        ].filter(Boolean),
+      ),
+    );
+
+    if (this.config.cacheDir !== cacheDir) {
+      this.loadCacheIndex();
+    }
+  }
+
   registerBuiltins() {
     // 小米默认播报: 不需要外部音频 URL
     this.registerProvider('xiaomi', {});
 
     // 豆包/火山: 走外部 TTS 合成
     this.registerProvider('volcano', {
-      synthesize: async (text) => this.synthesizeByVolcano(text),
+      synthesize: async (text, context) => this.synthesizeByVolcano(text, context),
+      cacheParams: (voice) => ({
+        cluster: this.volcConfig.cluster,
+        ...this.getVolcanoAudio(voice),
+      }),
+    });
+
+    // OpenAI 兼容的 /audio/speech 接口 (OpenAI、硅基流动、自建 openedai-speech 等)
+    this.registerProvider('openai', {
+      synthesize: async (text, context) => this.synthesizeByOpenAI(text, context),
+      cacheParams: (voice) => ({
+        baseURL: this.openaiConfig.baseURL,
+        ...this.getOpenAIParams(voice),
+      }),
+    });
+
+    // 微软 Edge 大声朗读: 免费，无需 API 密钥
+    this.registerProvider('edge', {
+      synthesize: async (text, context) => this.synthesizeByEdge(text, context),
+      cacheParams: (voice) => this.getEdgeParams(voice),
+    });
+
+    // 本地命令行 TTS (Piper、sherpa-onnx 等): 离线合成
+    this.registerProvider('local', {
+      synthesize: async (text, context) => this.synthesizeByLocal(text, context),
+      cacheParams: () => {
+        const { command, args, format } = this.localConfig;
+        return { command, args, format };
+      },
     });
   }
 
@@ -82,12 +185,35 @@ export class TTSService {
     return this.aliases.get(raw) || raw;
   }
 
+  /**
+   * 故障转移链: 配置了 tts.providers 时按顺序使用，否则只有 tts.provider
+   * 小米默认播报 (xiaomi) 本身就是最终兜底，链在第一个不走外部合成的 provider 处截断
+   * @returns {{ name: string, timeoutMs?: number }[]}
+   */
+  getChain() {
+    const entries = this.config.providers?.length
+      ? this.config.providers
+      : [{ name: this.config.provider || DEFAULT_PROVIDER }];
+
+    const chain = [];
+    for (const entry of entries) {
+      const name = this.normalizeProvider(entry.name);
+      chain.push({ name, timeoutMs: entry.timeoutMs ?? this.config.timeoutMs });
+      if (typeof this.providers.get(name)?.synthesize !== 'function') {
+        break;
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * 主 provider (链中第一个)
+   */
   getProvider() {
-    return this.normalizeProvider(this.config.provider || DEFAULT_PROVIDER);
+    return this.getChain()[0].name;
   }
 
-  getProviderImpl() {
-    const provider = this.getProvider();
+  getProviderImpl(provider = this.getProvider()) {
     const impl = this.providers.get(provider);
     if (!impl) {
       throw new Error(`不支持的 TTS 提供商: ${provider}`);
@@ -107,23 +233,216 @@ export class TTSService {
   /**
    * 合成语音
    * @param {string} text - 要合成的文本
+   * @param {{ prefer?: string, voice?: object }} options - 见 synthesizeAudio
    * @returns {Promise<string>} 音频文件 URL
    */
-  async synthesize(text) {
-    const provider = this.getProvider();
-    const impl = this.getProviderImpl();
+  async synthesize(text, options) {
+    const { url } = await this.synthesizeAudio(text, options);
+    return url;
+  }
 
-    if (typeof impl.synthesize !== 'function') {
+  /**
+   * 按故障转移链合成语音，返回实际使用的 provider
+   *
+   * - 每个 provider 有独立的超时 (tts.providers[].timeoutMs，默认 tts.timeoutMs)
+   * - 连续失败 failureThreshold 次后熔断，cooldownMs 内直接跳过，之后再试一次
+   * - prefer: 优先使用的 provider，故事和流式回复用它保持同一个音色，不在中途来回切换
+   * - 命中缓存时直接返回，不请求 TTS 服务 (熔断中的 provider 也可以命中缓存)
+   * - voice: 本次合成的音色和语速，见 resolveVoice
+   * @param {string} text - 要合成的文本
+   * @param {{ prefer?: string, voice?: import('./speech-markup.js').VoiceOptions }} options
+   * @returns {Promise<{ url: string, provider: string, cached: boolean }>}
+   */
+  async synthesizeAudio(text, options = {}) {
+    const provider = this.getProvider();
+    if (!this.canSynthesize()) {
       throw new Error(`当前 provider 为 ${provider}，不走外部 TTS 合成`);
     }
 
-    return impl.synthesize(text);
+    const chain = this.getChain().filter(
+      (e) => typeof this.providers.get(e.name)?.synthesize === 'function',
+    );
+    const preferred = chain.findIndex((e) => e.name === options.prefer);
+    if (preferred > 0) {
+      chain.unshift(...chain.splice(preferred, 1));
+    }
+
+    const errors = [];
+    for (const [index, { name, timeoutMs }] of chain.entries()) {
+      const voice = this.resolveVoice(name, options.voice);
+      const cacheKey = this.getCacheKey(name, text, voice);
+      const cachedURL = this.lookupCache(cacheKey);
+      if (cachedURL) {
+        return { url: cachedURL, provider: name, cached: true };
+      }
+
+      if (this.isCircuitOpen(name)) {
+        errors.push(`${name}: 熔断中`);
+        continue;
+      }
+
+      const startTime = Date.now();
+      try {
+        const url = await this.withTimeout(
+          this.providers.get(name).synthesize(text, { cacheKey, voice }),
+          timeoutMs,
+          `TTS(${name}) 合成超时 (${timeoutMs}ms)`,
+        );
+        this.recordSuccess(name, Date.now() - startTime);
+        return { url, provider: name, cached: false };
+      } catch (error) {
+        this.recordFailure(name, error);
+        errors.push(`${name}: ${error.message}`);
+        const next = chain.slice(index + 1).find((e) => !this.isCircuitOpen(e.name));
+        if (next) {
+          console.warn(`⚠️ TTS(${name}) 合成失败，切换到 ${next.name}:`, error.message);
+        }
+      }
+    }
+
+    throw new Error(errors.join('; '));
   }
 
-  validateVolcanoConfig() {
+  /**
+   * 解析本次合成的音色
+   * name 为 tts.voices 中的预设时使用预设的音色和倍数 (预设的 voice 可以按 provider 分别配置)，
+   * 否则视为音色 ID；speed/pitch/volume 覆盖预设。未设置的项使用默认音色 (tts.voice)
+   * @param {string} provider
+   * @param {import('./speech-markup.js').VoiceOptions} [options]
+   * @returns {ResolvedVoice}
+   */
+  resolveVoice(provider, options) {
+    const voice = { ...this.defaultVoice, ...options };
+    const preset = voice.name ? this.config.voices?.[voice.name] : undefined;
+    let id = preset ? preset.voice : voice.name;
+    if (id && typeof id === 'object') {
+      id = id[provider];
+    }
+    return {
+      id: id || undefined,
+      speed: voice.speed ?? preset?.speed,
+      pitch: voice.pitch ?? preset?.pitch,
+      volume: voice.volume ?? preset?.volume,
+    };
+  }
+
+  withTimeout(promise, timeoutMs, message) {
+    if (!timeoutMs) {
+      return promise;
+    }
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  getStats(provider) {
+    let stats = this.stats.get(provider);
+    if (!stats) {
+      stats = {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        totalDurationMs: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+        openUntil: 0,
+      };
+      this.stats.set(provider, stats);
+    }
+    return stats;
+  }
+
+  isCircuitOpen(provider) {
+    return this.getStats(provider).openUntil > Date.now();
+  }
+
+  recordSuccess(provider, durationMs) {
+    const stats = this.getStats(provider);
+    if (stats.consecutiveFailures >= this.getBreakerConfig().failureThreshold) {
+      console.log(`✅ TTS(${provider}) 已恢复`);
+    }
+    stats.successes += 1;
+    stats.totalDurationMs += durationMs;
+    stats.consecutiveFailures = 0;
+    stats.openUntil = 0;
+    stats.lastSuccessAt = Date.now();
+  }
+
+  recordFailure(provider, error) {
+    const stats = this.getStats(provider);
+    const { failureThreshold, cooldownMs } = this.getBreakerConfig();
+    stats.failures += 1;
+    stats.consecutiveFailures += 1;
+    stats.lastFailureAt = Date.now();
+    stats.lastError = error.message;
+
+    // 熔断后的试探请求失败时重新计时
+    if (stats.consecutiveFailures >= failureThreshold) {
+      stats.openUntil = Date.now() + cooldownMs;
+      console.warn(
+        `🔌 TTS(${provider}) 连续失败 ${stats.consecutiveFailures} 次，${cooldownMs / 1000}s 内跳过`,
+      );
+    }
+  }
+
+  getBreakerConfig() {
+    return {
+      failureThreshold: this.config.circuitBreaker?.failureThreshold ?? 3,
+      cooldownMs: this.config.circuitBreaker?.cooldownMs ?? 60000,
+    };
+  }
+
+  /**
+   * 故障转移链和各 provider 的成功/失败统计 (用于 /api/health)
+   */
+  getHealth() {
+    const chain = this.getChain();
+    const { failureThreshold } = this.getBreakerConfig();
+    const now = Date.now();
+    return {
+      provider: chain[0].name,
+      chain: chain.map((e) => e.name),
+      cache: { ...this.cacheStats, entries: this.cache.size, pinned: this.pinned.size },
+      providers: Object.fromEntries(
+        Array.from(this.stats.entries()).map(([name, stats]) => {
+          let state = 'closed';
+          if (stats.openUntil > now) {
+            state = 'open';
+          } else if (stats.consecutiveFailures >= failureThreshold) {
+            state = 'half_open';
+          }
+          return [
+            name,
+            {
+              state,
+              successes: stats.successes,
+              failures: stats.failures,
+              consecutiveFailures: stats.consecutiveFailures,
+              avgDurationMs: stats.successes
+                ? Math.round(stats.totalDurationMs / stats.successes)
+                : null,
+              lastSuccessAt: stats.lastSuccessAt,
+              lastFailureAt: stats.lastFailureAt,
+              lastError: stats.lastError,
+              openUntil: state === 'open' ? stats.openUntil : null,
+            },
+          ];
+        }),
+      ),
+    };
+  }
+
+  validatePublicBaseURL() {
     if (!this.config.publicBaseURL) {
       throw new Error('缺少 tts.publicBaseURL，无法让音箱访问合成音频');
     }
+  }
+
+  validateVolcanoConfig() {
+    this.validatePublicBaseURL();
     if (!this.volcConfig.endpoint) {
       throw new Error('缺少 tts.volcano.endpoint');
     }
@@ -140,9 +459,10 @@ export class TTSService {
   /**
    * 使用火山引擎合成语音
    * @param {string} text - 文本内容
+   * @param {{ cacheKey?: string }} context - 缓存 key，合成结果保存为缓存文件
    * @returns {Promise<string>} 音频 URL
    */
-  async synthesizeByVolcano(text) {
+  async synthesizeByVolcano(text, { cacheKey, voice = {} } = {}) {
     this.validateVolcanoConfig();
 
     const reqid = randomUUID();
@@ -164,14 +484,7 @@ export class TTSService {
     const requestBody = {
       app: appPayload,
       user: { uid: 'migpt-next' },
-      audio: {
-        voice_type: this.volcConfig.voiceType,
-        encoding: this.volcConfig.encoding,
-        rate: this.volcConfig.sampleRate,
-        speed_ratio: this.volcConfig.speedRatio,
-        volume_ratio: this.volcConfig.volumeRatio,
-        pitch_ratio: this.volcConfig.pitchRatio,
-      },
+      audio: this.getVolcanoAudio(voice),
       request: {
         reqid,
         text,
@@ -195,44 +508,377 @@ export class TTSService {
       throw new Error(`TTS 服务错误: code=${result.code}, message=${result.message || 'unknown'}`);
     }
 
-    const filename = await this.saveAudioFile(result.data, reqid);
-    const baseURL = String(this.config.publicBaseURL || '').replace(/\/$/, '');
-    return `${baseURL}/${filename}`;
+    const filename = await this.saveAudioFile(result.data, reqid, 'mp3', cacheKey);
+    return this.getAudioURL(filename);
+  }
+
+  /**
+   * 使用 OpenAI 兼容接口合成语音
+   * @param {string} text - 文本内容
+   * @param {{ cacheKey?: string }} context - 缓存 key，合成结果保存为缓存文件
+   * @returns {Promise<string>} 音频 URL
+   */
+  async synthesizeByOpenAI(text, { cacheKey, voice = {} } = {}) {
+    this.validatePublicBaseURL();
+
+    const baseURL = String(this.openaiConfig.baseURL || 'https://api.openai.com/v1').replace(
+      /\/$/,
+      '',
+    );
+    const params = this.getOpenAIParams(voice);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.openaiConfig.apiKey) {
+      headers.Authorization = `Bearer ${this.openaiConfig.apiKey}`;
+    }
+
+    const response = await fetch(`${baseURL}/audio/speech`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...params, input: text }),
+      signal: AbortSignal.timeout(this.openaiConfig.timeoutMs ?? 30000),
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new Error(`TTS HTTP 请求失败: ${response.status}${detail ? ` ${detail}` : ''}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length < 1) {
+      throw new Error('TTS 服务错误: 返回的音频为空');
+    }
+
+    const ext = OPENAI_AUDIO_EXTENSIONS[params.response_format] || 'mp3';
+    const filename = await this.saveAudioFile(data, randomUUID(), ext, cacheKey);
+    return this.getAudioURL(filename);
+  }
+
+  /**
+   * 使用微软 Edge 大声朗读合成语音
+   * @param {string} text - 文本内容
+   * @param {{ cacheKey?: string }} context - 缓存 key，合成结果保存为缓存文件
+   * @returns {Promise<string>} 音频 URL
+   */
+  async synthesizeByEdge(text, { cacheKey, voice = {} } = {}) {
+    this.validatePublicBaseURL();
+
+    const data = await synthesizeEdgeTTS(text, {
+      ...this.getEdgeParams(voice),
+      timeoutMs: this.edgeConfig.timeoutMs,
+    });
+
+    const filename = await this.saveAudioFile(data, randomUUID(), 'mp3', cacheKey);
+    return this.getAudioURL(filename);
+  }
+
+  /**
+   * 使用本地命令合成语音
+   *
+   * args 中可以使用 {{text}} 和 {{output}} 占位符:
+   * - 不含 {{text}} 时，文本通过 stdin 传入 (Piper 的用法)
+   * - 不含 {{output}} 时，从 stdout 读取音频
+   * @param {string} text - 文本内容
+   * @param {{ cacheKey?: string }} context - 缓存 key，合成结果保存为缓存文件
+   * @returns {Promise<string>} 音频 URL
+   */
+  async synthesizeByLocal(text, { cacheKey } = {}) {
+    this.validatePublicBaseURL();
+    if (!this.localConfig.command) {
+      throw new Error('缺少 tts.local.command');
+    }
+
+    const reqid = randomUUID();
+    const ext = this.localConfig.format || 'wav';
+    const args = this.localConfig.args || [];
+    const useStdin = !args.some((arg) => String(arg).includes('{{text}}'));
+    const useStdout = !args.some((arg) => String(arg).includes('{{output}}'));
+
+    mkdirSync(this.config.cacheDir, { recursive: true });
+    const output = resolve(this.config.cacheDir, `tts-local-${reqid}.${ext}`);
+    const params = { text, output };
+    const renderedArgs = args.map((arg) =>
+      String(arg).replace(/\{\{(text|output)\}\}/g, (_, name) => params[name]),
+    );
+
+    const stdout = await this.runCommand(this.localConfig.command, renderedArgs, {
+      input: useStdin ? text : undefined,
+      timeoutMs: this.localConfig.timeoutMs ?? 60000,
+    });
+
+    let data = stdout;
+    if (!useStdout) {
+      try {
+        data = readFileSync(output);
+      } finally {
+        try {
+          unlinkSync(output);
+        } catch {}
+      }
+    }
+    if (data.length < 1) {
+      throw new Error('本地 TTS 未输出音频');
+    }
+
+    const filename = await this.saveAudioFile(data, reqid, ext, cacheKey);
+    return this.getAudioURL(filename);
+  }
+
+  /**
+   * 执行命令 (不经过 shell)，返回 stdout
+   * @param {string} command
+   * @param {string[]} args
+   * @param {{ input?: string, timeoutMs: number }} options
+   * @returns {Promise<Buffer>}
+   */
+  runCommand(command, args, { input, timeoutMs }) {
+    return new Promise((resolvePromise, reject) => {
+      const child = spawn(command, args, {
+        cwd: this.localConfig.cwd || undefined,
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+      const stdout = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`本地 TTS 执行超时 (${timeoutMs}ms)`));
+      }, timeoutMs);
+
+      child.stdout.on('data', (chunk) => stdout.push(chunk));
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-500);
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`本地 TTS 启动失败: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolvePromise(Buffer.concat(stdout));
+        } else {
+          reject(new Error(`本地 TTS 退出码 ${code}: ${stderr.trim() || '无输出'}`));
+        }
+      });
+
+      // 命令不读取 stdin 时忽略 EPIPE
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    });
+  }
+
+  /**
+   * 火山 TTS 的 audio 参数，倍数限制在接口支持的范围内
+   * @param {ResolvedVoice} voice
+   */
+  getVolcanoAudio(voice = {}) {
+    const ratio = (value, fallback, min, max) =>
+      value == null ? fallback : Math.min(Math.max(value, min), max);
+    return {
+      voice_type: voice.id ?? this.volcConfig.voiceType,
+      encoding: this.volcConfig.encoding,
+      rate: this.volcConfig.sampleRate,
+      speed_ratio: ratio(voice.speed, this.volcConfig.speedRatio, 0.2, 3),
+      volume_ratio: ratio(voice.volume, this.volcConfig.volumeRatio, 0.1, 3),
+      pitch_ratio: ratio(voice.pitch, this.volcConfig.pitchRatio, 0.1, 3),
+    };
+  }
+
+  /**
+   * OpenAI /audio/speech 请求参数 (不支持音调和音量)
+   * @param {ResolvedVoice} voice
+   */
+  getOpenAIParams(voice = {}) {
+    const speed = voice.speed ?? this.openaiConfig.speed;
+    return {
+      model: this.openaiConfig.model || 'tts-1',
+      voice: voice.id ?? (this.openaiConfig.voice || 'alloy'),
+      response_format: this.openaiConfig.responseFormat || 'mp3',
+      speed: speed == null ? undefined : Math.min(Math.max(speed, 0.25), 4),
+      instructions: this.openaiConfig.instructions || undefined,
+    };
+  }
+
+  /**
+   * Edge TTS 参数，倍数转换为相对百分比 (如 0.8 -> -20%)
+   * @param {ResolvedVoice} voice
+   */
+  getEdgeParams(voice = {}) {
+    const percent = (value, fallback) => {
+      if (value == null) return fallback;
+      const n = Math.round((value - 1) * 100);
+      return `${n < 0 ? '' : '+'}${n}%`;
+    };
+    return {
+      voice: voice.id ?? this.edgeConfig.voice,
+      rate: percent(voice.speed, this.edgeConfig.rate),
+      pitch: percent(voice.pitch, this.edgeConfig.pitch),
+      volume: percent(voice.volume, this.edgeConfig.volume),
+    };
   }
 
   /**
    * 保存音频文件到缓存目录
-   * @param {string} base64Data - Base64 编码的音频数据
+   * @param {Buffer|string} data - 音频数据 (字符串视为 Base64)
    * @param {string} reqid - 请求 ID
+   * @param {string} ext - 文件扩展名
+   * @param {string} [cacheKey] - 缓存 key，提供时保存为可复用的缓存文件
    * @returns {Promise<string>} 文件名
    */
-  async saveAudioFile(base64Data, reqid) {
+  async saveAudioFile(data, reqid, ext = 'mp3', cacheKey = undefined) {
     mkdirSync(this.config.cacheDir, { recursive: true });
     this.cleanupOldFiles();
 
-    const filename = `tts-${Date.now()}-${reqid}.mp3`;
+    const filename = cacheKey ? `tts-${cacheKey}.${ext}` : `tts-${Date.now()}-${reqid}.${ext}`;
     const filePath = join(this.config.cacheDir, filename);
-    writeFileSync(filePath, Buffer.from(base64Data, 'base64'));
+    writeFileSync(filePath, typeof data === 'string' ? Buffer.from(data, 'base64') : data);
+    if (cacheKey) {
+      this.cache.set(cacheKey, filename);
+    }
 
     return filename;
   }
 
   /**
-   * 清理过期的音频文件
+   * 计算缓存 key: provider + 音色参数 + 文本，provider 未提供 cacheParams 或关闭缓存时返回 undefined
+   */
+  getCacheKey(provider, text, voice = {}) {
+    const impl = this.providers.get(provider);
+    if (this.cacheConfig.enabled === false || typeof impl?.cacheParams !== 'function') {
+      return;
+    }
+    const source = JSON.stringify([provider, impl.cacheParams(voice), text]);
+    return createHash('sha1').update(source).digest('hex');
+  }
+
+  /**
+   * 查找缓存，命中时刷新文件修改时间 (按最近使用时间清理)
+   * @returns {string|undefined} 音频 URL
+   */
+  lookupCache(cacheKey) {
+    if (!cacheKey) {
+      return;
+    }
+    const filename = this.cache.get(cacheKey);
+    const filePath = filename && join(this.config.cacheDir, filename);
+    if (!filePath || !existsSync(filePath)) {
+      this.cache.delete(cacheKey);
+      this.cacheStats.misses += 1;
+      return;
+    }
+
+    try {
+      const now = new Date();
+      utimesSync(filePath, now, now);
+    } catch {}
+    this.cacheStats.hits += 1;
+    return this.getAudioURL(filename);
+  }
+
+  /**
+   * 从缓存目录重建缓存索引 (启动时和 cacheDir 变化时)
+   */
+  loadCacheIndex() {
+    this.cache.clear();
+    try {
+      for (const name of readdirSync(this.config.cacheDir)) {
+        const match = name.match(CACHE_FILE_PATTERN);
+        if (match) {
+          this.cache.set(match[1], name);
+        }
+      }
+    } catch {
+      // 缓存目录不存在
+    }
+  }
+
+  /**
+   * 预热缓存: 提前合成常用语，之后播报时直接命中缓存
+   * @param {string[]} phrases - 默认为 tts.cache.warmup 和进入/退出 AI 模式的回复
+   * @returns {Promise<{ total: number, cached: number, failed: number }>}
+   */
+  async warmup(phrases = this.warmupPhrases) {
+    const result = { total: phrases.length, cached: 0, failed: 0 };
+    if (!this.canSynthesize() || this.cacheConfig.enabled === false) {
+      return result;
+    }
+
+    this.pinned.clear();
+    for (const text of phrases) {
+      try {
+        const { provider, cached } = await this.synthesizeAudio(text);
+        const cacheKey = this.getCacheKey(provider, text, this.resolveVoice(provider));
+        if (cacheKey) {
+          this.pinned.add(cacheKey);
+        }
+        if (cached) {
+          result.cached += 1;
+        }
+      } catch (error) {
+        result.failed += 1;
+        console.warn(`⚠️ TTS 缓存预热失败: ${text}`, error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 音箱访问缓存音频的地址
+   * @param {string} filename
+   * @returns {string}
+   */
+  getAudioURL(filename) {
+    const baseURL = String(this.config.publicBaseURL || '').replace(/\/$/, '');
+    return `${baseURL}/${filename}`;
+  }
+
+  /**
+   * 清理缓存文件
+   * 1. 超过 maxCacheAge 未使用的文件 (预热的常用语除外)
+   * 2. 总大小超过 cache.maxSizeMB 时，从最久未使用的文件开始删除，预热的常用语最后删除
    */
   cleanupOldFiles() {
     const now = Date.now();
     const maxAge = this.config.maxCacheAge || 30 * 60 * 1000;
+    const maxBytes = (this.cacheConfig.maxSizeMB ?? 200) * 1024 * 1024;
 
     try {
-      const files = readdirSync(this.config.cacheDir);
-      for (const name of files) {
+      const files = [];
+      for (const name of readdirSync(this.config.cacheDir)) {
         const filePath = join(this.config.cacheDir, name);
         const stat = statSync(filePath);
-        if (stat.isFile() && now - stat.mtimeMs > maxAge) {
-          unlinkSync(filePath);
+        if (stat.isFile()) {
+          const cacheKey = name.match(CACHE_FILE_PATTERN)?.[1];
+          files.push({ name, filePath, cacheKey, size: stat.size, mtimeMs: stat.mtimeMs });
         }
       }
+
+      const remove = (file) => {
+        unlinkSync(file.filePath);
+        if (file.cacheKey) {
+          this.cache.delete(file.cacheKey);
+          this.pinned.delete(file.cacheKey);
+        }
+      };
+
+      const isPinned = (file) => Boolean(file.cacheKey && this.pinned.has(file.cacheKey));
+      let totalBytes = 0;
+      const kept = [];
+      for (const file of files) {
+        if (!isPinned(file) && now - file.mtimeMs > maxAge) {
+          remove(file);
+        } else {
+          kept.push(file);
+          totalBytes += file.size;
+        }
+      }
+
+      kept.sort((a, b) => isPinned(a) - isPinned(b) || a.mtimeMs - b.mtimeMs);
+      for (const file of kept) {
+        if (totalBytes <= maxBytes) break;
+        remove(file);
+        totalBytes -= file.size;
+      }
     } catch (error) {
       console.warn('清理缓存文件失败:', error.message);
     }
@@ -0,0 +1,133 @@
+/**
+ * Webhook 推送模块
+ * 将听到的语音、命中的意图、AI 回复等事件推送给外部服务 (Home Assistant、n8n 等)
+ */
+
+import { createHmac, randomUUID } from 'node:crypto';
+
+/**
+ * 支持的事件
+ * - message.received: 音箱听到用户说话
+ * - intent.matched: 语音命中意图 (内置或自定义)
+ * - ai.reply: AI 生成了回复 (语音、HTTP 接口和定时任务)
+ * - tts.fallback: 外部 TTS 合成失败,回退到小爱播报
+ * - task.failed: 任务队列中的任务执行失败
+ * - ai_mode.changed: 进入或退出 AI 持续对话模式
+ * - persona.changed: 切换角色
+ * - auth.changed: 小米账号登录状态变化 (登录成功、刷新失败、需要验证码)
+ */
+export const WEBHOOK_EVENTS = [
+  'message.received',
+  'intent.matched',
+  'ai.reply',
+  'tts.fallback',
+  'task.failed',
+  'ai_mode.changed',
+  'persona.changed',
+  'auth.changed',
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 计算请求签名: HMAC-SHA256(secret, `${timestamp}.${body}`)
+ * @param {string} secret - 签名密钥
+ * @param {number|string} timestamp - X-MiGPT-Timestamp 请求头的值
+ * @param {string} body - 请求体
+ * @returns {string} 十六进制签名
+ */
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Webhook 推送器
+ * 事件在后台推送,失败时按指数退避重试,不阻塞语音处理
+ */
+export class WebhookDispatcher {
+  constructor(config) {
+    this.updateConfig(config);
+  }
+
+  /**
+   * 应用新配置 (热重载),推送中的事件不受影响
+   */
+  updateConfig(config) {
+    this.config = config.webhooks || {};
+    this.endpoints = this.config.enabled ? this.config.endpoints || [] : [];
+  }
+
+  /**
+   * 推送事件到订阅了该事件的所有地址
+   * @param {string} event - 事件名称,见 WEBHOOK_EVENTS
+   * @param {object} data - 事件数据
+   */
+  emit(event, data) {
+    const endpoints = this.endpoints.filter(
+      (endpoint) =>
+        !endpoint.events?.length ||
+        endpoint.events.includes('*') ||
+        endpoint.events.includes(event),
+    );
+    if (endpoints.length < 1) {
+      return;
+    }
+
+    const payload = { id: randomUUID(), event, timestamp: Date.now(), data };
+    for (const endpoint of endpoints) {
+      this.deliver(endpoint, payload).catch((error) => {
+        console.error(`❌ Webhook 推送失败: ${event} -> ${endpoint.url}`, error.message);
+      });
+    }
+  }
+
+  /**
+   * 发送单个请求,网络错误、超时、429 和 5xx 会重试
+   */
+  async deliver(endpoint, payload) {
+    const body = JSON.stringify(payload);
+    const secret = endpoint.secret ?? this.config.secret;
+    const retries = this.config.retries ?? 3;
+    const retryDelayMs = this.config.retryDelayMs ?? 1000;
+
+    for (let attempt = 0; ; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MiGPT-Next-Webhook',
+        'X-MiGPT-Event': payload.event,
+        'X-MiGPT-Delivery': payload.id,
+        'X-MiGPT-Timestamp': String(timestamp),
+        ...endpoint.headers,
+      };
+      if (secret) {
+        headers['X-MiGPT-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+      }
+
+      let retryable = true;
+      try {
+        const response = await fetch(endpoint.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.config.timeoutMs ?? 5000),
+        });
+        if (response.ok) {
+          return;
+        }
+        retryable = response.status === 429 || response.status >= 500;
+        throw new Error(`HTTP ${response.status}`);
+      } catch (error) {
+        if (!retryable || attempt >= retries) {
+          throw error;
+        }
+        const delay = retryDelayMs * 2 ** attempt;
+        console.warn(
+          `⚠️ Webhook 推送失败,${delay}ms 后重试 (${attempt + 1}/${retries}): ${endpoint.url}`,
+          error.message,
+        );
+        await sleep(delay);
+      }
+    }
+  }
+}
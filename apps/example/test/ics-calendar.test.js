@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getEventsOn, parseICS } from '../lib/ics-calendar.js';
+
+// 2026-01-05 是周一
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'SUMMARY:晨会',
+  'DTSTART:20260105T090000',
+  'DTEND:20260105T093000',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=4',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:周二例会',
+  'LOCATION:3 号会议室',
+  'DTSTART:20260106T140000',
+  'RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20260120T235959',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:跑步',
+  'DTSTART:20260105T200000',
+  'RRULE:FREQ=DAILY;INTERVAL=2',
+  'EXDATE:20260109T200000,20260113T200000',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:双周复盘',
+  'DTSTART:20260105T160000',
+  'RRULE:FREQ=WEEKLY;INTERVAL=2',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:发工资',
+  'DTSTART;VALUE=DATE:20260115',
+  'RRULE:FREQ=MONTHLY',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:团建\\, 记得带',
+  '  水杯',
+  'DTSTART;VALUE=DATE:20260107',
+  'DTEND;VALUE=DATE:20260108',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:已取消',
+  'STATUS:CANCELLED',
+  'DTSTART:20260107T100000',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const events = parseICS(ICS);
+
+/**
+ * 某一天的日程名称 (按开始时间排序)
+ */
+function summariesOn(year, month, day) {
+  return getEventsOn(events, new Date(year, month - 1, day)).map((e) => e.summary);
+}
+
+describe('parseICS', () => {
+  it('解析事件，跳过已取消的事件', () => {
+    assert.equal(events.length, 6);
+    assert.ok(!events.some((e) => e.summary === '已取消'));
+  });
+
+  it('展开折行并还原转义字符', () => {
+    assert.ok(events.some((e) => e.summary === '团建, 记得带 水杯'));
+  });
+
+  it('解析重复规则', () => {
+    const { rrule } = events.find((e) => e.summary === '晨会');
+    assert.equal(rrule.freq, 'WEEKLY');
+    assert.equal(rrule.count, 4);
+    assert.deepEqual(rrule.byday, [1, 3, 5]);
+  });
+});
+
+describe('getEventsOn', () => {
+  it('WEEKLY + BYDAY 按星期展开，COUNT 限制总次数', () => {
+    const days = [5, 6, 7, 8, 9, 12, 14, 16].filter((day) =>
+      summariesOn(2026, 1, day).includes('晨会'),
+    );
+    assert.deepEqual(days, [5, 7, 9, 12]);
+  });
+
+  it('UNTIL 之后不再重复', () => {
+    const days = [6, 13, 20, 27].filter((day) => summariesOn(2026, 1, day).includes('周二例会'));
+    assert.deepEqual(days, [6, 13, 20]);
+  });
+
+  it('DAILY + INTERVAL 隔天重复，跳过 EXDATE', () => {
+    const days = [5, 6, 7, 9, 11, 13, 15].filter((day) =>
+      summariesOn(2026, 1, day).includes('跑步'),
+    );
+    assert.deepEqual(days, [5, 7, 11, 15]);
+  });
+
+  it('WEEKLY + INTERVAL 没有 BYDAY 时按开始日期的星期重复', () => {
+    const days = [5, 12, 19, 26].filter((day) => summariesOn(2026, 1, day).includes('双周复盘'));
+    assert.deepEqual(days, [5, 19]);
+  });
+
+  it('MONTHLY 全天事件', () => {
+    assert.ok(summariesOn(2026, 2, 15).includes('发工资'));
+    assert.ok(!summariesOn(2026, 2, 16).includes('发工资'));
+    assert.ok(!summariesOn(2025, 12, 15).includes('发工资'));
+  });
+
+  it('计算重复事件当天的开始和结束时间，全天事件排在最前', () => {
+    const list = getEventsOn(events, new Date(2026, 0, 7, 12));
+    assert.deepEqual(
+      list.map((e) => e.summary),
+      ['团建, 记得带 水杯', '晨会', '跑步'],
+    );
+    const meeting = list[1];
+    assert.deepEqual(meeting.start, new Date(2026, 0, 7, 9, 0));
+    assert.deepEqual(meeting.end, new Date(2026, 0, 7, 9, 30));
+    assert.equal(list[0].allDay, true);
+    assert.equal(list[2].end, undefined);
+  });
+
+  it('开始日期之前没有日程', () => {
+    assert.deepEqual(summariesOn(2026, 1, 4), []);
+  });
+});
+
+describe('TZID', () => {
+  /**
+   * 解析只有一个事件的日历
+   */
+  function parseEvent(...lines) {
+    const [event] = parseICS(
+      [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'SUMMARY:会议',
+        ...lines,
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n'),
+    );
+    return event;
+  }
+
+  it('按 TZID 对应的时区换算时间', () => {
+    const event = parseEvent(
+      'DTSTART;TZID=Asia/Shanghai:20260105T090000',
+      'DTEND;TZID="Asia/Shanghai":20260105T093000',
+    );
+    assert.deepEqual(event.start, new Date(Date.UTC(2026, 0, 5, 1, 0)));
+    assert.deepEqual(event.end, new Date(Date.UTC(2026, 0, 5, 1, 30)));
+  });
+
+  it('夏令时', () => {
+    const winter = parseEvent('DTSTART;TZID=America/New_York:20260105T090000');
+    const summer = parseEvent('DTSTART;TZID=America/New_York:20260706T090000');
+    assert.deepEqual(winter.start, new Date(Date.UTC(2026, 0, 5, 14, 0)));
+    assert.deepEqual(summer.start, new Date(Date.UTC(2026, 6, 6, 13, 0)));
+  });
+
+  it('无法识别的时区按本地时间处理', () => {
+    const event = parseEvent('DTSTART;TZID=China Standard Time:20260105T090000');
+    assert.deepEqual(event.start, new Date(2026, 0, 5, 9, 0));
+  });
+
+  it('全天事件和 UTC 时间不受 TZID 影响', () => {
+    const allDay = parseEvent('DTSTART;VALUE=DATE;TZID=America/New_York:20260105');
+    assert.deepEqual(allDay.start, new Date(2026, 0, 5));
+    const utc = parseEvent('DTSTART;TZID=America/New_York:20260105T090000Z');
+    assert.deepEqual(utc.start, new Date(Date.UTC(2026, 0, 5, 9, 0)));
+  });
+});
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { readConfig } from '../lib/config-loader.js';
+import { MemoryStore } from '../lib/memory-store.js';
+import { MessageHandler } from '../lib/message-handler.js';
+import { Scheduler } from '../lib/scheduler.js';
+
+const CONFIG_PATH = fileURLToPath(new URL('../config-example.yaml', import.meta.url));
+
+/**
+ * 模拟 APIServer: 记录播报和 AI 请求
+ */
+function createFakeApiServer() {
+  const calls = [];
+  const state = { name: 'living', aiConversationMode: false };
+  return {
+    calls,
+    state,
+    getDeviceState: () => state,
+    getDeviceOrThrow: () => ({ speaker: { abortXiaoAI: async () => calls.push(['abort']) } }),
+    getSession: (source, device) => `${source}:${device}`,
+    resolveDeviceNames: (device) => [device || 'living'],
+    enqueueTask: (task) => task(),
+    speakByText: async (text) => calls.push(['speak', text]),
+    replyByAI: async (msg) => calls.push(['ai', msg.text]),
+  };
+}
+
+describe('MessageHandler', () => {
+  let dir;
+  let api;
+  let handler;
+
+  const handle = (text) => handler.handle({ text, timestamp: Date.now() });
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'migpt-handler-'));
+    for (const method of ['log', 'warn']) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    const config = readConfig(CONFIG_PATH);
+    config.scheduler.file = join(dir, 'schedules.json');
+    config.memory = { ...config.memory, enabled: true, file: join(dir, 'memory.json') };
+    api = createFakeApiServer();
+    api.scheduler = new Scheduler(config, api);
+    api.memory = new MemoryStore(config);
+    handler = new MessageHandler(config, { get: () => ({}) }, api);
+  });
+
+  describe('语音提醒', () => {
+    it('没有唤醒词时交给小爱自己创建提醒', async () => {
+      assert.equal(await handle('提醒我十分钟后关火'), undefined);
+      assert.equal(api.scheduler.list().length, 0);
+      assert.deepEqual(api.calls, []);
+    });
+
+    it('命中唤醒词时创建提醒并回复', async () => {
+      assert.deepEqual(await handle('请提醒我十分钟后关火'), { handled: true });
+      const [job] = api.scheduler.list();
+      assert.equal(job.text, '时间到了，记得关火');
+      assert.deepEqual(api.calls, [['speak', '好的，十分钟后提醒你关火']]);
+    });
+
+    it('AI 模式下不需要唤醒词', async () => {
+      api.state.aiConversationMode = true;
+      assert.deepEqual(await handle('提醒我明天早上8点开会'), { handled: true });
+      assert.equal(api.scheduler.list()[0].text, '时间到了，记得开会');
+    });
+
+    it('无法识别时间时交给 AI 对话', async () => {
+      await handle('请提醒我关火');
+      assert.equal(api.scheduler.list().length, 0);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(api.calls, [['abort'], ['ai', '提醒我关火']]);
+    });
+  });
+
+  describe('长期记忆', () => {
+    const facts = () => api.memory.list().map((fact) => fact.text);
+
+    it('没有唤醒词时不处理', async () => {
+      assert.equal(await handle('记住我女儿对花生过敏'), undefined);
+      assert.deepEqual(facts(), []);
+      assert.deepEqual(api.calls, []);
+    });
+
+    it('命中唤醒词时保存记忆并回复', async () => {
+      assert.deepEqual(await handle('请记住我女儿对花生过敏'), { handled: true });
+      assert.deepEqual(facts(), ['我女儿对花生过敏']);
+      assert.deepEqual(api.calls, [['speak', '好的，我记住了。']]);
+    });
+
+    it('询问是否记住时交给 AI 对话', async () => {
+      await handle('请记住了吗');
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(facts(), []);
+      assert.deepEqual(api.calls, [['abort'], ['ai', '记住了吗']]);
+    });
+
+    it('至少要有两个字的内容', () => {
+      for (const text of ['记住了吗', '记住了没有', '记住没？', '记住啊', '记住']) {
+        assert.equal(api.memory.parseRemember(text), undefined, text);
+      }
+      assert.deepEqual(api.memory.parseRemember('记住我怕冷。'), { text: '我怕冷' });
+      assert.deepEqual(api.memory.parseRemember('记住 wifi 密码'), { text: 'wifi 密码' });
+    });
+
+    it('忘掉记忆同样需要唤醒词或 AI 模式', async () => {
+      await api.memory.add('我女儿对花生过敏', 'api');
+      assert.equal(await handle('忘掉花生过敏'), undefined);
+      assert.deepEqual(facts(), ['我女儿对花生过敏']);
+
+      api.state.aiConversationMode = true;
+      assert.deepEqual(await handle('忘掉花生过敏'), { handled: true });
+      assert.deepEqual(facts(), []);
+      assert.deepEqual(api.calls, [['speak', '好的，已经忘掉了：我女儿对花生过敏。']]);
+    });
+  });
+
+  describe('大模型意图识别', () => {
+    let answer;
+
+    beforeEach(() => {
+      const config = readConfig(CONFIG_PATH);
+      config.intents = {
+        llmFallback: true,
+        custom: [{ name: 'open_door', description: '打开门锁', text: '门开了' }],
+      };
+      handler = new MessageHandler(config, { get: () => ({}) }, api);
+      answer = 'open_door';
+      handler.router.ask = mock.fn(async () => answer);
+    });
+
+    it('没有唤醒词时不请求大模型', async () => {
+      assert.equal(await handle('开门'), undefined);
+      assert.equal(handler.router.ask.mock.callCount(), 0);
+      assert.deepEqual(api.calls, []);
+    });
+
+    it('命中唤醒词时按大模型回复的意图执行', async () => {
+      assert.deepEqual(await handle('请开门'), { handled: true });
+      assert.equal(handler.router.ask.mock.callCount(), 1);
+      assert.deepEqual(api.calls, [['speak', '门开了']]);
+    });
+
+    it('AI 模式下不需要唤醒词', async () => {
+      api.state.aiConversationMode = true;
+      await handle('开门');
+      assert.deepEqual(api.calls, [['speak', '门开了']]);
+    });
+
+    it('只接受完整的意图名称', async () => {
+      answer = '不是 open_door';
+      await handle('请开门');
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(api.calls, [['abort'], ['ai', '开门']]);
+
+      api.calls.length = 0;
+      answer = ' open_door\n';
+      await handle('请开门');
+      assert.deepEqual(api.calls, [['speak', '门开了']]);
+    });
+  });
+});
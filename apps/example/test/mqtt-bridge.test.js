@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:net';
+import { after, before, describe, it, mock } from 'node:test';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+import { MQTTBridge } from '../lib/mqtt-bridge.js';
+
+/**
+ * 等待条件成立
+ */
+async function waitFor(predicate, timeout = 3000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const result = predicate();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('等待超时');
+}
+
+/**
+ * 模拟 APIServer: 记录调用的方法和参数
+ */
+function createFakeApiServer() {
+  const calls = [];
+  const states = new Map();
+  const MiNA = {
+    getStatus: async () => ({ status: 'playing', volume: 40 }),
+    setVolume: async (volume) => calls.push(['setVolume', volume]),
+    pause: async () => calls.push(['pause']),
+    play: async () => calls.push(['resume']),
+  };
+  return {
+    calls,
+    webhooks: { emit: (event, data) => calls.push(['webhook', event, data]) },
+    getDeviceState(name) {
+      if (!states.has(name)) {
+        states.set(name, { aiConversationMode: false, queueDepth: 0, lastReply: '' });
+      }
+      return states.get(name);
+    },
+    getDeviceOrThrow: () => ({ MiNA }),
+    enqueueTask: (task, options) => {
+      calls.push(['enqueue', options.type, options.device]);
+      return task();
+    },
+    speakByText: async (text, options) => calls.push(['speak', text, options]),
+    askAndSpeak: async (text, options) => calls.push(['chat', text, options]),
+    playByUrl: async (url, options) => calls.push(['play', url, options]),
+    interrupt: async (device) => calls.push(['interrupt', device]),
+  };
+}
+
+describe('MQTTBridge', () => {
+  let broker;
+  let server;
+  let api;
+  let bridge;
+  let observer;
+  const messages = new Map();
+
+  before(async () => {
+    // 不输出连接和指令日志
+    for (const method of ['log', 'warn']) {
+      mock.method(console, method, () => {});
+    }
+
+    broker = await Aedes.createBroker();
+    server = createServer(broker.handle);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    api = createFakeApiServer();
+    bridge = new MQTTBridge(
+      {
+        mqtt: { url, clientId: 'migpt-test', topicPrefix: 'migpt' },
+        speakers: [{ name: 'living', did: '1001' }],
+      },
+      api,
+    );
+    await bridge.start();
+    await waitFor(() => bridge.client.connected);
+
+    // 晚于 bridge 连接，只能收到 retain 消息和之后的新消息
+    observer = await mqtt.connectAsync(url, { clientId: 'observer' });
+    observer.on('message', (topic, payload) => messages.set(topic, payload.toString()));
+    await observer.subscribeAsync('#');
+  });
+
+  after(async () => {
+    await bridge.stop();
+    await observer.endAsync();
+    await new Promise((resolve) => broker.close(resolve));
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('发布 Home Assistant 自动发现配置 (retain)', async () => {
+    const discovery = (component, key) =>
+      JSON.parse(messages.get(`homeassistant/${component}/migpt_1001/${key}/config`));
+    await waitFor(
+      () => [...messages.keys()].filter((topic) => topic.startsWith('homeassistant/')).length === 8,
+    );
+
+    const speak = discovery('notify', 'speak');
+    assert.equal(speak.command_topic, 'migpt/living/speak');
+    assert.equal(speak.unique_id, 'migpt_1001_speak');
+    assert.equal(speak.availability_topic, 'migpt/status');
+    assert.deepEqual(speak.device.identifiers, ['migpt_1001']);
+    assert.equal(discovery('notify', 'chat').command_topic, 'migpt/living/chat');
+
+    const player = discovery('media_player', 'player');
+    assert.equal(player.state_state_topic, 'migpt/living/media/state');
+    assert.equal(player.state_volume_topic, 'migpt/living/media/volume');
+    assert.equal(player.command_volume_topic, 'migpt/living/volume_level');
+    assert.equal(player.command_playmedia_topic, 'migpt/living/play');
+
+    const volume = discovery('number', 'volume');
+    assert.equal(volume.command_topic, 'migpt/living/volume');
+    assert.equal(volume.state_topic, 'migpt/living/state');
+    assert.equal(volume.value_template, '{{ value_json.volume }}');
+    assert.equal(volume.max, 100);
+
+    const aiMode = discovery('switch', 'ai_mode');
+    assert.equal(aiMode.command_topic, 'migpt/living/ai_mode');
+    assert.equal(aiMode.value_template, '{{ value_json.ai_mode }}');
+
+    assert.equal(discovery('sensor', 'queue_depth').state_topic, 'migpt/living/state');
+    assert.equal(discovery('sensor', 'last_reply').json_attributes_topic, 'migpt/living/state');
+    assert.equal(discovery('button', 'stop').command_topic, 'migpt/living/stop');
+  });
+
+  it('发布在线状态和音箱状态', async () => {
+    await waitFor(() => messages.get('migpt/status') === 'online');
+    const state = JSON.parse(await waitFor(() => messages.get('migpt/living/state')));
+    assert.equal(state.state, 'playing');
+    assert.equal(state.volume, 40);
+    assert.equal(state.ai_mode, 'OFF');
+    assert.equal(state.queue_depth, 0);
+    await waitFor(() => messages.get('migpt/living/media/state') === 'playing');
+    await waitFor(() => messages.get('migpt/living/media/volume') === '0.4');
+  });
+
+  it('状态变化后重新发布', async () => {
+    const state = api.getDeviceState('living');
+    state.lastReply = '今天天气晴';
+    state.queueDepth = 2;
+    const published = await waitFor(() => {
+      const value = JSON.parse(messages.get('migpt/living/state') ?? '{}');
+      return value.last_reply === '今天天气晴' && value;
+    });
+    assert.equal(published.queue_depth, 2);
+    await waitFor(() => messages.get('migpt/living/media/title') === '今天天气晴');
+  });
+
+  it('执行控制指令', async () => {
+    const send = async (command, payload) => {
+      const count = api.calls.length;
+      await observer.publishAsync(`migpt/living/${command}`, payload, { qos: 1 });
+      await waitFor(() => api.calls.length > count);
+      return api.calls.slice(count);
+    };
+
+    assert.deepEqual(await send('speak', '你好'), [
+      ['enqueue', 'mqtt:speak', 'living'],
+      ['speak', '你好', { device: 'living', interrupt: true }],
+    ]);
+    assert.deepEqual((await send('chat', '{"text":"讲个笑话"}'))[1], [
+      'chat',
+      '讲个笑话',
+      { device: 'living', interrupt: true },
+    ]);
+    assert.deepEqual((await send('play', '{"media_id":"http://127.0.0.1/a.mp3"}'))[1], [
+      'play',
+      'http://127.0.0.1/a.mp3',
+      { device: 'living', interrupt: true },
+    ]);
+    assert.deepEqual(await send('stop', ''), [['interrupt', 'living']]);
+    assert.deepEqual(await send('pause', ''), [['pause']]);
+    assert.deepEqual(await send('resume', ''), [['resume']]);
+    assert.deepEqual(await send('volume', '30'), [['setVolume', 30]]);
+    assert.deepEqual(await send('volume_level', '0.55'), [['setVolume', 55]]);
+
+    assert.deepEqual(await send('ai_mode', 'ON'), [
+      ['webhook', 'ai_mode.changed', { device: 'living', enabled: true }],
+    ]);
+    assert.equal(api.getDeviceState('living').aiConversationMode, true);
+    await waitFor(() => JSON.parse(messages.get('migpt/living/state')).ai_mode === 'ON');
+  });
+
+  it('忽略不存在的音箱和未知指令', async () => {
+    const count = api.calls.length;
+    await observer.publishAsync('migpt/kitchen/speak', '你好', { qos: 1 });
+    await observer.publishAsync('migpt/living/unknown', '你好', { qos: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(api.calls.length, count);
+  });
+});
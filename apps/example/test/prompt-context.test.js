@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { ContextProviders, PromptContext } from '../lib/prompt-context.js';
+
+const WEATHER = {
+  current: { temperature_2m: 18.4, weather_code: 2 },
+  daily: {
+    weather_code: [61],
+    temperature_2m_max: [22.2],
+    temperature_2m_min: [11.6],
+    precipitation_probability_max: [40],
+  },
+};
+
+function icsDate(date, hour, minute) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  return hour == null ? day : `${day}T${pad(hour)}${pad(minute)}00`;
+}
+
+/**
+ * 本地的天气和日历接口: 按 reply 返回响应，记录收到的请求
+ */
+function createStandInServer() {
+  const state = { requests: [], reply: null };
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push(url);
+    const { status = 200, body = '', delayMs = 0 } = state.reply(url);
+    if (delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+    res.writeHead(status);
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  return { server, state };
+}
+
+describe('ContextProviders', () => {
+  let server;
+  let state;
+  let baseURL;
+
+  before(async () => {
+    ({ server, state } = createStandInServer());
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+    // 获取失败时会输出错误日志
+    mock.method(console, 'error', () => {});
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    state.reply = () => ({ body: WEATHER });
+  });
+
+  describe('weather', () => {
+    it('按 Open-Meteo 格式请求并格式化天气', async () => {
+      const weather = ContextProviders.weather({
+        url: `${baseURL}/v1/forecast?forecast_days=2`,
+        latitude: 31.23,
+        longitude: 121.47,
+      });
+      assert.equal(await weather(), '多云，当前 18℃，今天 12~22℃，降水概率 40%');
+
+      const [url] = state.requests;
+      assert.equal(url.pathname, '/v1/forecast');
+      assert.equal(url.searchParams.get('latitude'), '31.23');
+      assert.equal(url.searchParams.get('longitude'), '121.47');
+      assert.equal(url.searchParams.get('current'), 'temperature_2m,weather_code');
+      assert.equal(url.searchParams.get('timezone'), 'auto');
+      // 已有的查询参数不会被覆盖
+      assert.equal(url.searchParams.get('forecast_days'), '2');
+    });
+
+    it('没有当前天气时使用每日预报', async () => {
+      state.reply = () => ({ body: { daily: WEATHER.daily } });
+      const weather = ContextProviders.weather({ url: baseURL, latitude: 0, longitude: 0 });
+      assert.equal(await weather(), '小雨，今天 12~22℃，降水概率 40%');
+    });
+
+    it('接口返回非 2xx 或格式不正确时报错', async () => {
+      const weather = ContextProviders.weather({ url: baseURL, latitude: 0, longitude: 0 });
+      state.reply = () => ({ status: 503 });
+      await assert.rejects(weather(), /HTTP 503/);
+      state.reply = () => ({ body: {} });
+      await assert.rejects(weather(), /数据格式不正确/);
+    });
+  });
+
+  describe('calendar', () => {
+    it('列出今天的日程', async () => {
+      const today = new Date();
+      state.reply = () => ({
+        body: [
+          'BEGIN:VCALENDAR',
+          'BEGIN:VEVENT',
+          'SUMMARY:周会',
+          'LOCATION:会议室',
+          `DTSTART:${icsDate(today, 9, 30)}`,
+          `DTEND:${icsDate(today, 10, 0)}`,
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'SUMMARY:喝水',
+          `DTSTART:${icsDate(today, 15, 0)}`,
+          'END:VEVENT',
+          'BEGIN:VEVENT',
+          'SUMMARY:生日',
+          `DTSTART;VALUE=DATE:${icsDate(today)}`,
+          'RRULE:FREQ=YEARLY',
+          'END:VEVENT',
+          'END:VCALENDAR',
+        ].join('\r\n'),
+      });
+      const calendar = ContextProviders.calendar({ source: `${baseURL}/cal.ics` });
+      assert.equal(await calendar(), '全天 生日；09:30-10:00 周会 (会议室)；15:00 喝水');
+    });
+
+    it('没有日程', async () => {
+      state.reply = () => ({ body: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' });
+      const calendar = ContextProviders.calendar({ source: `${baseURL}/cal.ics` });
+      assert.equal(await calendar(), '今天没有日程');
+    });
+
+    it('接口返回非 2xx 时报错', async () => {
+      state.reply = () => ({ status: 404 });
+      const calendar = ContextProviders.calendar({ source: `${baseURL}/cal.ics` });
+      await assert.rejects(calendar(), /HTTP 404/);
+    });
+  });
+
+  describe('PromptContext 缓存', () => {
+    function createContext(options) {
+      const context = new PromptContext({});
+      const weather = ContextProviders.weather({
+        url: baseURL,
+        latitude: 0,
+        longitude: 0,
+        timeoutMs: 200,
+      });
+      context.set('weather', weather, options);
+      return context;
+    }
+
+    it('ttlMs 内复用上次的结果', async () => {
+      const context = createContext({ ttlMs: 60000 });
+      assert.match(await context.render('{{weather}}'), /^多云/);
+      assert.match(await context.render('{{weather}}'), /^多云/);
+      assert.equal(state.requests.length, 1);
+    });
+
+    it('同时渲染时只请求一次', async () => {
+      const context = createContext({ ttlMs: 60000 });
+      await Promise.all([context.render('{{weather}}'), context.render('{{weather}}')]);
+      assert.equal(state.requests.length, 1);
+    });
+
+    it('缓存过期后重新请求', async () => {
+      const context = createContext({ ttlMs: 1 });
+      await context.render('{{weather}}');
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await context.render('{{weather}}');
+      assert.equal(state.requests.length, 2);
+    });
+
+    it('接口返回非 2xx 时使用上次的结果', async () => {
+      const context = createContext({ ttlMs: 1 });
+      const first = await context.render('天气：{{weather}}');
+      await new Promise((resolve) => setTimeout(resolve, 5));
+
+      state.reply = () => ({ status: 500 });
+      assert.equal(await context.render('天气：{{weather}}'), first);
+      assert.equal(state.requests.length, 2);
+    });
+
+    it('请求超时时使用上次的结果', async () => {
+      // 天气接口的 timeoutMs 为 200ms
+      const context = createContext({ ttlMs: 1 });
+      const first = await context.render('{{weather}}');
+      await new Promise((resolve) => setTimeout(resolve, 5));
+
+      state.reply = () => ({ body: WEATHER, delayMs: 500 });
+      const start = Date.now();
+      assert.equal(await context.render('{{weather}}'), first);
+      assert.ok(Date.now() - start < 400);
+    });
+
+    it('没有缓存时获取失败返回空字符串', async () => {
+      state.reply = () => ({ status: 500 });
+      const context = createContext({ ttlMs: 60000 });
+      assert.equal(await context.render('天气：{{weather}}'), '天气：');
+    });
+  });
+});
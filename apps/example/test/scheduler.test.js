@@ -0,0 +1,254 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { Scheduler, parseReminderTime } from '../lib/scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 解析提醒，返回本地时间 "MM-DD HH:mm" 和提醒内容
+ */
+function parse(text, now) {
+  const result = parseReminderTime(text, now.getTime());
+  if (!result) return null;
+  const date = new Date(result.at);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    at: `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    content: result.content,
+  };
+}
+
+describe('parseReminderTime', () => {
+  const morning = new Date(2026, 9, 19, 9, 0);
+  const night = new Date(2026, 9, 19, 22, 30);
+
+  describe('相对时间', () => {
+    it('中文和阿拉伯数字', () => {
+      const now = morning.getTime();
+      assert.equal(parseReminderTime('十分钟后关火', now).at, now + 10 * 60 * 1000);
+      assert.equal(parseReminderTime('30秒后看一下', now).at, now + 30 * 1000);
+      assert.equal(parseReminderTime('两天后交房租', now).at, now + 48 * HOUR);
+    });
+
+    it('半小时和一个半小时', () => {
+      const now = morning.getTime();
+      assert.equal(parseReminderTime('半小时以后出门', now).at, now + HOUR / 2);
+      assert.equal(parseReminderTime('一个半小时之后收衣服', now).at, now + 1.5 * HOUR);
+    });
+
+    it('提取提醒内容', () => {
+      assert.deepEqual(parseReminderTime('十分钟后要关火', morning.getTime()), {
+        at: morning.getTime() + 10 * 60 * 1000,
+        phrase: '十分钟后',
+        content: '关火',
+      });
+    });
+  });
+
+  describe('绝对时间', () => {
+    it('日期、时段和分钟', () => {
+      assert.deepEqual(parse('明天早上8点开会', morning), { at: '10-20 08:00', content: '开会' });
+      assert.deepEqual(parse('下午三点半取快递', morning), {
+        at: '10-19 15:30',
+        content: '取快递',
+      });
+      assert.deepEqual(parse('9点15分吃药', night), { at: '10-20 09:15', content: '吃药' });
+      assert.deepEqual(parse('后天中午一点一刻', morning), { at: '10-21 13:15', content: '' });
+    });
+
+    it('没有时段且时间已过时优先理解为下午', () => {
+      assert.deepEqual(parse('8点喝水', morning), { at: '10-19 20:00', content: '喝水' });
+    });
+
+    it('单独的「一点」不是时间', () => {
+      assert.equal(parse('多喝一点水', morning), null);
+    });
+
+    it('今晚', () => {
+      assert.deepEqual(parse('今晚十点关灯', morning), { at: '10-19 22:00', content: '关灯' });
+      assert.deepEqual(parse('今晚12点睡觉', morning), { at: '10-20 00:00', content: '睡觉' });
+    });
+
+    it('晚上十二点是当天结束时的 0 点', () => {
+      assert.deepEqual(parse('晚上十二点睡觉', night), { at: '10-20 00:00', content: '睡觉' });
+      assert.deepEqual(parse('晚上12点', morning), { at: '10-20 00:00', content: '' });
+      assert.deepEqual(parse('明天晚上12点', night), { at: '10-21 00:00', content: '' });
+    });
+
+    it('半夜和深夜', () => {
+      assert.deepEqual(parse('半夜十二点关灯', night), { at: '10-20 00:00', content: '关灯' });
+      assert.deepEqual(parse('半夜两点收衣服', night), { at: '10-20 02:00', content: '收衣服' });
+      assert.deepEqual(parse('深夜十一点', morning), { at: '10-19 23:00', content: '' });
+    });
+
+    it('无效的时间', () => {
+      assert.equal(parse('二十五点', morning), null);
+      assert.equal(parse('关灯', morning), null);
+    });
+  });
+});
+
+/**
+ * 模拟 APIServer: 记录执行的任务
+ */
+function createFakeApiServer() {
+  const calls = [];
+  return {
+    calls,
+    resolveDeviceNames(device) {
+      if (device && !['living', 'bedroom', 'all'].includes(device)) {
+        throw new Error(`Unknown device: ${device}`);
+      }
+      return device === 'all' ? ['living', 'bedroom'] : [device || 'living'];
+    },
+    runOnDevices: (devices, task) => Promise.all(devices.map(task)),
+    enqueueTask: (task) => task(),
+    getSession: (source, device) => `${source}:${device}`,
+    speakByText: async (text, options) => calls.push(['speak', text, options.device]),
+    askAndSpeak: async (text, options) => calls.push(['chat', text, options.session]),
+    playByUrl: async (url, options) => calls.push(['play', url, options.device]),
+  };
+}
+
+describe('Scheduler', () => {
+  let dir;
+  let api;
+  let scheduler;
+
+  const createScheduler = (scheduler = {}) =>
+    new Scheduler({ scheduler: { file: join(dir, 'schedules.json'), ...scheduler } }, api);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'migpt-scheduler-'));
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    await rm(join(dir, 'schedules.json'), { force: true });
+    api = createFakeApiServer();
+    scheduler = createScheduler();
+  });
+
+  it('校验任务参数', () => {
+    assert.throws(() => scheduler.addJob({ action: 'run', text: '你好', delay: 1 }), /action/);
+    assert.throws(() => scheduler.addJob({ action: 'speak', delay: 1 }), /text is required/);
+    assert.throws(() => scheduler.addJob({ url: ' ', action: 'play', delay: 1 }), /url/);
+    assert.throws(() => scheduler.addJob({ text: '你好' }), /cron, at or delay/);
+    assert.throws(() => scheduler.addJob({ text: '你好', cron: '* * *' }), /Invalid cron/);
+    assert.throws(() => scheduler.addJob({ text: '你好', at: 'tomorrow' }), /Invalid at/);
+    assert.throws(() => scheduler.addJob({ text: '你好', at: Date.now() - HOUR }), /past/);
+    assert.throws(() => scheduler.addJob({ text: '你好', delay: 1, device: 'kitchen' }), /kitchen/);
+  });
+
+  it('按下次执行时间排序，只把接口和语音创建的任务写入文件', async () => {
+    scheduler = createScheduler({ jobs: [{ text: '早上好', cron: '0 8 * * *' }] });
+    scheduler.addConfigJobs();
+    const later = await scheduler.add({ text: '一小时后', delay: 3600 });
+    const sooner = await scheduler.add({ url: 'http://127.0.0.1/a.mp3', delay: 60 });
+
+    assert.equal(sooner.action, 'play');
+    const times = scheduler.list().map((job) => job.nextRunAt);
+    assert.equal(times.length, 3);
+    assert.deepEqual(
+      times,
+      [...times].sort((a, b) => a - b),
+    );
+    const ids = scheduler.list().map((job) => job.id);
+    assert.ok(ids.indexOf(sooner.id) < ids.indexOf(later.id));
+
+    const saved = JSON.parse(await readFile(join(dir, 'schedules.json'), 'utf8'));
+    assert.deepEqual(saved.map((job) => job.id).sort(), [later.id, sooner.id].sort());
+    assert.ok(saved.every((job) => job.nextRunAt === undefined));
+  });
+
+  it('重启后从文件中恢复任务', async () => {
+    const job = await scheduler.add({ text: '喝水', delay: 60, device: 'bedroom' });
+    const restored = createScheduler();
+    await restored.start();
+    restored.stop();
+    assert.deepEqual(restored.jobs.get(job.id), job);
+  });
+
+  it('执行到期的一次性任务后删除', async () => {
+    const job = scheduler.addJob({ text: '关火', at: Date.now() - 1000 }, 'voice');
+    scheduler.tick();
+    await scheduler.saving;
+    assert.deepEqual(api.calls, [['speak', '关火', 'living']]);
+    assert.equal(scheduler.jobs.has(job.id), false);
+  });
+
+  it('cron 任务执行后计算下一次执行时间', () => {
+    const job = scheduler.addJob({ action: 'chat', text: '今天天气', cron: '*/5 * * * *' });
+    job.nextRunAt = Date.now() - 1000;
+    scheduler.tick();
+    assert.deepEqual(api.calls, [['chat', '今天天气', 'schedule:living']]);
+    assert.ok(job.nextRunAt > Date.now());
+    assert.equal(new Date(job.nextRunAt).getMinutes() % 5, 0);
+  });
+
+  it('device 为 all 时在所有音箱上执行', async () => {
+    scheduler.addJob({ text: '开饭了', at: Date.now(), device: 'all' });
+    scheduler.tick();
+    await scheduler.saving;
+    assert.deepEqual(api.calls, [
+      ['speak', '开饭了', 'living'],
+      ['speak', '开饭了', 'bedroom'],
+    ]);
+  });
+
+  it('config.yaml 中的任务不能通过接口删除', async () => {
+    scheduler = createScheduler({ jobs: [{ text: '早上好', cron: '0 8 * * *' }] });
+    scheduler.addConfigJobs();
+    await assert.rejects(scheduler.remove('config-1'), /cannot be deleted/);
+    assert.equal(await scheduler.remove('missing'), false);
+  });
+
+  it('跳过 config.yaml 中过期的任务，已执行的一次性任务热重载后不再添加', () => {
+    const at = Date.now() + 500;
+    const config = {
+      jobs: [
+        { text: '已过期', at: Date.now() - 24 * HOUR },
+        { text: '马上执行', at },
+        { text: '早上好', cron: '0 8 * * *' },
+      ],
+    };
+    scheduler = createScheduler(config);
+    scheduler.addConfigJobs();
+    assert.deepEqual(
+      scheduler.list().map((job) => job.text),
+      ['马上执行', '早上好'],
+    );
+
+    scheduler.jobs.get('config-2').nextRunAt = Date.now() - 1;
+    scheduler.tick();
+    scheduler.updateConfig({ scheduler: { file: join(dir, 'schedules.json'), ...config } });
+    assert.deepEqual(
+      scheduler.list().map((job) => job.text),
+      ['早上好'],
+    );
+  });
+
+  it('语音提醒', async () => {
+    const now = Date.now();
+    const reminder = scheduler.parseReminder('提醒我十分钟后关火');
+    assert.equal(reminder.content, '关火');
+    assert.ok(Math.abs(reminder.at - (now + 10 * 60 * 1000)) < 1000);
+    assert.equal(scheduler.parseReminder('十分钟后关火'), null);
+
+    assert.equal(await scheduler.addReminder(reminder, 'bedroom'), '好的，十分钟后提醒你关火');
+    const [job] = scheduler.list();
+    assert.equal(job.source, 'voice');
+    assert.equal(job.text, '时间到了，记得关火');
+    assert.equal(job.device, 'bedroom');
+  });
+});
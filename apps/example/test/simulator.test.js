@@ -0,0 +1,195 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { MiCloudSimulator } from '@mi-gpt/miot/simulator';
+import { MiGPT } from '@mi-gpt/next';
+import { MiMessage } from '@mi-gpt/next/message';
+import { APIServer } from '../lib/api-server.js';
+import { readConfig } from '../lib/config-loader.js';
+import { MessageHandler } from '../lib/message-handler.js';
+import { TTSService } from '../lib/tts-service.js';
+
+const CONFIG_PATH = fileURLToPath(new URL('../config-example.yaml', import.meta.url));
+
+/**
+ * 模拟大模型服务：回复固定的文字，记录收到的用户消息
+ */
+function createLLMServer() {
+  const prompts = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const { messages } = JSON.parse(body);
+    prompts.push(messages[messages.length - 1].content);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 0,
+        model: 'deepseek-v3',
+        choices: [
+          {
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: '今天是晴天' },
+          },
+        ],
+      }),
+    );
+  });
+  return { server, prompts };
+}
+
+/**
+ * 等待条件成立，超时后抛出异常
+ */
+async function waitUntil(check, timeout = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('等待超时');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe('语音消息（本地模拟小米云）', () => {
+  const simulator = new MiCloudSimulator({ devices: [{ name: '小爱音箱Pro' }], playDuration: 200 });
+  const llm = createLLMServer();
+  const handled = [];
+
+  let dir;
+  let apiServer;
+  let running;
+
+  const ubusCommands = () =>
+    simulator.calls.filter((e) => e.type === 'ubus').map((e) => e.message.action ?? e.command);
+
+  const waitForUbus = (command) =>
+    simulator.waitFor((e) => e.type === 'ubus' && e.command === command);
+
+  before(async () => {
+    // 启动横幅、消息和播报日志
+    for (const method of ['log', 'warn']) {
+      mock.method(console, method, () => {});
+    }
+
+    llm.server.listen(0, '127.0.0.1');
+    await once(llm.server, 'listening');
+    const endpoints = await simulator.start();
+    dir = await mkdtemp(join(tmpdir(), 'migpt-simulator-'));
+
+    const config = readConfig(CONFIG_PATH);
+    config.speaker = {
+      ...config.speaker,
+      did: '小爱音箱Pro',
+      userId: simulator.userId,
+      passToken: simulator.passToken,
+      sessionFile: join(dir, 'mi-session.json'),
+    };
+    config.ai = { ...config.ai, stream: false };
+    config.intents.custom.push({
+      name: '放歌',
+      exact: ['放首歌'],
+      action: 'play',
+      url: 'http://127.0.0.1/song.mp3',
+    });
+
+    const engine = { get: () => MiGPT };
+    apiServer = new APIServer(config, engine, new TTSService(config));
+    const messageHandler = new MessageHandler(config, engine, apiServer);
+
+    running = MiGPT.start({
+      speaker: {
+        did: config.speaker.did,
+        userId: config.speaker.userId,
+        passToken: config.speaker.passToken,
+        sessionFile: config.speaker.sessionFile,
+        endpoints,
+      },
+      openai: {
+        baseURL: `http://127.0.0.1:${llm.server.address().port}/v1`,
+        apiKey: 'sk-test',
+        model: config.ai.model,
+      },
+      context: { historyFile: '' },
+      onMessage: async (_engine, msg) => {
+        const reply = await messageHandler.handle(msg);
+        handled.push(msg.text);
+        return reply;
+      },
+    });
+
+    // 第一次拉取的消息作为轮询起点，之后说的话才会被处理
+    await waitUntil(() => MiMessage._lastQueryMsg);
+  });
+
+  after(async () => {
+    await MiGPT.stop();
+    await running;
+    await simulator.stop();
+    llm.server.close();
+    await rm(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    simulator.calls = [];
+  });
+
+  it('自定义指令的文字通过 text_to_speech 播报', async () => {
+    simulator.say('晚安');
+    await waitForUbus('text_to_speech');
+    assert.deepEqual(simulator.spoken(), ['晚安，做个好梦']);
+  });
+
+  it('自定义指令的音频通过 player_play_url 播放', async () => {
+    simulator.say('放首歌');
+    await waitForUbus('player_play_url');
+    assert.deepEqual(simulator.played(), ['http://127.0.0.1/song.mp3']);
+  });
+
+  it('命中唤醒词时先打断小爱，再播报 AI 的回复', async () => {
+    simulator.say('请告诉我今天天气怎么样');
+    await waitForUbus('text_to_speech');
+
+    assert.equal(llm.prompts.at(-1), '告诉我今天天气怎么样');
+    assert.deepEqual(simulator.spoken(), ['今天是晴天']);
+    const commands = ubusCommands();
+    assert.ok(commands.includes('stop'));
+    assert.ok(commands.indexOf('stop') < commands.indexOf('text_to_speech'));
+  });
+
+  it('没有唤醒词的消息交给小爱，不发送播放指令', async () => {
+    handled.length = 0;
+    simulator.say('今天几号');
+    await waitUntil(() => handled.includes('今天几号'));
+
+    const commands = ubusCommands();
+    assert.ok(!commands.includes('text_to_speech'));
+    assert.ok(!commands.includes('player_play_url'));
+  });
+
+  it('进入 AI 模式后不需要唤醒词', async () => {
+    simulator.say('进入豆包模式');
+    await waitForUbus('text_to_speech');
+    assert.deepEqual(simulator.spoken(), [
+      '好的，已经进入豆包模式。你后面唤醒小爱后可以直接说内容。',
+    ]);
+    assert.equal(apiServer.getDeviceState().aiConversationMode, true);
+
+    simulator.calls = [];
+    simulator.say('明天呢');
+    await waitForUbus('text_to_speech');
+    assert.equal(llm.prompts.at(-1), '明天呢');
+    assert.deepEqual(simulator.spoken(), ['今天是晴天']);
+  });
+});
@@ -0,0 +1,47 @@
+import { MiMessage, _MiMessage } from './message.js';
+import { MiService, type MiServiceConfig, _MiService } from './service.js';
+import { MiSpeaker, SpeakerManager } from './speaker.js';
+
+export type MiDeviceConfig = MiServiceConfig & {
+  /**
+   * 音箱名称，用于区分多台音箱
+   *
+   * 默认：did
+   */
+  name?: string;
+};
+
+/**
+ * 单台小爱音箱，包含独立的 Mi 服务、消息轮询和播放控制
+ */
+export class MiDevice {
+  name: string;
+  service: _MiService;
+  message: _MiMessage;
+  speaker: SpeakerManager;
+
+  constructor(
+    public config: MiDeviceConfig,
+    options?: { isDefault?: boolean },
+  ) {
+    this.name = config.name || config.did;
+    if (options?.isDefault) {
+      // 第一台音箱沿用全局单例，兼容直接使用 MiService、MiSpeaker 的代码
+      this.service = MiService;
+      this.message = MiMessage;
+      this.speaker = MiSpeaker;
+    } else {
+      this.service = new _MiService();
+      this.message = new _MiMessage(this.service);
+      this.speaker = new SpeakerManager(this.service);
+    }
+  }
+
+  get MiNA() {
+    return this.service.MiNA!;
+  }
+
+  get MiOT() {
+    return this.service.MiOT!;
+  }
+}
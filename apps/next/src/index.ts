@@ -1,12 +1,19 @@
 import { ChatBot, type IMessage } from '@mi-gpt/chat';
-import type { IReply } from '@mi-gpt/engine/base';
+import type { IReply, ISpeaker } from '@mi-gpt/engine/base';
 import { type EngineConfig, MiGPTEngine } from '@mi-gpt/engine/index';
+import { MiSession } from '@mi-gpt/miot';
 import { deepMerge, sleep } from '@mi-gpt/utils';
+import { Metrics } from '@mi-gpt/utils/metrics';
 import type { DeepPartial, Prettify } from '@mi-gpt/utils/typing';
-import { MiMessage } from './message.js';
+import { MiDevice, type MiDeviceConfig } from './device.js';
 import { MiService, type MiServiceConfig } from './service.js';
 import { MiSpeaker } from './speaker.js';
 
+/**
+ * 来自小爱音箱的消息，device 为消息来源的音箱名称
+ */
+export type MiGPTMessage = IMessage & { device?: string };
+
 export type MiGPTConfig = Prettify<
   EngineConfig<MiJiaEngine> &
     DeepPartial<{
@@ -19,6 +26,14 @@ export type MiGPTConfig = Prettify<
          */
         heartbeat?: number;
       };
+      /**
+       * 多台音箱（可选）
+       *
+       * 每台音箱独立轮询消息，未填写的账号参数（userId、passToken 等）沿用 speaker 中的配置
+       *
+       * 示例：[{ name: "客厅", did: "小爱音箱Pro" }, { name: "卧室", did: "小爱音箱Play" }]
+       */
+      speakers: MiDeviceConfig[];
     }>
 >;
 
@@ -34,6 +49,21 @@ class MiJiaEngine extends MiGPTEngine {
 
   speaker = MiSpeaker;
 
+  devices: MiDevice[] = [];
+
+  private _polling?: Promise<unknown>;
+
+  /**
+   * 按名称获取音箱，不传或找不到时返回第一台音箱
+   */
+  getDevice(name?: string) {
+    return this.devices.find((e) => e.name === name) ?? this.devices[0];
+  }
+
+  protected getSpeaker(msg: MiGPTMessage): ISpeaker {
+    return this.getDevice(msg.device)?.speaker ?? this.speaker;
+  }
+
   get MiNA() {
     return MiService.MiNA!;
   }
@@ -45,18 +75,45 @@ class MiJiaEngine extends MiGPTEngine {
   async start(config: MiGPTConfig) {
     await super.start(deepMerge(kDefaultMiGPTConfig, config));
 
-    await MiService.init(this.config as any);
+    const { speaker, speakers } = this.config;
+    const deviceConfigs = speakers?.length ? speakers : [{}];
+    this.devices = deviceConfigs.map(
+      (e, idx) => new MiDevice({ ...speaker, ...e } as MiDeviceConfig, { isDefault: idx === 0 }),
+    );
+
+    for (const device of this.devices) {
+      await device.service.init({ debug: this.config.debug!, speaker: device.config });
+    }
 
     console.log('✅ 服务已启动...');
 
     // 轮询间隔最小 1 秒
-    const heartbeat = Math.max(1000, this.config.speaker!.heartbeat!);
+    const heartbeat = Math.max(1000, speaker!.heartbeat!);
+
+    // 每台音箱独立轮询消息
+    this._polling = Promise.all(
+      this.devices.map((device) => this._pollMessages(device, heartbeat)),
+    );
+    await this._polling;
+  }
 
-    // 轮询消息
+  /**
+   * 使用新配置重新登录小米账号并重启消息轮询（比如修改了账号或音箱列表）
+   *
+   * 与 start() 一样，返回的 Promise 在引擎停止后才会 resolve
+   */
+  async restart(config: MiGPTConfig) {
+    await this.stop();
+    // 等待上一轮消息轮询退出，避免重复拉取消息
+    await this._polling;
+    return this.start(config);
+  }
+
+  private async _pollMessages(device: MiDevice, heartbeat: number) {
     while (this.status === 'running') {
-      const msg = await MiMessage.fetchNextMessage();
+      const msg = await device.message.fetchNextMessage();
       if (msg) {
-        this.onMessage(msg);
+        this.onMessage({ ...msg, device: device.name } as MiGPTMessage);
       }
       await sleep(heartbeat);
     }
@@ -69,3 +126,6 @@ class MiJiaEngine extends MiGPTEngine {
 }
 
 export const MiGPT = new MiJiaEngine();
+
+export { ChatBot, Metrics, MiSession };
+export type { MiAuthState, MiAuthStatus } from '@mi-gpt/miot';
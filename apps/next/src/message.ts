@@ -1,17 +1,31 @@
 import { randomUUID } from 'node:crypto';
 import type { IMessage } from '@mi-gpt/chat';
 import { firstOf, lastOf } from '@mi-gpt/utils';
-import { MiService } from './service.js';
+import { Metrics } from '@mi-gpt/utils/metrics';
+import { MiService, type _MiService } from './service.js';
 
-class _MiMessage {
+const kPollLag = Metrics.histogram(
+  'migpt_message_poll_lag_seconds',
+  '从用户说话到拉取到消息的延迟（秒）',
+  [0.5, 1, 1.5, 2, 3, 5, 10, 30],
+);
+
+export class _MiMessage {
   private _lastQueryMsg?: IMessage;
   private _tempQueryMsgs: IMessage[] = [];
 
+  constructor(private _service: _MiService = MiService) {}
+
   async fetchNextMessage(): Promise<IMessage | undefined> {
     if (!this._lastQueryMsg) {
       return this._fetchFirstMessage();
     }
-    return this._fetchNextMessage();
+    const msg = await this._fetchNextMessage();
+    if (msg) {
+      const did = this._service.MiNA?.account.did;
+      kPollLag.observe({ did }, (Date.now() - msg.timestamp) / 1000);
+    }
+    return msg;
   }
 
   private async _fetchFirstMessage() {
@@ -112,7 +126,7 @@ class _MiMessage {
     filterAnswer?: boolean;
   }): Promise<IMessage[]> {
     const filterAnswer = options?.filterAnswer ?? true;
-    const conversation = await MiService.MiNA?.getConversations(options);
+    const conversation = await this._service.MiNA?.getConversations(options);
     let records = conversation?.records ?? [];
     if (filterAnswer) {
       // 过滤有小爱回答的消息
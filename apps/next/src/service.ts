@@ -10,7 +10,7 @@ import { assert } from './utils.js';
 
 export type MiServiceConfig = _MiServiceConfig;
 
-class _MiService {
+export class _MiService {
   MiNA?: MiNA;
   MiOT?: MIoT;
 
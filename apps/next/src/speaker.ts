@@ -1,30 +1,93 @@
-import type { ISpeaker } from '@mi-gpt/engine/base';
-import { MiService } from './service.js';
+import type { IPlayingStatus, ISpeaker } from '@mi-gpt/engine/base';
+import { sleep } from '@mi-gpt/utils';
+import { MiService, type _MiService } from './service.js';
+
+// 播放状态轮询间隔
+const kPollInterval = 500;
+// 等待开始播放的最长时间（超过后仍未检测到播放，视为已播放完毕）
+const kStartTimeout = 5 * 1000;
+// 阻塞播放默认超时时长
+const kDefaultTimeout = 10 * 60 * 1000;
+
+export class SpeakerManager implements ISpeaker {
+  /**
+   * 播放序号，每次播放或打断时递增，用于取消正在等待的阻塞播放
+   */
+  private _playId = 0;
+
+  constructor(private _service: _MiService = MiService) {}
+
+  /**
+   * 获取当前播放状态
+   */
+  async getPlayingStatus(): Promise<IPlayingStatus> {
+    const res = await this._service.MiNA?.getStatus();
+    const status = res?.status ?? 'unknown';
+    return {
+      status,
+      volume: res?.volume,
+      isPlaying: status === 'playing',
+    };
+  }
 
-class SpeakerManager implements ISpeaker {
   /**
    * 播放文字、音频链接
+   *
+   * blocking 为 true 时，会等到播放完毕、被打断或超时后才返回
    */
-  async play({ text, url }: { text?: string; url?: string } = {}) {
-    if (!MiService.MiNA) {
+  async play({
+    text,
+    url,
+    blocking = false,
+    timeout = kDefaultTimeout,
+  }: { text?: string; url?: string; blocking?: boolean; timeout?: number } = {}) {
+    if (!this._service.MiNA || (!text && !url)) {
       return false;
     }
-    if (url) {
-      return MiService.MiNA.play({ url });
+    const playId = ++this._playId;
+    const success = url
+      ? await this._service.MiNA.play({ url })
+      : await this._service.MiNA.play({ text });
+    if (!success || !blocking) {
+      return success;
     }
-    if (text) {
-      return MiService.MiNA.play({ text });
-    }
-    return false;
+    return this._waitForPlayEnd(playId, timeout);
   }
 
   /**
    * 中断原来小爱的运行
    *
-   * 注意：重启需要大约 1-2s 的时间，在此期间无法使用小爱音箱自带的 TTS 服务
+   * 通过停止当前播放来打断小爱的回复，同时取消正在等待的阻塞播放
    */
   async abortXiaoAI() {
-    // 无法通过 MiOT 中断小爱运行
+    this._playId++;
+    if (!this._service.MiNA) {
+      return false;
+    }
+    return this._service.MiNA.stop();
+  }
+
+  /**
+   * 等待播放完毕
+   *
+   * 返回 false 表示播放被打断或超时
+   */
+  private async _waitForPlayEnd(playId: number, timeout: number) {
+    const start = Date.now();
+    let started = false;
+    while (Date.now() - start < timeout) {
+      await sleep(kPollInterval);
+      if (playId !== this._playId) {
+        // 被打断，或者有新的播放任务
+        return false;
+      }
+      const { isPlaying } = await this.getPlayingStatus();
+      if (isPlaying) {
+        started = true;
+      } else if (started || Date.now() - start > kStartTimeout) {
+        return true;
+      }
+    }
     return false;
   }
 }
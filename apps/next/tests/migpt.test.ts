@@ -0,0 +1,164 @@
+import { once } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import type { IMessage } from '@mi-gpt/chat';
+import type { IReply } from '@mi-gpt/engine/base';
+import { MiCloudSimulator, type SimulatorCall } from '@mi-gpt/miot/simulator';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MiGPT } from '../src/index.js';
+import { MiMessage } from '../src/message.js';
+
+type UbusCall = Extract<SimulatorCall, { type: 'ubus' }>;
+
+/**
+ * 模拟大模型服务：回复固定的文字，记录收到的用户消息
+ */
+function createLLMServer() {
+  const prompts: string[] = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const { messages } = JSON.parse(body);
+    prompts.push(messages[messages.length - 1].content);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 0,
+        model: 'gpt-4o-mini',
+        choices: [
+          {
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: '从前有座山' },
+          },
+        ],
+      }),
+    );
+  });
+  return { server, prompts };
+}
+
+describe('MiGPT（本地模拟小米云）', () => {
+  const simulator = new MiCloudSimulator({
+    devices: [{ name: '小爱音箱Pro' }],
+    playDuration: 200,
+  });
+  const onMessage = vi.fn(async (_engine: unknown, msg: IMessage) => {
+    const replies: Record<string, IReply> = {
+      你好: { text: '你好呀' },
+      放首歌: { url: 'http://127.0.0.1/song.mp3' },
+      交给小爱: { handled: true },
+    };
+    return replies[msg.text];
+  });
+
+  let llm: ReturnType<typeof createLLMServer>;
+  let running: Promise<void>;
+  // 登录凭证保存在临时目录，不在仓库中留下 .mi.json
+  let dir: string;
+
+  const ubusCalls = () =>
+    simulator.calls.filter((e): e is UbusCall => e.type === 'ubus' && e.device === '小爱音箱Pro');
+
+  const waitForUbus = (command: string) =>
+    simulator.waitFor((e) => e.type === 'ubus' && e.command === command);
+
+  beforeAll(async () => {
+    // 启动横幅、消息和播报日志
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    llm = createLLMServer();
+    llm.server.listen(0, '127.0.0.1');
+    await once(llm.server, 'listening');
+    const endpoints = await simulator.start();
+    dir = await mkdtemp(join(tmpdir(), 'migpt-next-'));
+
+    running = MiGPT.start({
+      speaker: {
+        did: '小爱音箱Pro',
+        userId: simulator.userId,
+        passToken: simulator.passToken,
+        endpoints,
+        sessionFile: join(dir, '.mi.json'),
+      },
+      openai: {
+        baseURL: `http://127.0.0.1:${(llm.server.address() as AddressInfo).port}/v1`,
+        apiKey: 'sk-test',
+      },
+      context: { historyFile: '' },
+      onMessage,
+    });
+
+    // 第一次拉取的消息作为轮询起点，之后说的话才会被处理
+    await vi.waitFor(() => expect((MiMessage as any)._lastQueryMsg).toBeDefined(), {
+      timeout: 5000,
+    });
+  }, 10000);
+
+  afterAll(async () => {
+    await MiGPT.stop();
+    await running;
+    await simulator.stop();
+    llm.server.close();
+    await rm(dir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    simulator.calls = [];
+    onMessage.mockClear();
+  });
+
+  it('登录小米账号并初始化音箱', () => {
+    expect(MiGPT.MiNA.account.did).toBe('小爱音箱Pro');
+    expect(MiGPT.devices.map((e) => e.name)).toEqual(['小爱音箱Pro']);
+  });
+
+  it('自定义回复的文字通过 text_to_speech 播报', async () => {
+    simulator.say('你好');
+    await waitForUbus('text_to_speech');
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0]![1]).toMatchObject({ text: '你好', device: '小爱音箱Pro' });
+    expect(simulator.spoken()).toEqual(['你好呀']);
+    expect(ubusCalls()[0]).toMatchObject({ scope: 'mibrain', command: 'text_to_speech' });
+  });
+
+  it('自定义回复的音频通过 player_play_url 播放', async () => {
+    simulator.say('放首歌');
+    await waitForUbus('player_play_url');
+
+    expect(simulator.played()).toEqual(['http://127.0.0.1/song.mp3']);
+    expect(simulator.spoken()).toEqual([]);
+  });
+
+  it('以唤醒词开头的消息先打断小爱，再播报 AI 的回复', async () => {
+    simulator.say('请讲个故事');
+    await waitForUbus('text_to_speech');
+
+    expect(llm.prompts.at(-1)).toContain('请讲个故事');
+    expect(simulator.spoken()).toEqual(['从前有座山']);
+    const commands = ubusCalls().map((e) => e.message.action ?? e.command);
+    expect(commands.indexOf('stop')).toBeGreaterThanOrEqual(0);
+    expect(commands.indexOf('stop')).toBeLessThan(commands.indexOf('text_to_speech'));
+  });
+
+  it('已处理或不需要回复的消息不发送播放指令', async () => {
+    simulator.say('交给小爱');
+    simulator.say('今天几号');
+    await vi.waitFor(() => expect(onMessage).toHaveBeenCalledTimes(2), { timeout: 5000 });
+
+    expect(onMessage.mock.calls.map((e) => e[1].text)).toEqual(['交给小爱', '今天几号']);
+    const commands = ubusCalls().map((e) => e.command);
+    expect(commands).not.toContain('text_to_speech');
+    expect(commands).not.toContain('player_play_url');
+    expect(commands).not.toContain('player_play_operation');
+  });
+});
@@ -0,0 +1,188 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { _MiService } from '../src/service.js';
+import { SpeakerManager } from '../src/speaker.js';
+
+type Status = 'idle' | 'playing' | 'paused' | 'stopped' | 'unknown';
+
+/**
+ * 模拟 MiNA：按顺序返回 statuses 中的播放状态，用完后一直返回最后一个
+ */
+class FakeMiNA {
+  statuses: (Status | undefined)[] = ['idle'];
+
+  getStatus = vi.fn(async () => {
+    const status = this.statuses.length > 1 ? this.statuses.shift() : this.statuses[0];
+    return status ? { status, volume: 30 } : undefined;
+  });
+
+  play = vi.fn(async (_options: { text?: string; url?: string }) => true);
+
+  stop = vi.fn(async () => true);
+}
+
+function createSpeaker(MiNA?: FakeMiNA) {
+  return new SpeakerManager({ MiNA } as unknown as _MiService);
+}
+
+describe('SpeakerManager', () => {
+  let MiNA: FakeMiNA;
+  let speaker: SpeakerManager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    MiNA = new FakeMiNA();
+    speaker = createSpeaker(MiNA);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getPlayingStatus', () => {
+    it('返回播放状态和音量', async () => {
+      MiNA.statuses = ['playing'];
+      expect(await speaker.getPlayingStatus()).toEqual({
+        status: 'playing',
+        volume: 30,
+        isPlaying: true,
+      });
+    });
+
+    it('获取状态失败时返回 unknown', async () => {
+      MiNA.statuses = [undefined];
+      expect(await speaker.getPlayingStatus()).toEqual({
+        status: 'unknown',
+        volume: undefined,
+        isPlaying: false,
+      });
+    });
+
+    it('unknown 不算正在播放', async () => {
+      MiNA.statuses = ['unknown'];
+      const { status, isPlaying } = await speaker.getPlayingStatus();
+      expect(status).toBe('unknown');
+      expect(isPlaying).toBe(false);
+    });
+
+    it('未初始化 MiNA 时返回 unknown', async () => {
+      const { status, isPlaying } = await createSpeaker().getPlayingStatus();
+      expect(status).toBe('unknown');
+      expect(isPlaying).toBe(false);
+    });
+  });
+
+  describe('play', () => {
+    it('非阻塞播放直接返回，不查询播放状态', async () => {
+      expect(await speaker.play({ text: '你好' })).toBe(true);
+      expect(MiNA.play).toHaveBeenCalledWith({ text: '你好' });
+      expect(MiNA.getStatus).not.toHaveBeenCalled();
+    });
+
+    it('同时提供音频链接和文字时播放音频', async () => {
+      await speaker.play({ text: '你好', url: 'http://127.0.0.1/a.mp3' });
+      expect(MiNA.play).toHaveBeenCalledWith({ url: 'http://127.0.0.1/a.mp3' });
+    });
+
+    it('没有内容或未初始化 MiNA 时返回 false', async () => {
+      expect(await speaker.play({})).toBe(false);
+      expect(await createSpeaker().play({ text: '你好' })).toBe(false);
+      expect(MiNA.play).not.toHaveBeenCalled();
+    });
+
+    it('播放失败时不等待', async () => {
+      MiNA.play.mockResolvedValueOnce(false);
+      expect(await speaker.play({ text: '你好', blocking: true })).toBe(false);
+      expect(MiNA.getStatus).not.toHaveBeenCalled();
+    });
+
+    it('阻塞播放等到播放完毕后返回 true', async () => {
+      MiNA.statuses = ['idle', 'playing', 'playing', 'idle'];
+      let result: boolean | undefined;
+      speaker.play({ text: '你好', blocking: true }).then((res) => {
+        result = res;
+      });
+
+      await vi.advanceTimersByTimeAsync(1500);
+      expect(result).toBeUndefined();
+
+      await vi.advanceTimersByTimeAsync(500);
+      expect(result).toBe(true);
+      expect(MiNA.getStatus).toHaveBeenCalledTimes(4);
+    });
+
+    it('一直没有开始播放时，超过开始等待时间后返回 true', async () => {
+      MiNA.statuses = ['idle'];
+      let result: boolean | undefined;
+      speaker.play({ text: '你好', blocking: true }).then((res) => {
+        result = res;
+      });
+
+      await vi.advanceTimersByTimeAsync(4500);
+      expect(result).toBeUndefined();
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(result).toBe(true);
+    });
+
+    it('获取状态失败时按未播放处理', async () => {
+      MiNA.statuses = [undefined];
+      let result: boolean | undefined;
+      speaker.play({ text: '你好', blocking: true }).then((res) => {
+        result = res;
+      });
+
+      await vi.advanceTimersByTimeAsync(5500);
+      expect(result).toBe(true);
+    });
+
+    it('超过 timeout 仍在播放时返回 false', async () => {
+      MiNA.statuses = ['playing'];
+      let result: boolean | undefined;
+      speaker.play({ text: '你好', blocking: true, timeout: 3000 }).then((res) => {
+        result = res;
+      });
+
+      await vi.advanceTimersByTimeAsync(2500);
+      expect(result).toBeUndefined();
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(result).toBe(false);
+      expect(MiNA.stop).not.toHaveBeenCalled();
+    });
+
+    it('新的播放会取消正在等待的阻塞播放', async () => {
+      MiNA.statuses = ['playing'];
+      const first = speaker.play({ text: '第一句', blocking: true });
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await speaker.play({ text: '第二句' });
+      await vi.advanceTimersByTimeAsync(500);
+      expect(await first).toBe(false);
+    });
+  });
+
+  describe('abortXiaoAI', () => {
+    it('停止播放并取消正在等待的阻塞播放', async () => {
+      MiNA.statuses = ['playing'];
+      let result: boolean | undefined;
+      speaker.play({ text: '你好', blocking: true }).then((res) => {
+        result = res;
+      });
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(result).toBeUndefined();
+      const polls = MiNA.getStatus.mock.calls.length;
+
+      expect(await speaker.abortXiaoAI()).toBe(true);
+      expect(MiNA.stop).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(500);
+      expect(result).toBe(false);
+      // 被打断后不再查询播放状态
+      expect(MiNA.getStatus).toHaveBeenCalledTimes(polls);
+    });
+
+    it('未初始化 MiNA 时返回 false', async () => {
+      expect(await createSpeaker().abortXiaoAI()).toBe(false);
+    });
+  });
+});
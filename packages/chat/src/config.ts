@@ -1,6 +1,15 @@
 import type { OpenAIConfig } from '@mi-gpt/openai/config';
 import type { StreamResponseConfig } from '@mi-gpt/stream/config';
 import type { DeepPartial } from '@mi-gpt/utils/typing';
+import type { IHistoryStore } from './history.js';
+import type { IMessage } from './index.js';
+import { kDefaultSummaryPrompt } from './summary.js';
+import type { IChatTool } from './tool.js';
+
+/**
+ * 系统提示词：固定文本，或每次请求时生成（比如包含当前时间、天气）
+ */
+export type SystemPrompt = string | ((msg: IMessage) => string | Promise<string>);
 
 export type ChatConfig = DeepPartial<{
   stream: StreamResponseConfig;
@@ -19,8 +28,10 @@ export type ChatConfig = DeepPartial<{
      * 示例：
      * 你是魔幻手机里的女主傻妞，你的主人是陆小千。
      * 请你用傻妞的语气，回答小千哥哥的问题，记得多关心他，偶尔撒娇。
+     *
+     * 传入函数时，每次请求大模型前调用，返回值同样支持变量模板
      */
-    system: string;
+    system: SystemPrompt;
     /**
      * 用户提示词
      *
@@ -55,8 +66,66 @@ export type ChatConfig = DeepPartial<{
      * 默认：10
      */
     historyMaxLength: number;
+    /**
+     * 历史消息的 token 数上限（估算），超出时移除较早的消息（开启 summary 时合并到摘要中）
+     *
+     * 一条很长的回复（比如讲故事）不会撑爆上下文，多条简短的对话也不会浪费
+     *
+     * 默认：0（不限制，只按 historyMaxLength 裁剪）
+     */
+    historyMaxTokens: number;
+    /**
+     * 历史摘要：超出上限的较早消息由大模型整理成摘要，作为系统消息放在历史消息之前，
+     * 对话变长后仍然记得之前聊过的要点
+     *
+     * 生成摘要的请求使用 summary 任务类型（见 openai.routes），
+     * 一直生成失败时最多保留 historyMaxLength 的 4 倍历史消息
+     */
+    summary: {
+      /**
+       * 默认：false
+       */
+      enabled: boolean;
+      /**
+       * 生成摘要的提示词
+       *
+       * 支持的变量：{summary} 之前的摘要，{history} 需要合并的对话，{maxChars} 摘要字数上限（由 maxTokens 估算）
+       */
+      prompt: string;
+      /**
+       * 摘要的 token 数上限
+       *
+       * 默认：300
+       */
+      maxTokens: number;
+    };
+    /**
+     * 历史消息保存路径（JSON 文件），重启后可继续之前的对话
+     *
+     * 设置为 ''（空字符串）时仅保存在内存中
+     *
+     * 默认：.mi-history.json
+     */
+    historyFile: string;
+    /**
+     * 单次对话中连续调用工具的最大轮次
+     *
+     * 默认：5
+     */
+    maxToolRounds: number;
   };
-}>;
+}> & {
+  /**
+   * 自定义历史消息存储，设置后会忽略 context.historyFile
+   */
+  historyStore?: IHistoryStore;
+  /**
+   * 可供大模型调用的工具（Function Calling）
+   *
+   * 比如：调节音量、开关米家设备等
+   */
+  tools?: IChatTool[];
+};
 
 export const kDefaultChatConfig: ChatConfig = {
   prompt: {
@@ -67,5 +136,13 @@ export const kDefaultChatConfig: ChatConfig = {
   context: {
     vars: {},
     historyMaxLength: 10,
+    historyMaxTokens: 0,
+    summary: {
+      enabled: false,
+      prompt: kDefaultSummaryPrompt,
+      maxTokens: 300,
+    },
+    historyFile: '.mi-history.json',
+    maxToolRounds: 5,
   },
 };
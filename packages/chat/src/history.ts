@@ -0,0 +1,190 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { jsonDecode, jsonEncode } from '@mi-gpt/utils/parse';
+import type { IMessage } from './index.js';
+import { estimateMessageTokens } from './summary.js';
+
+export const kDefaultSession = 'default';
+
+export type HistorySessions = Record<string, IMessage[]>;
+
+/**
+ * 历史消息上限
+ */
+export interface HistoryLimits {
+  /**
+   * 消息数量上限
+   */
+  maxLength: number;
+  /**
+   * token 数上限（估算），0 表示不限制
+   */
+  maxTokens?: number;
+}
+
+/**
+ * 历史消息存储
+ *
+ * 可自行实现，比如存到数据库、Redis 等
+ */
+export interface IHistoryStore {
+  load(): Promise<HistorySessions | undefined>;
+  save(sessions: HistorySessions): Promise<void>;
+}
+
+/**
+ * 内存存储（重启后丢失）
+ */
+export class MemoryHistoryStore implements IHistoryStore {
+  private _sessions: HistorySessions = {};
+
+  async load() {
+    return this._sessions;
+  }
+
+  async save(sessions: HistorySessions) {
+    this._sessions = sessions;
+  }
+}
+
+/**
+ * JSON 文件存储
+ */
+export class JSONFileHistoryStore implements IHistoryStore {
+  constructor(public filePath: string) {}
+
+  async load() {
+    const content = await readFile(this.filePath, 'utf8').catch(() => undefined);
+    return jsonDecode<HistorySessions>(content);
+  }
+
+  async save(sessions: HistorySessions) {
+    await mkdir(dirname(this.filePath), { recursive: true });
+    await writeFile(this.filePath, jsonEncode(sessions, { prettier: true }) ?? '{}', 'utf8');
+  }
+}
+
+/**
+ * 按会话（session）隔离的历史消息
+ */
+export class ChatHistory {
+  sessions: HistorySessions = {};
+
+  private _loading?: Promise<void>;
+  private _saving = Promise.resolve();
+
+  constructor(public store: IHistoryStore = new MemoryHistoryStore()) {}
+
+  /**
+   * 从存储中加载历史消息（只会加载一次）
+   */
+  load() {
+    this._loading ??= this.store
+      .load()
+      .then((sessions) => {
+        this.sessions = { ...sessions, ...this.sessions };
+      })
+      .catch((e) => {
+        console.error('❌ 加载历史消息失败', e);
+      });
+    return this._loading;
+  }
+
+  /**
+   * 获取某个会话的历史消息
+   */
+  get(session = kDefaultSession) {
+    return this.sessions[session] ?? [];
+  }
+
+  /**
+   * 获取所有会话名称
+   */
+  list() {
+    return Object.keys(this.sessions);
+  }
+
+  /**
+   * 添加一条消息，超出上限时移除最早的消息（摘要不计入上限，始终保留）
+   */
+  add(msg: IMessage, maxLength: number) {
+    const session = msg.session ?? kDefaultSession;
+    const summary = this.getSummary(session);
+    const messages = this.get(session).filter((m) => m.sender !== 'system');
+    messages.push(msg);
+    const rest = messages.slice(-Math.max(1, maxLength));
+    this.sessions[session] = summary ? [summary, ...rest] : rest;
+    this.save();
+  }
+
+  /**
+   * 获取会话的摘要（sender 为 system 的第一条消息）
+   */
+  getSummary(session = kDefaultSession) {
+    return this.get(session).find((m) => m.sender === 'system');
+  }
+
+  /**
+   * 按上限拆分会话：保留最近的消息（至少一条），更早的消息为超出部分
+   */
+  split(session: string | undefined, limits: HistoryLimits) {
+    const messages = this.get(session).filter((m) => m.sender !== 'system');
+    let tokens = 0;
+    let count = 0;
+    while (count < messages.length && count < Math.max(1, limits.maxLength)) {
+      tokens += estimateMessageTokens(messages[messages.length - 1 - count]!);
+      if (limits.maxTokens && tokens > limits.maxTokens && count > 0) {
+        break;
+      }
+      count++;
+    }
+    return {
+      summary: this.getSummary(session),
+      recent: messages.slice(messages.length - count),
+      overflow: messages.slice(0, messages.length - count),
+    };
+  }
+
+  /**
+   * 移除指定的消息，传入 summary 时同时更新会话的摘要
+   *
+   * 返回 false 表示这些消息已经不存在（比如会话已被清空）
+   */
+  compact(session: string, removed: IMessage[], summary?: IMessage) {
+    const ids = new Set(removed.map((m) => m.id));
+    const messages = this.get(session);
+    if (!messages.some((m) => ids.has(m.id))) {
+      return false;
+    }
+    const rest = messages.filter((m) => !ids.has(m.id) && m.sender !== 'system');
+    const current = this.getSummary(session);
+    const next = summary ?? current;
+    this.sessions[session] = next ? [next, ...rest] : rest;
+    this.save();
+    return true;
+  }
+
+  /**
+   * 清空某个会话，不传则清空全部
+   */
+  clear(session?: string) {
+    if (session) {
+      delete this.sessions[session];
+    } else {
+      this.sessions = {};
+    }
+    return this.save();
+  }
+
+  /**
+   * 写入存储（按顺序执行，避免并发写入）
+   */
+  save() {
+    this._saving = this._saving
+      .then(() => this.store.save(this.sessions))
+      .catch((e) => {
+        console.error('❌ 保存历史消息失败', e);
+      });
+    return this._saving;
+  }
+}
@@ -1,41 +1,83 @@
 import { randomUUID } from 'node:crypto';
-import { OpenAI } from '@mi-gpt/openai';
+import { type ChatCompletionMessageParam, type ChatOptions, OpenAI } from '@mi-gpt/openai';
 import { StreamResponse } from '@mi-gpt/stream';
 import { deepMerge } from '@mi-gpt/utils';
 import { replaceVars, toUTC8Time } from '@mi-gpt/utils/string';
 import { type ChatConfig, kDefaultChatConfig } from './config.js';
+import {
+  ChatHistory,
+  type HistoryLimits,
+  JSONFileHistoryStore,
+  kDefaultSession,
+} from './history.js';
+import { estimateMaxChars } from './summary.js';
+import { runToolCall, toOpenAITools } from './tool.js';
 
 export interface IMessage {
   id: string;
   text: string;
   timestamp: number;
-  sender: 'user' | 'assistant';
+  /**
+   * system 为历史摘要（见 context.summary），始终是会话中的第一条消息
+   */
+  sender: 'user' | 'assistant' | 'system';
+  /**
+   * 会话 ID，不同会话的历史消息互相隔离
+   *
+   * 默认：default
+   */
+  session?: string;
+  /**
+   * 任务类型（比如 chat、story），按 openai.routes 选择大模型服务，不会保存到历史消息
+   */
+  task?: string;
 }
 
 export class _ChatBot {
-  history: IMessage[] = [];
+  history = new ChatHistory();
+
+  private _summarizing: Record<string, Promise<void>> = {};
 
   config: ChatConfig = {};
 
   init(config?: ChatConfig) {
     this.config = deepMerge(kDefaultChatConfig, config);
+    this.history = new ChatHistory(this._createHistoryStore());
+    this.history.load();
+    OpenAI.init(config?.openai);
+    StreamResponse.init(config?.stream);
+  }
+
+  /**
+   * 更新配置（比如修改提示词、模型、工具），保留当前的历史消息
+   *
+   * 修改 historyFile 或 historyStore 后切换到新的存储，当前的历史消息合并到新存储中
+   */
+  updateConfig(config?: ChatConfig) {
+    const prev = this.config;
+    this.config = deepMerge(kDefaultChatConfig, config);
+    if (
+      prev.historyStore !== this.config.historyStore ||
+      prev.context?.historyFile !== this.config.context!.historyFile
+    ) {
+      const history = new ChatHistory(this._createHistoryStore());
+      history.sessions = this.history.sessions;
+      history.load().then(() => history.save());
+      this.history = history;
+    }
     OpenAI.init(config?.openai);
     StreamResponse.init(config?.stream);
   }
 
   dispose() {
-    this.history = [];
+    this.history = new ChatHistory();
+    this._summarizing = {};
     OpenAI.dispose();
   }
 
   async chat(msg: IMessage) {
-    const answer = await OpenAI.chat({
-      requestId: msg.id,
-      createParams: {
-        messages: this._getMessages(msg),
-        stream: false,
-      },
-    });
+    await this.history.load();
+    const answer = await this._complete(msg, { stream: false });
 
     if (answer) {
       this._addMessage({
@@ -43,24 +85,37 @@ export class _ChatBot {
         text: answer,
         timestamp: Date.now(),
         sender: 'assistant',
+        session: msg.session,
       });
     }
 
     return answer;
   }
 
+  /**
+   * 单次请求大模型（比如意图分类），不读写历史消息，也不调用工具
+   */
+  async ask(text: string, options?: { system?: string; maxTokens?: number; task?: string }) {
+    const messages: ChatCompletionMessageParam[] = [{ role: 'user', content: text }];
+    if (options?.system) {
+      messages.unshift({ role: 'system', content: options.system });
+    }
+    const createParams: ChatOptions['createParams'] = { messages, stream: false };
+    if (options?.maxTokens) {
+      createParams.max_tokens = options.maxTokens;
+    }
+    return OpenAI.chat({ createParams, task: options?.task });
+  }
+
   /**
    * 处理用户消息，返回流式响应
    */
   async chatWithStream(msg: IMessage, onError?: (error: Error) => Promise<void>) {
+    await this.history.load();
     const stream = new StreamResponse();
 
-    OpenAI.chat({
-      requestId: msg.id,
-      createParams: {
-        messages: this._getMessages(msg),
-        stream: true,
-      },
+    this._complete(msg, {
+      stream: true,
       onStream: (text) => {
         if (stream.status === 'canceled') {
           return OpenAI.cancel(msg.id);
@@ -71,41 +126,110 @@ export class _ChatBot {
         stream.cancel();
         await onError?.(error);
       },
-    }).then((answer) => {
-      if (answer) {
-        stream.flush();
-        this._addMessage({
-          id: randomUUID(),
-          text: answer,
-          timestamp: Date.now(),
-          sender: 'assistant',
-        });
-      } else {
+    })
+      .then((answer) => {
+        // 出错时已取消流式响应，不保存不完整的回复
+        if (answer && stream.status !== 'canceled') {
+          stream.flush();
+          this._addMessage({
+            id: randomUUID(),
+            text: answer,
+            timestamp: Date.now(),
+            sender: 'assistant',
+            session: msg.session,
+          });
+        } else {
+          stream.cancel();
+        }
+      })
+      .catch((e) => {
         stream.cancel();
-      }
-    });
+        return onError?.(e);
+      });
 
     return stream;
   }
 
-  private _getMessages(msg: IMessage) {
+  /**
+   * 请求大模型，如果大模型要求调用工具，执行工具后继续请求，直到返回文字回复
+   */
+  private async _complete(
+    msg: IMessage,
+    options: Pick<ChatOptions, 'onStream' | 'onError'> & { stream: boolean },
+  ) {
+    const { stream, ...callbacks } = options;
+    const tools = this.config.tools ?? [];
+    const maxToolRounds = this.config.context!.maxToolRounds!;
+    const messages = await this._getMessages(msg);
+
+    for (let round = 0; ; round++) {
+      // 超出最大轮次后不再提供工具，强制大模型直接回答
+      const withTools = tools.length > 0 && round < maxToolRounds;
+      const { text, toolCalls } = await OpenAI.chatCompletion({
+        ...callbacks,
+        requestId: msg.id,
+        task: msg.task,
+        createParams: {
+          messages,
+          stream,
+          tools: withTools ? toOpenAITools(tools) : undefined,
+        },
+      });
+
+      if (toolCalls.length < 1) {
+        return text;
+      }
+
+      messages.push({ role: 'assistant', content: text || null, tool_calls: toolCalls });
+      for (const call of toolCalls) {
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: await runToolCall(tools, call, msg),
+        });
+      }
+    }
+  }
+
+  private async _getMessages(msg: IMessage) {
     const { context } = this._addMessage(msg);
 
-    const messages: any[] = this.history.map((m) => ({
+    const { summary, recent } = this.history.split(msg.session, this._getHistoryLimits());
+    const messages: any[] = recent.map((m) => ({
       role: m.sender,
       content: m.text,
     }));
+    if (summary) {
+      messages.unshift({ role: 'system', content: `之前对话的摘要：\n${summary.text}` });
+    }
 
-    if (this.config.prompt!.system) {
+    const system = await this._getSystemPrompt(msg);
+    if (system) {
       messages.unshift({
         role: 'system',
-        content: replaceVars(this.config.prompt!.system, context),
+        content: replaceVars(system, context),
       });
     }
 
     return messages;
   }
 
+  /**
+   * 获取本次请求的系统提示词，生成失败时不带系统提示词继续对话
+   */
+  private async _getSystemPrompt(msg: IMessage) {
+    const system = this.config.prompt!.system;
+    if (typeof system !== 'function') {
+      return system;
+    }
+    try {
+      return await system(msg);
+    } catch (e) {
+      console.error('❌ 生成系统提示词失败', e);
+      return '';
+    }
+  }
+
   private _addMessage(msg: IMessage) {
     const context = {
       msg: msg.text,
@@ -113,22 +237,92 @@ export class _ChatBot {
       ...this.config.context!.vars,
     };
 
+    const { task: _, ...rest } = msg;
     const message: IMessage = {
-      ...msg,
-      text: replaceVars(this.config.prompt![msg.sender]!, context),
+      ...rest,
+      text: replaceVars(this.config.prompt![msg.sender as 'user' | 'assistant']!, context),
     };
 
-    const maxHistoryLength = Math.max(1, this.config.context!.historyMaxLength!);
+    // 开启摘要时不直接丢弃超出上限的消息，由 _compact 合并到摘要中
+    // 摘要一直生成失败时，按 historyMaxLength 的 4 倍裁剪，避免历史消息无限增长
+    const { historyMaxLength, summary } = this.config.context!;
+    this.history.add(message, summary!.enabled ? historyMaxLength! * 4 : historyMaxLength!);
+    this._compact(message.session);
+
+    return { message, context };
+  }
 
-    if (this.history.length === maxHistoryLength) {
-      this.history.shift();
+  private _createHistoryStore() {
+    const historyFile = this.config.context!.historyFile;
+    return (
+      this.config.historyStore ?? (historyFile ? new JSONFileHistoryStore(historyFile) : undefined)
+    );
+  }
+
+  private _getHistoryLimits(): HistoryLimits {
+    const { historyMaxLength, historyMaxTokens } = this.config.context!;
+    return { maxLength: historyMaxLength!, maxTokens: historyMaxTokens };
+  }
+
+  /**
+   * 历史消息超出上限时移除较早的消息，开启摘要时先合并到摘要中
+   */
+  private _compact(session = kDefaultSession) {
+    if (!this.config.context!.summary!.enabled) {
+      const { overflow } = this.history.split(session, this._getHistoryLimits());
+      if (overflow.length > 0) {
+        this.history.compact(session, overflow);
+      }
+      return;
     }
+    // 同一会话的摘要按顺序生成，生成期间的新消息在下一轮处理
+    this._summarizing[session] = (this._summarizing[session] ?? Promise.resolve())
+      .then(() => this._summarize(session))
+      .catch((e) => {
+        console.error('❌ 生成历史摘要失败', e);
+      });
+  }
 
-    if (this.history.length < maxHistoryLength) {
-      this.history.push(message);
+  private async _summarize(session: string) {
+    const { overflow, summary } = this.history.split(session, this._getHistoryLimits());
+    if (overflow.length < 1) {
+      return;
     }
 
-    return { message, context };
+    const { prompt, maxTokens } = this.config.context!.summary!;
+    const history = overflow
+      .map((m) => `${m.sender === 'user' ? '用户' : '助手'}：${m.text}`)
+      .join('\n');
+    const text = await OpenAI.chat({
+      task: 'summary',
+      createParams: {
+        messages: [
+          {
+            role: 'user',
+            content: replaceVars(prompt!, {
+              summary: summary?.text || '无',
+              history,
+              maxChars: String(estimateMaxChars(maxTokens!)),
+            }),
+          },
+        ],
+        stream: false,
+        max_tokens: maxTokens,
+      },
+    });
+    if (!text?.trim()) {
+      // 保留原有的消息，下次添加消息时重试
+      console.error('❌ 生成历史摘要失败');
+      return;
+    }
+
+    this.history.compact(session, overflow, {
+      id: summary?.id ?? randomUUID(),
+      text: text.trim(),
+      timestamp: Date.now(),
+      sender: 'system',
+      session,
+    });
   }
 }
 
@@ -0,0 +1,41 @@
+import type { IMessage } from './index.js';
+
+// 中日韩文字、全角符号
+const kCJK = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+// 每条消息的格式开销（role 等）
+const kMessageOverhead = 4;
+
+/**
+ * 估算文本的 token 数
+ *
+ * 不同模型的分词方式不同，这里只用于控制历史消息的长度：
+ * 中日韩文字每个字按 1 个 token 计算，其他字符每 4 个按 1 个 token 计算
+ */
+export function estimateTokens(text = '') {
+  const cjk = text.match(kCJK)?.length ?? 0;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+export function estimateMessageTokens(msg: IMessage) {
+  return estimateTokens(msg.text) + kMessageOverhead;
+}
+
+/**
+ * 估算 token 数上限内能输出的字数（按 estimateTokens 的中文计算）
+ *
+ * 预留 20% 的余量，避免摘要被 max_tokens 截断
+ */
+export function estimateMaxChars(maxTokens: number) {
+  return Math.max(1, Math.floor(maxTokens * 0.8));
+}
+
+export const kDefaultSummaryPrompt = `请把下面的对话整理成一段简洁的摘要，合并到之前的摘要中。
+保留用户的个人信息、偏好、做过的决定和尚未完成的事情，省略寒暄和重复的内容。
+直接输出摘要，不要超过 {maxChars} 字。
+
+之前的摘要：
+{summary}
+
+新的对话：
+{history}`;
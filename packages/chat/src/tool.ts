@@ -0,0 +1,62 @@
+import type { ChatCompletionMessageToolCall, ChatCompletionTool } from '@mi-gpt/openai';
+import { jsonDecode, jsonEncode } from '@mi-gpt/utils/parse';
+import type { IMessage } from './index.js';
+
+/**
+ * 可供大模型调用的工具（Function Calling）
+ */
+export interface IChatTool {
+  /**
+   * 工具名称，只能包含字母、数字、下划线和中划线
+   *
+   * 示例：set_volume
+   */
+  name: string;
+  /**
+   * 工具描述，大模型会根据描述决定何时调用
+   */
+  description: string;
+  /**
+   * 参数定义（JSON Schema）
+   */
+  parameters?: Record<string, any>;
+  /**
+   * 执行工具，返回值会序列化后回传给大模型
+   */
+  run: (args: any, msg: IMessage) => any;
+}
+
+export function toOpenAITools(tools: IChatTool[]): ChatCompletionTool[] {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters ?? { type: 'object', properties: {} },
+    },
+  }));
+}
+
+/**
+ * 执行大模型请求的工具调用，返回回传给大模型的结果
+ */
+export async function runToolCall(
+  tools: IChatTool[],
+  call: ChatCompletionMessageToolCall,
+  msg: IMessage,
+): Promise<string> {
+  const { name, arguments: rawArgs } = call.function;
+  const tool = tools.find((e) => e.name === name);
+  if (!tool) {
+    return jsonEncode({ error: `未知工具：${name}` })!;
+  }
+  const args = jsonDecode(rawArgs) ?? {};
+  console.log(`🔧 ${name} ${jsonEncode(args)}`);
+  try {
+    const result = await tool.run(args, msg);
+    return typeof result === 'string' ? result : (jsonEncode(result ?? { ok: true }) ?? '');
+  } catch (e: any) {
+    console.error(`❌ 工具调用失败：${name}`, e);
+    return jsonEncode({ error: e?.message ?? String(e) })!;
+  }
+}
@@ -0,0 +1,140 @@
+import { randomUUID } from 'node:crypto';
+import { OpenAI } from '@mi-gpt/openai';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ChatHistory, kDefaultSession } from '../src/history.js';
+import { ChatBot, type IMessage } from '../src/index.js';
+
+const message = (text: string, sender: IMessage['sender'] = 'user'): IMessage => ({
+  id: randomUUID(),
+  text,
+  timestamp: Date.now(),
+  sender,
+});
+
+describe('ChatHistory.split', () => {
+  const history = new ChatHistory();
+
+  beforeEach(() => {
+    history.sessions = {
+      [kDefaultSession]: [
+        message('之前的摘要', 'system'),
+        message('你好'),
+        message('你好呀', 'assistant'),
+        message('讲个故事'),
+        message('从前有座山，山里有座庙，庙里有个老和尚在给小和尚讲故事', 'assistant'),
+      ],
+    };
+  });
+
+  it('按消息数量保留最近的消息，摘要不计入上限', () => {
+    const { summary, recent, overflow } = history.split(undefined, { maxLength: 3 });
+    expect(summary?.text).toBe('之前的摘要');
+    expect(recent.map((m) => m.text)).toEqual(['你好呀', '讲个故事', expect.any(String)]);
+    expect(overflow.map((m) => m.text)).toEqual(['你好']);
+  });
+
+  it('超出 token 数上限时移除较早的消息', () => {
+    // 最后一条约 30 token，倒数第二条约 8 token
+    const { recent, overflow } = history.split(undefined, { maxLength: 10, maxTokens: 40 });
+    expect(recent.map((m) => m.text)).toEqual(['讲个故事', expect.any(String)]);
+    expect(overflow).toHaveLength(2);
+  });
+
+  it('最后一条消息超出 token 数上限时也会保留', () => {
+    const { recent, overflow } = history.split(undefined, { maxLength: 10, maxTokens: 1 });
+    expect(recent).toHaveLength(1);
+    expect(recent[0]!.sender).toBe('assistant');
+    expect(overflow).toHaveLength(3);
+  });
+});
+
+describe('ChatBot 历史摘要', () => {
+  const prompts: string[] = [];
+  let summaryReply: string;
+
+  /**
+   * 发送一条消息，等待摘要生成完毕
+   */
+  const chat = async (text: string) => {
+    await ChatBot.chat(message(text));
+    await (ChatBot as any)._summarizing[kDefaultSession];
+  };
+
+  const texts = () => ChatBot.history.get().map((m) => `${m.sender}:${m.text}`);
+
+  const init = (context: Record<string, unknown>) =>
+    ChatBot.init({
+      context: { historyFile: '', summary: { enabled: true }, ...context },
+    });
+
+  beforeAll(() => {
+    vi.spyOn(OpenAI, 'chatCompletion').mockImplementation(async ({ task, createParams }) => {
+      const last = createParams.messages!.at(-1)!.content as string;
+      if (task === 'summary') {
+        prompts.push(last);
+        return { text: summaryReply, toolCalls: [] };
+      }
+      return { text: `收到：${last}`, toolCalls: [] };
+    });
+    // 摘要生成失败时输出错误日志
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    ChatBot.dispose();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    prompts.length = 0;
+    summaryReply = '用户叫小明';
+  });
+
+  it('超出上限的消息合并到摘要中', async () => {
+    init({ historyMaxLength: 2 });
+    await chat('我叫小明');
+    expect(prompts).toEqual([]);
+
+    await chat('我喜欢猫');
+    expect(texts()).toEqual(['system:用户叫小明', 'user:我喜欢猫', 'assistant:收到：我喜欢猫']);
+    const merged = prompts.join('\n');
+    expect(merged).toContain('用户：我叫小明');
+    expect(merged).toContain('助手：收到：我叫小明');
+  });
+
+  it('按 token 数上限合并到摘要中', async () => {
+    init({ historyMaxLength: 10, historyMaxTokens: 20 });
+    await chat('今天天气怎么样');
+    await chat('明天呢');
+    expect(texts()).toEqual(['system:用户叫小明', 'user:明天呢', 'assistant:收到：明天呢']);
+  });
+
+  it('生成失败或摘要为空时保留原有的消息，下次添加消息时重试', async () => {
+    init({ historyMaxLength: 2 });
+    summaryReply = '  ';
+    await chat('我叫小明');
+    await chat('我喜欢猫');
+    expect(prompts.length).toBeGreaterThan(0);
+    expect(ChatBot.history.getSummary()).toBeUndefined();
+    expect(texts()).toHaveLength(4);
+
+    summaryReply = '用户叫小明，喜欢猫';
+    const retry = prompts.length;
+    await chat('记住了吗');
+    expect(texts()).toEqual([
+      'system:用户叫小明，喜欢猫',
+      'user:记住了吗',
+      'assistant:收到：记住了吗',
+    ]);
+    expect(prompts[retry]).toContain('用户：我叫小明');
+  });
+
+  it('摘要一直生成失败时最多保留 historyMaxLength 的 4 倍', async () => {
+    init({ historyMaxLength: 1 });
+    summaryReply = '';
+    for (const text of ['一', '二', '三', '四']) {
+      await chat(text);
+    }
+    expect(texts()).toEqual(['user:三', 'assistant:收到：三', 'user:四', 'assistant:收到：四']);
+  });
+});
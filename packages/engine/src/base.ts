@@ -24,11 +24,32 @@ export interface IReply {
   default?: boolean;
 }
 
+export interface IPlayingStatus {
+  /**
+   * 播放状态
+   */
+  status: 'idle' | 'playing' | 'paused' | 'stopped' | 'unknown';
+  /**
+   * 是否正在播放
+   */
+  isPlaying: boolean;
+  /**
+   * 当前音量
+   */
+  volume?: number;
+}
+
 export interface ISpeaker {
   /**
    * 中断原来小爱的运行
+   *
+   * 同时会打断正在阻塞等待播放完毕的 play 调用
    */
   abortXiaoAI: () => Promise<boolean>;
+  /**
+   * 获取当前播放状态
+   */
+  getPlayingStatus?: () => Promise<IPlayingStatus>;
   /**
    * 播放文字、音频链接
    */
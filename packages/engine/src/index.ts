@@ -3,7 +3,7 @@ import type { ChatConfig } from '@mi-gpt/chat/config';
 import { OpenAI } from '@mi-gpt/openai';
 import { deepMerge, sleep } from '@mi-gpt/utils';
 import { jsonEncode } from '@mi-gpt/utils/parse';
-import { BaseEngine, type IReply } from './base.js';
+import { BaseEngine, type IReply, type ISpeaker } from './base.js';
 
 // @ts-ignore
 import { version } from '../package.json';
@@ -66,12 +66,23 @@ export abstract class MiGPTEngine extends BaseEngine {
   }
 
   lastMsg?: IMessage;
+  private _lastMsgs = new Map<ISpeaker, IMessage>();
+
+  /**
+   * 获取回复消息所用的音箱（多音箱时按消息来源区分）
+   */
+  protected getSpeaker(_msg: IMessage): ISpeaker {
+    return this.speaker;
+  }
+
   async onMessage(msg: IMessage) {
     console.log(`🔥 ${msg.text}`);
 
-    OpenAI.cancel(this.lastMsg?.id);
+    const speaker = this.getSpeaker(msg);
+    OpenAI.cancel(this._lastMsgs.get(speaker)?.id);
 
     this.lastMsg = msg;
+    this._lastMsgs.set(speaker, msg);
 
     let reply = await this.config.onMessage?.(this, msg);
 
@@ -86,7 +97,7 @@ export abstract class MiGPTEngine extends BaseEngine {
 
     if (this.config.callAIKeywords?.some((k) => msg.text.startsWith(k))) {
       // 打断原来的小爱回复
-      await this.speaker.abortXiaoAI();
+      await speaker.abortXiaoAI();
 
       // 调用 AI 回答问题
       reply = await this.askAI(msg);
@@ -115,9 +126,11 @@ export abstract class MiGPTEngine extends BaseEngine {
       return;
     }
 
+    const speaker = this.getSpeaker(ctx);
+
     if (url || text) {
       console.log(`🔊 ${url || text}`);
-      return this.speaker.play({ url, text, blocking: true });
+      return speaker.play({ url, text, blocking: true });
     }
 
     while (true) {
@@ -131,13 +144,14 @@ export abstract class MiGPTEngine extends BaseEngine {
           return;
         }
         console.log(`🔊 ${next}`);
-        await this.speaker.play({ text: next, blocking: true });
+        await speaker.play({ text: next, blocking: true });
       }
       await sleep(100);
     }
   }
 
   private _hasNewMsg(ctx: IMessage) {
-    return (this.lastMsg?.timestamp ?? 0) > ctx.timestamp;
+    const lastMsg = this._lastMsgs.get(this.getSpeaker(ctx));
+    return (lastMsg?.timestamp ?? 0) > ctx.timestamp;
   }
 }
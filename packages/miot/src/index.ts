@@ -1,10 +1,14 @@
+import { type MiEndpoints, setMiEndpoints } from './mi/endpoints.js';
 import { getMiService } from './mi/index.js';
 import { MiNA } from './mi/mina.js';
 import { MIoT } from './mi/miot.js';
+import { MiSession } from './mi/session.js';
 import { Debugger } from './utils/debug.js';
 import { Http } from './utils/http.js';
 
-export { MiNA, MIoT };
+export { MiNA, MIoT, MiSession };
+export type { MiAuthState, MiAuthStatus } from './mi/session.js';
+export type { MiEndpoints } from './mi/endpoints.js';
 
 export interface MiServiceConfig {
   /**
@@ -41,16 +45,44 @@ export interface MiServiceConfig {
    * 默认 5000（5 秒）
    */
   timeout?: number;
+  /**
+   * 登录凭证的保存路径
+   *
+   * 登录凭证（serviceToken、passToken、设备信息）会加密保存，重启后直接复用，避免频繁登录触发验证码
+   *
+   * 默认：.mi.json
+   */
+  sessionFile?: string;
+  /**
+   * 加密登录凭证的密钥，也可以通过环境变量 MI_SESSION_SECRET 设置
+   *
+   * 默认根据 userId、password 和 passToken 生成，修改账号配置后会重新登录
+   */
+  sessionSecret?: string;
+  /**
+   * 主动刷新登录凭证的间隔（毫秒），到期前重新登录，不用等到请求失败
+   *
+   * 默认：43200000（12 小时）
+   */
+  refreshInterval?: number;
+  /**
+   * 替换小米云服务的接口地址（可选）
+   *
+   * 一般用于连接本地模拟服务进行测试，见 @mi-gpt/miot/simulator
+   */
+  endpoints?: Partial<MiEndpoints>;
 }
 
 export async function getMIoT(config: MiServiceConfig): Promise<MIoT | undefined> {
   Debugger.debug = config.debug;
   Http.timeout = config.timeout ?? Http.timeout;
+  setMiEndpoints(config.endpoints);
   return getMiService({ service: 'miot', ...config }) as any;
 }
 
 export async function getMiNA(config: MiServiceConfig): Promise<MiNA | undefined> {
   Debugger.debug = config.debug;
   Http.timeout = config.timeout ?? Http.timeout;
+  setMiEndpoints(config.endpoints);
   return getMiService({ service: 'mina', ...config }) as any;
 }
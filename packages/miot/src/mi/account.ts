@@ -1,16 +1,16 @@
 import { encodeQuery, parseAuthPass } from '../utils/codec.js';
 import { md5, sha1 } from '../utils/hash.js';
 import { Http } from '../utils/http.js';
+import { MiEndpoints } from './endpoints.js';
 import { MiNA } from './mina.js';
 import { MIoT } from './miot.js';
+import { MiSession } from './session.js';
 import type { MiAccount, MiPass } from './typing.js';
 
-const kLoginAPI = 'https://account.xiaomi.com/pass';
-
 export async function getAccount(_account: MiAccount): Promise<MiAccount | undefined> {
   let account = _account;
   let res = await Http.get(
-    `${kLoginAPI}/serviceLogin`,
+    `${MiEndpoints.account}/serviceLogin`,
     { sid: account.sid, _json: true, _locale: 'zh_CN' },
     { cookies: _getLoginCookies(account) },
   );
@@ -30,7 +30,7 @@ export async function getAccount(_account: MiAccount): Promise<MiAccount | undef
       user: account.userId,
       hash: md5(account.password).toUpperCase(),
     };
-    res = await Http.post(`${kLoginAPI}/serviceLoginAuth2`, encodeQuery(data), {
+    res = await Http.post(`${MiEndpoints.account}/serviceLoginAuth2`, encodeQuery(data), {
       cookies: _getLoginCookies(account),
     });
     if (res.isError) {
@@ -42,6 +42,11 @@ export async function getAccount(_account: MiAccount): Promise<MiAccount | undef
   if (pass.notificationUrl?.includes('identity/authStart')) {
     console.error('❌ 本次登录需要验证码，请使用 passToken 重新登录');
     console.log('💡 获取 passToken 教程：https://github.com/idootop/migpt-next/issues/4');
+    MiSession.setState({
+      status: 'captcha',
+      service: account.sid === 'xiaomiio' ? 'miot' : 'mina',
+      message: '本次登录需要验证码，请更新 passToken',
+    });
     return undefined;
   }
   if (!pass.location || !pass.nonce || !pass.passToken) {
@@ -0,0 +1,51 @@
+export interface MiEndpoints {
+  /**
+   * 小米账号登录接口
+   */
+  account: string;
+  /**
+   * 小爱音箱接口（设备列表、ubus 指令）
+   */
+  mina: string;
+  /**
+   * 米家接口（设备列表、MIoT Spec 指令）
+   */
+  miot: string;
+  /**
+   * 小爱音箱对话记录接口
+   */
+  userprofile: string;
+}
+
+const kDefaultEndpoints: MiEndpoints = {
+  account: 'https://account.xiaomi.com/pass',
+  mina: 'https://api2.mina.mi.com',
+  miot: 'https://api.io.mi.com/app',
+  userprofile: 'https://userprofile.mina.mi.com',
+};
+
+/**
+ * 当前使用的接口地址，可以替换为本地模拟服务（见 @mi-gpt/miot/simulator）
+ */
+export const MiEndpoints: MiEndpoints = { ...kDefaultEndpoints };
+
+export function setMiEndpoints(endpoints?: Partial<MiEndpoints>) {
+  for (const key of Object.keys(kDefaultEndpoints) as (keyof MiEndpoints)[]) {
+    MiEndpoints[key] = (endpoints?.[key] || kDefaultEndpoints[key]).replace(/\/+$/, '');
+  }
+}
+
+/**
+ * 根据请求地址判断所属的服务
+ */
+export function getMiServiceName(url?: string) {
+  if (!url) {
+    return;
+  }
+  if (url.startsWith(MiEndpoints.mina) || url.startsWith(MiEndpoints.userprofile)) {
+    return 'mina';
+  }
+  if (url.startsWith(MiEndpoints.miot)) {
+    return 'miot';
+  }
+}
@@ -1,25 +1,30 @@
 import { uuid } from '../utils/hash.js';
-import { readJSON, writeJSON } from '../utils/io.js';
 import { getAccount } from './account.js';
 import { MiNA } from './mina.js';
 import { MIoT } from './miot.js';
+import { type MiServiceName, MiSession, type MiSessionConfig } from './session.js';
 import type { MiAccount } from './typing.js';
 
-interface Store {
-  miot?: MiAccount;
-  mina?: MiAccount;
-}
-const kConfigFile = '.mi.json';
+// 正在使用的账号（按 did 区分），刷新登录凭证后同步更新
+const kAccounts: Record<MiServiceName, Map<string, MiAccount>> = {
+  miot: new Map(),
+  mina: new Map(),
+};
+
+const kRefreshing: Partial<Record<MiServiceName, Promise<MiAccount | undefined>>> = {};
 
-export async function getMiService(config: {
-  service: 'miot' | 'mina';
-  userId?: string;
-  password?: string;
-  passToken?: string;
-  did?: string;
-  relogin?: boolean;
-}) {
-  const { service, relogin, ...rest } = config;
+export async function getMiService(
+  config: MiSessionConfig & {
+    service: MiServiceName;
+    did?: string;
+    relogin?: boolean;
+  },
+) {
+  const { service, relogin, sessionFile, sessionSecret, refreshInterval, ...rest } = config;
+  if (!relogin) {
+    MiSession.configure(config);
+    MiSession.onRefresh = refreshMiService;
+  }
   const overrides: any = relogin ? {} : rest;
   if (overrides.passToken) {
     overrides.pass = {
@@ -28,10 +33,11 @@ export async function getMiService(config: {
     };
   }
   const randomDeviceId = `android_${uuid()}`;
-  const store: Store = (await readJSON(kConfigFile)) ?? {};
+  const store = await MiSession.load();
+  const saved = store[service];
   let account = {
     deviceId: randomDeviceId,
-    ...store[service],
+    ...saved,
     ...overrides,
     sid: service === 'miot' ? 'xiaomiio' : 'micoapi',
   };
@@ -39,11 +45,81 @@ export async function getMiService(config: {
     console.error('❌ 没有找到账号或密码，请检查是否已配置相关参数：userId, password');
     return;
   }
-  account = await getAccount(account);
-  if (!account?.serviceToken || !account.pass?.ssecurity) {
-    return undefined;
+  const credential = relogin ? saved?.credential : MiSession.fingerprint(rest);
+  const reused =
+    relogin || saved?.credential !== credential ? undefined : await _reuse(account, saved);
+  if (reused) {
+    account = reused;
+  } else {
+    MiSession.setState({ status: 'refreshing', service });
+    account = await getAccount(account);
+    if (!account?.serviceToken || !account.pass?.ssecurity) {
+      MiSession.loginFailed(service, relogin);
+      return undefined;
+    }
+    account.loginAt = Date.now();
+    account.credential = credential;
+    store[service] = account;
+    await MiSession.save(store);
+  }
+  if (!relogin) {
+    kAccounts[service].set(account.did ?? '', account);
   }
-  store[service] = account;
-  await writeJSON(kConfigFile, store);
+  MiSession.loggedIn(service, account.loginAt ?? Date.now());
   return service === 'miot' ? new MIoT(account as any) : new MiNA(account as any);
 }
+
+/**
+ * 重新登录，并更新所有正在使用的账号的登录凭证
+ */
+export function refreshMiService(service: MiServiceName) {
+  kRefreshing[service] ??= _refresh(service).finally(() => {
+    kRefreshing[service] = undefined;
+  });
+  return kRefreshing[service];
+}
+
+async function _refresh(service: MiServiceName) {
+  const account: any = (await getMiService({ service, relogin: true }))?.account;
+  if (account) {
+    for (const current of kAccounts[service].values()) {
+      // 多音箱共用同一账号，不覆盖设备信息
+      for (const key in account) {
+        if (['did', 'device'].includes(key)) {
+          continue;
+        }
+        (current as any)[key] = account[key];
+      }
+    }
+  }
+  return account as MiAccount | undefined;
+}
+
+/**
+ * 复用保存的登录凭证，过期或找不到设备时返回空（重新登录）
+ */
+async function _reuse(account: MiAccount, saved?: MiAccount) {
+  if (
+    !saved?.serviceToken ||
+    !saved.pass?.ssecurity ||
+    Date.now() - (saved.loginAt ?? 0) >= MiSession.refreshInterval
+  ) {
+    return;
+  }
+  let result: MiAccount = {
+    ...account,
+    pass: saved.pass,
+    serviceToken: saved.serviceToken,
+    device: saved.did === account.did ? saved.device : undefined,
+  };
+  if (!result.device) {
+    // 切换了设备，使用保存的登录凭证重新查找
+    result = await MiNA.getDevice(result as any);
+    result = await MIoT.getDevice(result as any);
+    if (result.did && !result.device) {
+      return;
+    }
+  }
+  console.log('✅ 已复用保存的登录凭证');
+  return result;
+}
@@ -1,14 +1,18 @@
 import { clamp } from '@mi-gpt/utils';
+import { Metrics } from '@mi-gpt/utils/metrics';
 import { jsonDecode, jsonEncode } from '@mi-gpt/utils/parse';
 import { encodeQuery } from '../utils/codec.js';
 import { Debugger } from '../utils/debug.js';
 import { uuid } from '../utils/hash.js';
 import { Http } from '../utils/http.js';
 import { updateMiAccount } from './common.js';
+import { MiEndpoints } from './endpoints.js';
 import type { MiAccount, MiConversations, MiNADevice } from './typing.js';
 
 type MiNAAccount = MiAccount & { device: MiNADevice };
 
+const kFailures = Metrics.counter('migpt_mina_failures_total', 'MiNA 接口调用失败次数');
+
 export class MiNA {
   account: MiNAAccount;
 
@@ -44,7 +48,7 @@ export class MiNA {
       requestId: uuid(),
       timestamp: Math.floor(Date.now() / 1000),
     };
-    const url = `https://api2.mina.mi.com${path}`;
+    const url = `${MiEndpoints.mina}${path}`;
     const config = {
       account,
       setAccount: updateMiAccount(account),
@@ -65,6 +69,7 @@ export class MiNA {
       res = await Http.post(url, encodeQuery(data), config);
     }
     if (res.code !== 0) {
+      kFailures.inc({ path });
       if (Debugger.debug) {
         console.error('❌ _callMiNA failed', res);
       }
@@ -214,7 +219,7 @@ export class MiNA {
   }): Promise<MiConversations | undefined> {
     const { limit = 10, timestamp } = options ?? {};
     const res = await Http.get(
-      'https://userprofile.mina.mi.com/device_profile/v2/conversation',
+      `${MiEndpoints.userprofile}/device_profile/v2/conversation`,
       {
         limit,
         timestamp,
@@ -228,7 +233,7 @@ export class MiNA {
         headers: {
           'User-Agent':
             'Mozilla/5.0 (Linux; Android 10; 000; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.193 Mobile Safari/537.36 /XiaoMi/HybridView/ micoSoundboxApp/i appVersion/A_2.4.40',
-          Referer: 'https://userprofile.mina.mi.com/dialogue-note/index.html',
+          Referer: `${MiEndpoints.userprofile}/dialogue-note/index.html`,
         },
         cookies: {
           userId: this.account.userId,
@@ -3,6 +3,7 @@ import { decodeMIoT, encodeMIoT, encodeQuery } from '../utils/codec.js';
 import { Debugger } from '../utils/debug.js';
 import { Http } from '../utils/http.js';
 import { updateMiAccount } from './common.js';
+import { MiEndpoints } from './endpoints.js';
 import type { MIoTDevice, MiAccount } from './typing.js';
 
 type MIoTAccount = MiAccount & { device: MIoTDevice };
@@ -40,7 +41,7 @@ export class MIoT {
     path: string,
     _data?: any,
   ) {
-    const url = `https://api.io.mi.com/app${path}`;
+    const url = `${MiEndpoints.miot}${path}`;
     const config = {
       account,
       setAccount: updateMiAccount(account),
@@ -115,11 +116,13 @@ export class MIoT {
 
   /**
    * 获取 MIoT 设备属性值
+   *
+   * 默认操作当前音箱，传入 did 可操作同一账号下的其他米家设备
    */
-  async getProperty(scope: number, property: number) {
+  async getProperty(scope: number, property: number, did = this.account.device.did) {
     const res = await this._callMIoTSpec('prop/get', [
       {
-        did: this.account.device.did,
+        did,
         siid: scope,
         piid: property,
       },
@@ -129,11 +132,13 @@ export class MIoT {
 
   /**
    * 设置 MIoT 设备属性值
+   *
+   * 默认操作当前音箱，传入 did 可操作同一账号下的其他米家设备
    */
-  async setProperty(scope: number, property: number, value: any) {
+  async setProperty(scope: number, property: number, value: any, did = this.account.device.did) {
     const res = await this._callMIoTSpec('prop/set', [
       {
-        did: this.account.device.did,
+        did,
         siid: scope,
         piid: property,
         value: value,
@@ -151,10 +156,12 @@ export class MIoT {
    * await MIoT.doAction(3, 1);
    * await MIoT.doAction(5, 1, "Hello world, 你好！");
    * ```
+   *
+   * 默认操作当前音箱，传入 did 可操作同一账号下的其他米家设备
    */
-  async doAction(scope: number, action: number, args: any = []) {
+  async doAction(scope: number, action: number, args: any = [], did = this.account.device.did) {
     const res = await this._callMIoTSpec('action', {
-      did: this.account.device.did,
+      did,
       siid: scope,
       aiid: action,
       in: Array.isArray(args) ? args : [args],
@@ -0,0 +1,216 @@
+import * as crypto from 'node:crypto';
+import { jsonDecode, jsonEncode } from '@mi-gpt/utils/parse';
+import { readString, writeString } from '../utils/io.js';
+import { MiEndpoints } from './endpoints.js';
+import type { MiAccount } from './typing.js';
+
+export type MiServiceName = 'miot' | 'mina';
+
+export type MiSessionStore = Partial<Record<MiServiceName, MiAccount>>;
+
+/**
+ * 登录状态
+ *
+ * - pending：尚未登录
+ * - ok：登录凭证有效
+ * - refreshing：正在登录或刷新登录凭证
+ * - failed：登录失败（比如网络异常、账号密码错误）
+ * - captcha：需要验证码，请重新获取 passToken
+ */
+export type MiAuthStatus = 'pending' | 'ok' | 'refreshing' | 'failed' | 'captcha';
+
+export interface MiAuthState {
+  status: MiAuthStatus;
+  service?: MiServiceName;
+  message?: string;
+  /**
+   * 最近一次登录时间
+   */
+  loginAt?: number;
+  /**
+   * 下次主动刷新登录凭证的时间
+   */
+  refreshAt?: number;
+  updatedAt: number;
+}
+
+export interface MiSessionConfig {
+  userId?: string;
+  password?: string;
+  passToken?: string;
+  sessionFile?: string;
+  sessionSecret?: string;
+  refreshInterval?: number;
+}
+
+interface EncryptedFile {
+  version: 1;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+// 登录失败后的重试间隔
+const kRetryInterval = 10 * 60 * 1000;
+
+/**
+ * 登录凭证管理
+ *
+ * 登录凭证（serviceToken、passToken、设备信息）加密保存到本地，重启后直接复用，
+ * 并在到期前主动刷新，避免频繁登录触发验证码
+ */
+class _MiSession {
+  file = '.mi.json';
+  refreshInterval = 12 * 60 * 60 * 1000;
+
+  state: MiAuthState = { status: 'pending', updatedAt: Date.now() };
+
+  /**
+   * 主动刷新登录凭证（由 getMiService 设置）
+   */
+  onRefresh?: (service: MiServiceName) => Promise<unknown>;
+
+  private _key?: Buffer;
+  private _listeners = new Set<(state: MiAuthState) => void>();
+  private _timers: Partial<Record<MiServiceName, NodeJS.Timeout>> = {};
+
+  configure(config: MiSessionConfig) {
+    this.file = config.sessionFile || this.file;
+    this.refreshInterval = config.refreshInterval ?? this.refreshInterval;
+    // 默认使用账号配置生成密钥：修改账号或 passToken 后无法解密，自动重新登录
+    const secret =
+      config.sessionSecret ||
+      process.env.MI_SESSION_SECRET ||
+      `${config.userId ?? ''}:${config.password ?? ''}:${config.passToken ?? ''}`;
+    this._key = crypto.scryptSync(secret, 'mi-gpt-session', 32);
+  }
+
+  /**
+   * 账号配置的指纹，用于判断保存的登录凭证是否属于当前配置（包括登录接口地址）
+   */
+  fingerprint(config: MiSessionConfig) {
+    const { userId = '', password = '', passToken = '' } = config;
+    return crypto
+      .createHash('sha256')
+      .update(`${userId}:${password}:${passToken}@${MiEndpoints.account}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * 读取保存的登录凭证，兼容未加密的旧文件，解密失败时返回空
+   */
+  async load(): Promise<MiSessionStore> {
+    const content = jsonDecode(await readString(this.file));
+    if (!content) {
+      return {};
+    }
+    if (content.version !== 1) {
+      return content;
+    }
+    try {
+      const file = content as EncryptedFile;
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this._getKey(),
+        Buffer.from(file.iv, 'base64'),
+      );
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(file.data, 'base64')),
+        decipher.final(),
+      ]);
+      return jsonDecode(data.toString('utf8')) ?? {};
+    } catch {
+      console.warn('⚠️ 无法解密已保存的登录凭证（账号配置已修改），将重新登录');
+      return {};
+    }
+  }
+
+  async save(store: MiSessionStore) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(), iv);
+    const data = Buffer.concat([cipher.update(jsonEncode(store) ?? '{}', 'utf8'), cipher.final()]);
+    const file: EncryptedFile = {
+      version: 1,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    await writeString(this.file, jsonEncode(file) ?? '');
+  }
+
+  /**
+   * 监听登录状态变化，返回取消监听的函数
+   */
+  onStateChange(listener: (state: MiAuthState) => void) {
+    this._listeners.add(listener);
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  setState(state: Omit<Partial<MiAuthState>, 'updatedAt'>) {
+    const prev = this.state;
+    this.state = { ...prev, ...state, updatedAt: Date.now() };
+    if (prev.status === this.state.status && prev.message === this.state.message) {
+      return;
+    }
+    for (const listener of this._listeners) {
+      try {
+        listener(this.state);
+      } catch (e) {
+        console.error('❌ 登录状态回调异常', e);
+      }
+    }
+  }
+
+  /**
+   * 登录成功，在到期前主动刷新
+   */
+  loggedIn(service: MiServiceName, loginAt: number) {
+    const refreshAt = loginAt + this.refreshInterval;
+    this.setState({ status: 'ok', service, message: undefined, loginAt, refreshAt });
+    this._schedule(service, refreshAt);
+  }
+
+  /**
+   * 登录失败，刷新登录凭证失败时稍后重试（需要验证码时等待更新 passToken）
+   */
+  loginFailed(service: MiServiceName, retry = false) {
+    if (this.state.status === 'captcha') {
+      return;
+    }
+    this.setState({ status: 'failed', service, message: '登录失败，请检查账号配置和网络' });
+    if (retry) {
+      this._schedule(service, Date.now() + kRetryInterval);
+    }
+  }
+
+  dispose() {
+    for (const timer of Object.values(this._timers)) {
+      clearTimeout(timer);
+    }
+    this._timers = {};
+  }
+
+  private _schedule(service: MiServiceName, at: number) {
+    clearTimeout(this._timers[service]);
+    // setTimeout 最长约 24.8 天
+    const delay = Math.min(Math.max(0, at - Date.now()), 2 ** 31 - 1);
+    const timer = setTimeout(() => {
+      this.onRefresh?.(service);
+    }, delay);
+    timer.unref?.();
+    this._timers[service] = timer;
+  }
+
+  private _getKey() {
+    if (!this._key) {
+      this.configure({});
+    }
+    return this._key!;
+  }
+}
+
+export const MiSession = new _MiSession();
@@ -53,6 +53,14 @@ export interface MiAccount {
   serviceToken?: string;
   did?: string;
   device?: MiNADevice | MIoTDevice;
+  /**
+   * 登录时间，用于判断是否需要刷新登录凭证
+   */
+  loginAt?: number;
+  /**
+   * 登录时使用的账号配置指纹，账号配置修改后重新登录
+   */
+  credential?: string;
 }
 
 // LLM 文本回应
@@ -0,0 +1,575 @@
+import * as crypto from 'node:crypto';
+import * as http from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { jsonDecode, jsonEncode } from '@mi-gpt/utils/parse';
+import type { MiEndpoints } from './mi/endpoints.js';
+import { decodeQuery } from './utils/codec.js';
+import { md5, signNonce, uuid } from './utils/hash.js';
+import { RC4 } from './utils/rc4.js';
+
+export interface SimulatedDevice {
+  /**
+   * 设备在米家中的名称（对应 MiServiceConfig 中的 did）
+   */
+  name: string;
+  /**
+   * MIoT did，默认自动生成
+   */
+  did?: string;
+  /**
+   * 设备型号，默认 LX06（小爱音箱 Pro）
+   */
+  hardware?: string;
+  mac?: string;
+  /**
+   * 初始音量，默认 50
+   */
+  volume?: number;
+}
+
+export interface MiCloudSimulatorConfig {
+  /**
+   * 默认：123456
+   */
+  userId?: string;
+  /**
+   * 默认：password
+   */
+  password?: string;
+  /**
+   * 可以直接登录的 passToken，默认：sim-pass-token
+   */
+  passToken?: string;
+  /**
+   * 默认：[{ name: "小爱音箱Pro" }]
+   */
+  devices?: SimulatedDevice[];
+  /**
+   * 使用密码登录时要求验证码（模拟 identity/authStart）
+   */
+  captcha?: boolean;
+  /**
+   * 播放文字或音频后保持「播放中」状态的时长（毫秒），默认 0（立即播放完毕）
+   */
+  playDuration?: number;
+}
+
+export type SimulatorCall =
+  | { type: 'login'; by: 'passToken' | 'password'; sid: string; time: number }
+  | {
+      type: 'ubus';
+      device: string;
+      scope: string;
+      command: string;
+      message: any;
+      time: number;
+    }
+  | { type: 'miot'; path: string; data: any; time: number };
+
+interface DeviceState {
+  config: Required<Omit<SimulatedDevice, 'volume'>>;
+  deviceID: string;
+  volume: number;
+  playingUntil: number;
+  paused: boolean;
+  records: { time: number; query: string; answers: any[]; requestId: string }[];
+}
+
+type ConversationRecord = DeviceState['records'][number];
+
+interface Waiter {
+  predicate: (call: SimulatorCall) => boolean;
+  resolve: (call: SimulatorCall) => void;
+}
+
+/**
+ * 小米云服务模拟器
+ *
+ * 在本地模拟 miot 包用到的小米云接口（账号登录、MiNA 设备列表和 ubus 指令、对话记录、MIoT Spec），
+ * 无需真实的小米账号和音箱即可测试消息轮询和回复。
+ *
+ * ```ts
+ * const simulator = new MiCloudSimulator();
+ * const endpoints = await simulator.start();
+ * const MiNA = await getMiNA({ did: "小爱音箱Pro", userId: "123456", passToken: "sim-pass-token", endpoints });
+ * simulator.say("今天天气怎么样");
+ * await simulator.waitFor((call) => call.type === "ubus" && call.command === "text_to_speech");
+ * ```
+ *
+ * 也可以通过 HTTP 接口控制（方便其他语言的测试脚本）：
+ *
+ * - POST /simulator/say：`{ text, device?, answer? }` 模拟用户说话
+ * - GET /simulator/calls：获取收到的登录、ubus 和 MIoT 请求
+ * - POST /simulator/reset：清空对话记录（保留初始对话记录）和请求记录
+ */
+export class MiCloudSimulator {
+  readonly userId: string;
+  readonly password: string;
+  readonly passToken: string;
+  readonly ssecurity = crypto.randomBytes(16).toString('base64');
+
+  /**
+   * 收到的登录、ubus 和 MIoT 请求（按时间顺序）
+   */
+  calls: SimulatorCall[] = [];
+
+  /**
+   * 米家设备属性值，键为 `${did}.${siid}.${piid}`
+   */
+  properties = new Map<string, any>();
+
+  private _config: MiCloudSimulatorConfig;
+  private _devices: DeviceState[];
+  private _serviceTokens = new Set<string>();
+  private _waiters = new Set<Waiter>();
+  private _server?: http.Server;
+  private _baseURL = '';
+  // 初始对话记录：消息轮询以第一次拉取到的最新消息为起点，真实音箱总会有历史对话
+  private _history: ConversationRecord = {
+    time: Date.now() - 60 * 1000,
+    query: '小爱同学',
+    answers: [{ bitSet: [0, 1, 1, 1], type: 'TTS', tts: { bitSet: [0, 1], text: '我在' } }],
+    requestId: uuid(),
+  };
+
+  constructor(config: MiCloudSimulatorConfig = {}) {
+    this._config = config;
+    this.userId = config.userId ?? '123456';
+    this.password = config.password ?? 'password';
+    this.passToken = config.passToken ?? 'sim-pass-token';
+    this._devices = (config.devices ?? [{ name: '小爱音箱Pro' }]).map((device, index) => {
+      const did = device.did ?? String(100000001 + index);
+      return {
+        config: {
+          name: device.name,
+          did,
+          hardware: device.hardware ?? 'LX06',
+          mac: device.mac ?? `00:00:00:00:00:${String(index + 1).padStart(2, '0')}`,
+        },
+        deviceID: `sim-device-${did}`,
+        volume: device.volume ?? 50,
+        playingUntil: 0,
+        paused: false,
+        records: [this._history],
+      };
+    });
+  }
+
+  /**
+   * 启动模拟服务，返回可直接填入 MiServiceConfig.endpoints 的接口地址
+   */
+  async start(port = 0, host = '127.0.0.1'): Promise<MiEndpoints> {
+    const server = http.createServer((req, res) => {
+      this._handle(req, res).catch((e) => {
+        console.error('❌ 模拟服务处理请求失败', e);
+        this._send(res, 500, { code: 500, message: String(e) });
+      });
+    });
+    await new Promise<void>((resolve) => server.listen(port, host, resolve));
+    this._server = server;
+    const address = server.address() as AddressInfo;
+    this._baseURL = `http://${host}:${address.port}`;
+    return this.endpoints;
+  }
+
+  async stop() {
+    for (const waiter of this._waiters) {
+      this._waiters.delete(waiter);
+    }
+    await new Promise<void>((resolve) => {
+      if (!this._server) {
+        return resolve();
+      }
+      this._server.close(() => resolve());
+      this._server.closeAllConnections?.();
+    });
+    this._server = undefined;
+  }
+
+  get endpoints(): MiEndpoints {
+    return {
+      account: `${this._baseURL}/pass`,
+      mina: `${this._baseURL}/mina`,
+      miot: `${this._baseURL}/app`,
+      userprofile: `${this._baseURL}/userprofile`,
+    };
+  }
+
+  /**
+   * 模拟用户对音箱说话（写入对话记录，等待消息轮询拉取）
+   *
+   * answer 为小爱的回答，默认为空回答
+   */
+  say(text: string, options?: { device?: string; answer?: string }) {
+    const device = this._getDevice(options?.device);
+    const last = device.records[0]?.time ?? 0;
+    const record: ConversationRecord = {
+      time: Math.max(Date.now(), last + 1),
+      query: text,
+      answers: [
+        {
+          bitSet: [0, 1, 1, 1],
+          type: 'TTS',
+          tts: { bitSet: [0, 1], text: options?.answer ?? '' },
+        },
+      ],
+      requestId: uuid(),
+    };
+    device.records.unshift(record);
+    return record;
+  }
+
+  /**
+   * 让已登录的凭证失效，之后的请求返回 401（用于测试刷新登录凭证）
+   */
+  expireSession() {
+    this._serviceTokens.clear();
+  }
+
+  /**
+   * 清空对话记录（保留初始对话记录）和请求记录
+   */
+  reset() {
+    this.calls = [];
+    for (const device of this._devices) {
+      device.records = [this._history];
+      device.playingUntil = 0;
+    }
+  }
+
+  /**
+   * 音箱播报过的文字
+   */
+  spoken(device?: string) {
+    return this._ubusCalls('text_to_speech', device).map((e) => e.message?.text as string);
+  }
+
+  /**
+   * 音箱播放过的音频链接
+   */
+  played(device?: string) {
+    return this._ubusCalls('player_play_url', device).map((e) => e.message?.url as string);
+  }
+
+  /**
+   * 等待一个满足条件的请求（包括已经收到的请求），超时后抛出异常
+   */
+  waitFor(predicate: (call: SimulatorCall) => boolean, timeout = 5000) {
+    const existing = this.calls.find(predicate);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+    return new Promise<SimulatorCall>((resolve, reject) => {
+      const waiter: Waiter = {
+        predicate,
+        resolve: (call) => {
+          clearTimeout(timer);
+          resolve(call);
+        },
+      };
+      const timer = setTimeout(() => {
+        this._waiters.delete(waiter);
+        reject(new Error(`等待模拟请求超时（${timeout}ms）`));
+      }, timeout);
+      this._waiters.add(waiter);
+    });
+  }
+
+  private _ubusCalls(command: string, device?: string) {
+    const name = device ? this._getDevice(device).config.name : undefined;
+    return this.calls.filter(
+      (e): e is Extract<SimulatorCall, { type: 'ubus' }> =>
+        e.type === 'ubus' && e.command === command && (!name || e.device === name),
+    );
+  }
+
+  private _record(call: SimulatorCall) {
+    this.calls.push(call);
+    for (const waiter of this._waiters) {
+      if (waiter.predicate(call)) {
+        this._waiters.delete(waiter);
+        waiter.resolve(call);
+      }
+    }
+  }
+
+  private _getDevice(name?: string) {
+    const device = name
+      ? this._devices.find((e) =>
+          [e.config.name, e.config.did, e.config.mac, e.deviceID].includes(name),
+        )
+      : this._devices[0];
+    if (!device) {
+      throw new Error(`找不到模拟设备：${name}`);
+    }
+    return device;
+  }
+
+  private async _handle(req: http.IncomingMessage, res: http.ServerResponse) {
+    const url = new URL(req.url ?? '/', this._baseURL);
+    const body = await this._readBody(req);
+    const form = decodeQuery(body);
+    const query = Object.fromEntries(url.searchParams);
+    const cookies = this._parseCookies(req.headers.cookie);
+    const path = url.pathname;
+
+    if (path.startsWith('/simulator/')) {
+      return this._handleControl(path, body, res);
+    }
+    if (path === '/pass/serviceLogin') {
+      return this._handleServiceLogin(query.sid!, cookies, res);
+    }
+    if (path === '/pass/serviceLoginAuth2') {
+      return this._handleLoginAuth2(form, res);
+    }
+    if (path === '/sts') {
+      const serviceToken = crypto.randomBytes(24).toString('base64url');
+      this._serviceTokens.add(serviceToken);
+      res.setHeader('Set-Cookie', [`serviceToken=${serviceToken}; path=/`]);
+      return this._send(res, 200, 'ok');
+    }
+
+    if (!this._serviceTokens.has(cookies.serviceToken ?? '')) {
+      return this._send(res, 401, { code: 401, message: 'Unauthorized' });
+    }
+    if (path === '/mina/admin/v2/device_list') {
+      return this._ok(
+        res,
+        this._devices.map((e) => this._toMiNADevice(e)),
+      );
+    }
+    if (path === '/mina/remote/ubus') {
+      return this._handleUbus(form, res);
+    }
+    if (path === '/userprofile/device_profile/v2/conversation') {
+      return this._handleConversation(query, cookies, res);
+    }
+    if (path.startsWith('/app/')) {
+      return this._handleMIoT(path.slice('/app'.length), form, res);
+    }
+    return this._send(res, 404, { code: 404, message: 'Not Found' });
+  }
+
+  private _handleControl(path: string, body: string, res: http.ServerResponse) {
+    if (path === '/simulator/say') {
+      const { text, device, answer } = jsonDecode(body) ?? {};
+      if (!text) {
+        return this._send(res, 400, { ok: false, error: 'text is required' });
+      }
+      return this._send(res, 200, { ok: true, record: this.say(text, { device, answer }) });
+    }
+    if (path === '/simulator/calls') {
+      return this._send(res, 200, { ok: true, calls: this.calls });
+    }
+    if (path === '/simulator/reset') {
+      this.reset();
+      return this._send(res, 200, { ok: true });
+    }
+    return this._send(res, 404, { ok: false, error: 'Not Found' });
+  }
+
+  private _handleServiceLogin(
+    sid: string,
+    cookies: Record<string, string>,
+    res: http.ServerResponse,
+  ) {
+    if (cookies.passToken === this.passToken) {
+      this._record({ type: 'login', by: 'passToken', sid, time: Date.now() });
+      return this._sendAuth(res, this._pass(sid));
+    }
+    return this._sendAuth(res, {
+      code: 70016,
+      qs: '%3Fsid%3Dmicoapi',
+      _sign: crypto.randomBytes(8).toString('base64'),
+      callback: `${this._baseURL}/sts`,
+      sid,
+    });
+  }
+
+  private _handleLoginAuth2(form: any, res: http.ServerResponse) {
+    if (form.user !== this.userId || form.hash !== md5(this.password).toUpperCase()) {
+      return this._sendAuth(res, { code: 70016, description: '用户名或密码不正确' });
+    }
+    if (this._config.captcha) {
+      return this._sendAuth(res, {
+        code: 0,
+        notificationUrl: `${this._baseURL}/identity/authStart?sid=${form.sid}`,
+      });
+    }
+    this._record({ type: 'login', by: 'password', sid: form.sid, time: Date.now() });
+    return this._sendAuth(res, this._pass(form.sid));
+  }
+
+  private _pass(sid: string) {
+    return {
+      code: 0,
+      userId: this.userId,
+      cUserId: `sim-${this.userId}`,
+      passToken: this.passToken,
+      ssecurity: this.ssecurity,
+      nonce: String(Date.now()),
+      location: `${this._baseURL}/sts?sid=${sid}`,
+    };
+  }
+
+  private _handleUbus(form: any, res: http.ServerResponse) {
+    const device = this._devices.find((e) => e.deviceID === form.deviceId);
+    if (!device) {
+      return this._send(res, 200, { code: 101, message: 'device not found' });
+    }
+    const message = jsonDecode(form.message) ?? {};
+    const command = form.method;
+    this._record({
+      type: 'ubus',
+      device: device.config.name,
+      scope: form.path,
+      command,
+      message,
+      time: Date.now(),
+    });
+
+    const now = Date.now();
+    if (command === 'text_to_speech' || command === 'player_play_url') {
+      device.playingUntil = now + (this._config.playDuration ?? 0);
+      device.paused = false;
+    } else if (command === 'player_set_volume') {
+      device.volume = message.volume;
+    } else if (command === 'player_play_operation') {
+      if (['stop', 'pause'].includes(message.action)) {
+        device.paused = message.action === 'pause' && device.playingUntil > now;
+        device.playingUntil = 0;
+      }
+    } else if (command === 'player_get_play_status') {
+      const status = device.playingUntil > now ? 1 : device.paused ? 2 : 0;
+      return this._ok(res, {
+        code: 0,
+        info: jsonEncode({ status, volume: device.volume, media_type: 0, loop_type: 1 }),
+      });
+    }
+    return this._ok(res, { code: 0, info: '{}' });
+  }
+
+  private _handleConversation(
+    query: Record<string, string>,
+    cookies: Record<string, string>,
+    res: http.ServerResponse,
+  ) {
+    const device = this._devices.find((e) => e.deviceID === cookies.deviceId);
+    const limit = Number(query.limit) || 10;
+    const timestamp = Number(query.timestamp) || Number.POSITIVE_INFINITY;
+    const records = (device?.records ?? []).filter((e) => e.time <= timestamp).slice(0, limit);
+    return this._ok(
+      res,
+      jsonEncode({
+        bitSet: [0, 1, 1],
+        records: records.map((e) => ({ bitSet: [0, 1, 1, 1, 1], ...e })),
+        nextEndTime: records.at(-1)?.time ?? 0,
+      }),
+    );
+  }
+
+  private _handleMIoT(path: string, form: any, res: http.ServerResponse) {
+    const key = Buffer.from(signNonce(this.ssecurity, form._nonce), 'base64');
+    const decrypt = new RC4(key);
+    decrypt.update(Buffer.alloc(1024));
+    const data = jsonDecode(decrypt.update(Buffer.from(form.data ?? '', 'base64')).toString());
+    this._record({ type: 'miot', path, data, time: Date.now() });
+
+    let result: any = {};
+    if (path === '/home/device_list') {
+      result = { list: this._devices.map((e) => this._toMIoTDevice(e)) };
+    } else if (path === '/miotspec/prop/get') {
+      result = (data?.params ?? []).map((e: any) => ({
+        ...e,
+        code: 0,
+        value: this.properties.get(`${e.did}.${e.siid}.${e.piid}`),
+      }));
+    } else if (path === '/miotspec/prop/set') {
+      result = (data?.params ?? []).map((e: any) => {
+        this.properties.set(`${e.did}.${e.siid}.${e.piid}`, e.value);
+        return { did: e.did, siid: e.siid, piid: e.piid, code: 0 };
+      });
+    } else if (path === '/miotspec/action') {
+      result = { ...data?.params, code: 0 };
+    }
+
+    const encrypt = new RC4(key);
+    encrypt.update(Buffer.alloc(1024));
+    const encrypted = encrypt.update(Buffer.from(jsonEncode({ code: 0, message: 'ok', result })!));
+    return this._send(res, 200, encrypted.toString('base64'));
+  }
+
+  private _toMiNADevice(device: DeviceState) {
+    const { name, did, hardware, mac } = device.config;
+    return {
+      deviceID: device.deviceID,
+      serialNumber: `sim-sn-${did}`,
+      name,
+      alias: name,
+      presence: 'online',
+      miotDID: did,
+      hardware,
+      deviceSNProfile: `sim-profile-${did}`,
+      deviceProfile: '',
+      brokerEndpoint: '',
+      brokerIndex: 0,
+      mac,
+      ssid: 'sim-wifi',
+    };
+  }
+
+  private _toMIoTDevice(device: DeviceState) {
+    const { name, did, hardware, mac } = device.config;
+    return {
+      did,
+      token: '',
+      name,
+      localip: '127.0.0.1',
+      mac,
+      ssid: 'sim-wifi',
+      bssid: '',
+      model: `xiaomi.wifispeaker.${hardware.toLowerCase()}`,
+      isOnline: true,
+      desc: '',
+      uid: Number(this.userId) || 0,
+      pd_id: 0,
+      rssi: -40,
+    };
+  }
+
+  private _readBody(req: http.IncomingMessage) {
+    return new Promise<string>((resolve, reject) => {
+      const chunks: Buffer[] = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  private _parseCookies(header?: string) {
+    const cookies: Record<string, string> = {};
+    for (const item of (header ?? '').split(';')) {
+      const index = item.indexOf('=');
+      if (index > 0) {
+        cookies[item.slice(0, index).trim()] = item.slice(index + 1).trim();
+      }
+    }
+    return cookies;
+  }
+
+  private _ok(res: http.ServerResponse, data: any) {
+    return this._send(res, 200, { code: 0, message: 'Success', data });
+  }
+
+  private _sendAuth(res: http.ServerResponse, data: any) {
+    return this._send(res, 200, `&&&START&&&${jsonEncode(data)}`);
+  }
+
+  private _send(res: http.ServerResponse, status: number, data: any) {
+    const text = typeof data === 'string' ? data : (jsonEncode(data) ?? '');
+    res.writeHead(status, {
+      'Content-Type': typeof data === 'string' ? 'text/plain; charset=utf-8' : 'application/json',
+    });
+    res.end(text);
+  }
+}
@@ -2,7 +2,9 @@ import { sleep } from '@mi-gpt/utils';
 import { isNotEmpty } from '@mi-gpt/utils/is';
 import { jsonEncode } from '@mi-gpt/utils/parse';
 import axios, { type AxiosRequestConfig, type CreateAxiosDefaults } from 'axios';
-import { getMiService } from '../mi/index.js';
+import { getMiServiceName } from '../mi/endpoints.js';
+import { refreshMiService } from '../mi/index.js';
+import { MiSession } from '../mi/session.js';
 import type { MiAccount } from '../mi/typing.js';
 import { Debugger } from './debug.js';
 
@@ -127,9 +129,7 @@ class TokenRefresher {
    * 自动刷新过期的凭证，并重新发送请求
    */
   async refreshTokenAndRetry(err: any, maxRetry = 3) {
-    const isMiNA = err?.config?.url?.includes('mina.mi.com');
-    const isMIoT = err?.config?.url?.includes('io.mi.com');
-    if ((!isMiNA && !isMIoT) || err.response?.status !== 401) {
+    if (!getMiServiceName(err?.config?.url) || err.response?.status !== 401) {
       return;
     }
     if (this.isRefreshing) {
@@ -154,6 +154,9 @@ class TokenRefresher {
     this.isRefreshing = false;
     if (!newServiceAccount) {
       console.error('❌ 刷新登录凭证失败，请检查账号密码是否仍然有效。');
+      if (MiSession.state.status === 'captcha') {
+        console.log('💡 请更新 passToken 后重启服务');
+      }
     }
     return result;
   }
@@ -162,12 +165,14 @@ class TokenRefresher {
    * 刷新登录凭证并同步到本地
    */
   async refreshToken(err: any) {
-    const isMiNA = err?.config?.url?.includes('mina.mi.com');
-    const account: any = (await getMiService({ service: isMiNA ? 'mina' : 'miot', relogin: true }))
-      ?.account;
+    // 与主动刷新共用同一次登录，并同步到所有正在使用的账号
+    const account: any = await refreshMiService(getMiServiceName(err.config.url)!);
     if (account && err.config.account) {
-      // 更新登录凭证
+      // 更新登录凭证（多音箱共用同一账号，不覆盖当前请求的设备信息）
       for (const key in account) {
+        if (['did', 'device'].includes(key)) {
+          continue;
+        }
         err.config.account[key] = account[key];
       }
       err.config.setAccount(err.config.account);
@@ -186,9 +191,10 @@ class TokenRefresher {
         cookies[key] = account[key];
       }
     }
+    const device = err.config.account?.device ?? account.device;
     for (const key of ['deviceSNProfile']) {
-      if (cookies[key] && account.device[key]) {
-        cookies[key] = account.device[key];
+      if (cookies[key] && device?.[key]) {
+        cookies[key] = device[key];
       }
     }
     // 重新请求
@@ -3,6 +3,32 @@ import type { ClientOptions } from 'openai';
 import type { RequestOptions } from 'openai/core';
 import type { ChatCompletionCreateParamsBase } from 'openai/resources/chat/completions';
 
+/**
+ * 大模型服务（后端），未配置的项使用 OpenAIConfig 中的同名配置
+ */
+export interface OpenAIBackend {
+  /**
+   * 名称，用于 routes 和日志
+   *
+   * 默认：model
+   */
+  name?: string;
+  baseURL?: string;
+  apiKey?: string;
+  model?: string;
+  enableProxy?: boolean;
+  /**
+   * 请求超时（毫秒），流式响应为收到响应头的时间，超时后切换到下一个后端
+   */
+  timeout?: number;
+  /**
+   * 失败后的重试次数（openai SDK 内置的重试）
+   *
+   * 默认：有下一个后端时为 0（直接切换），否则为 SDK 默认值
+   */
+  maxRetries?: number;
+}
+
 export type OpenAIConfig = DeepPartial<{
   /**
    * 是否启用代理
@@ -33,6 +59,30 @@ export type OpenAIConfig = DeepPartial<{
    * 默认：gpt-4o-mini
    */
   model: string;
+  /**
+   * 请求超时（毫秒），见 OpenAIBackend.timeout
+   */
+  timeout: number;
+  /**
+   * 多个大模型服务，按顺序故障转移：请求出错或超时时自动切换到下一个
+   *
+   * 未配置时只使用上面的 baseURL、apiKey、model
+   */
+  backends: OpenAIBackend[];
+  /**
+   * 按任务类型选择后端（按顺序故障转移），未配置的任务类型使用全部后端
+   *
+   * 示例：{ story: ['qwen-max', 'deepseek-v3'], intent: ['qwen-turbo'] }
+   */
+  routes: Record<string, string[]>;
+  /**
+   * 流式响应时请求 token 用量（stream_options.include_usage），用于统计 migpt_llm_tokens_total
+   *
+   * 不是所有兼容 OpenAI 接口的服务都支持该参数，不支持时可能返回 400
+   *
+   * 默认：false
+   */
+  streamUsage: boolean;
   /**
    * 扩展配置
    */
@@ -48,6 +98,7 @@ export const kDefaultOpenAIConfig: OpenAIConfig = {
   baseURL: 'https://api.openai.com/v1',
   model: 'gpt-4o-mini',
   apiKey: 'sk-1234567890',
+  streamUsage: false,
   extra: {
     clientOptions: {},
     createParams: {},
@@ -1,32 +1,116 @@
-import { deepMerge } from '@mi-gpt/utils';
+import { deepMerge, removeEmpty } from '@mi-gpt/utils';
+import { Metrics } from '@mi-gpt/utils/metrics';
 import type { Prettify } from '@mi-gpt/utils/typing';
 import OpenAIClient from 'openai';
 import type { RequestOptions } from 'openai/core';
-import type { ChatCompletionCreateParamsBase } from 'openai/resources/chat/completions';
+import type {
+  ChatCompletionCreateParamsBase,
+  ChatCompletionMessageToolCall,
+} from 'openai/resources/chat/completions';
+import type { CompletionUsage } from 'openai/resources/completions';
 import { ProxyAgent } from 'proxy-agent';
-import { type OpenAIConfig, kDefaultOpenAIConfig } from './config.js';
+import { type OpenAIBackend, type OpenAIConfig, kDefaultOpenAIConfig } from './config.js';
+
+export type {
+  ChatCompletionMessageParam,
+  ChatCompletionMessageToolCall,
+  ChatCompletionTool,
+} from 'openai/resources/chat/completions';
+
+export interface ChatOptions {
+  requestId?: string;
+  /**
+   * 任务类型（比如 chat、story、intent），按 routes 选择后端
+   */
+  task?: string;
+  onStream?: (text: string) => void;
+  onError?: (error: Error) => Promise<void>;
+  requestOptions?: Prettify<RequestOptions>;
+  createParams: Prettify<Partial<ChatCompletionCreateParamsBase>>;
+}
+
+export interface ChatCompletionResult {
+  /**
+   * 文字回复
+   */
+  text: string;
+  /**
+   * 模型请求调用的工具（未请求时为空数组）
+   */
+  toolCalls: ChatCompletionMessageToolCall[];
+}
+
+const kRequestDuration = Metrics.histogram(
+  'migpt_llm_request_duration_seconds',
+  'LLM 请求耗时（秒），流式响应计算到最后一个分片',
+);
+const kTokenUsage = Metrics.counter('migpt_llm_tokens_total', 'LLM token 用量');
+const kFailovers = Metrics.counter(
+  'migpt_llm_failovers_total',
+  'LLM 请求失败后切换到下一个后端的次数',
+);
+
+interface Backend {
+  name: string;
+  model: string;
+  timeout?: number;
+  maxRetries?: number;
+  client: OpenAIClient;
+}
 
 class _OpenAI {
-  private _client?: OpenAIClient;
+  private _backends: Backend[] = [];
   private _abortCallbacks: Record<string, VoidFunction> = {};
 
   config: OpenAIConfig = {};
 
   init(config?: OpenAIConfig) {
     this.config = deepMerge(kDefaultOpenAIConfig, config);
-    this._client ??= new OpenAIClient({
-      baseURL: this.config.baseURL,
-      apiKey: this.config.apiKey,
-      httpAgent: this.config.enableProxy ? new ProxyAgent() : undefined,
-      ...(this.config.extra?.clientOptions as any),
+    // 重复初始化时使用新的接口地址和密钥，进行中的请求不受影响
+    const backends = (this.config.backends ?? []) as OpenAIBackend[];
+    this._backends = (backends.length > 0 ? backends : [{}]).map((backend) => {
+      const { name, timeout, maxRetries, ...options } = {
+        baseURL: this.config.baseURL,
+        apiKey: this.config.apiKey,
+        model: this.config.model,
+        enableProxy: this.config.enableProxy,
+        timeout: this.config.timeout,
+        ...backend,
+      };
+      return {
+        name: name || options.model!,
+        model: options.model!,
+        timeout,
+        maxRetries,
+        client: new OpenAIClient({
+          baseURL: options.baseURL,
+          apiKey: options.apiKey,
+          httpAgent: options.enableProxy ? new ProxyAgent() : undefined,
+          ...(this.config.extra?.clientOptions as any),
+        }),
+      };
     });
   }
 
   dispose() {
-    this._client = null as any;
+    this._backends = [];
     this._abortCallbacks = {};
   }
 
+  /**
+   * 获取任务类型对应的后端（按故障转移顺序）
+   */
+  getBackends(task?: string) {
+    const names = task ? this.config.routes?.[task] : undefined;
+    if (!names?.length) {
+      return this._backends;
+    }
+    const backends = names
+      .map((name) => this._backends.find((e) => e.name === name))
+      .filter((e): e is Backend => e != null);
+    return backends.length > 0 ? backends : this._backends;
+  }
+
   cancel(requestId?: string) {
     if (requestId && this._abortCallbacks[requestId]) {
       this._abortCallbacks[requestId]();
@@ -34,14 +118,19 @@ class _OpenAI {
     }
   }
 
-  async chat(options: {
-    requestId?: string;
-    onStream?: (text: string) => void;
-    onError?: (error: Error) => Promise<void>;
-    requestOptions?: Prettify<RequestOptions>;
-    createParams: Prettify<Partial<ChatCompletionCreateParamsBase>>;
-  }) {
-    const { requestId, onStream, requestOptions, createParams, onError } = options;
+  /**
+   * 对话，只返回文字回复
+   */
+  async chat(options: ChatOptions) {
+    const { text } = await this.chatCompletion(options);
+    return text;
+  }
+
+  /**
+   * 对话，同时返回文字回复和工具调用（tool_calls）
+   */
+  async chatCompletion(options: ChatOptions): Promise<ChatCompletionResult> {
+    const { requestId, task, onStream, requestOptions, createParams, onError } = options;
 
     let signal: AbortSignal | undefined;
     if (requestId) {
@@ -50,52 +139,129 @@ class _OpenAI {
       signal = controller.signal;
     }
 
-    const params = deepMerge(
-      {
-        model: this.config.model,
-        ...(this.config.extra?.createParams as any),
-      },
-      createParams,
-    );
-
-    const res = await this._client!.chat.completions.create(
-      params,
-      deepMerge(
+    // 按顺序请求后端，出错或超时时切换到下一个（主动取消时不再切换）
+    const backends = this.getBackends(task);
+    let params: any;
+    let res: any = null;
+    let stopTimer: ReturnType<typeof kRequestDuration.startTimer> = () => 0;
+    let usage: CompletionUsage | undefined;
+
+    for (const [index, backend] of backends.entries()) {
+      const next = backends[index + 1];
+      params = deepMerge(
         {
-          ...(this.config.extra?.requestOptions as any),
+          model: backend.model,
+          ...(this.config.extra?.createParams as any),
         },
-        { ...requestOptions, signal },
-      ),
-    ).catch(async (e) => {
-      console.error('❌ LLM 响应异常', e);
-      await onError?.(e);
-      return null;
-    });
+        createParams,
+      );
+      if (params.stream && this.config.streamUsage) {
+        // 流式响应默认不返回 token 用量
+        params.stream_options ??= { include_usage: true };
+      }
+
+      stopTimer = kRequestDuration.startTimer({ model: params.model });
+      let error: any;
+      res = await backend.client.chat.completions
+        .create(
+          params,
+          deepMerge(
+            {
+              // 未配置时使用 SDK 的默认值（openai SDK 不接受 undefined）
+              ...removeEmpty({
+                timeout: backend.timeout,
+                maxRetries: backend.maxRetries ?? (next ? 0 : undefined),
+              }),
+              ...(this.config.extra?.requestOptions as any),
+            },
+            { ...requestOptions, signal },
+          ),
+        )
+        .catch((e) => {
+          error = e;
+          return null;
+        });
+
+      if (res) {
+        break;
+      }
+      stopTimer({ status: 'error' });
+      if (!next || signal?.aborted) {
+        console.error('❌ LLM 响应异常', error);
+        await onError?.(error);
+        break;
+      }
+      kFailovers.inc({ from: backend.name, to: next.name });
+      console.warn(`⚠️ LLM(${backend.name}) 请求失败，切换到 ${next.name}:`, error?.message);
+    }
 
     let result = '';
+    let toolCalls: ChatCompletionMessageToolCall[] = [];
 
     if (params.stream) {
-      for await (const chunk of (res ?? []) as any) {
-        const text = chunk.choices[0]?.delta?.content || '';
-        const aborted = requestId && !Object.keys(this._abortCallbacks).includes(requestId);
-        if (aborted) {
-          result = '';
-          break;
+      try {
+        for await (const chunk of (res ?? []) as any) {
+          const delta = chunk.choices[0]?.delta;
+          const text = delta?.content || '';
+          const aborted = requestId && !Object.keys(this._abortCallbacks).includes(requestId);
+          if (aborted) {
+            result = '';
+            toolCalls = [];
+            break;
+          }
+          usage = chunk.usage ?? usage;
+          if (text) {
+            result += text;
+            onStream?.(text);
+          }
+          // 流式响应中 tool_calls 按 index 分片返回，需要拼接 arguments
+          for (const call of delta?.tool_calls ?? []) {
+            if (!toolCalls[call.index]) {
+              toolCalls[call.index] = {
+                id: '',
+                type: 'function',
+                function: { name: '', arguments: '' },
+              };
+            }
+            const current = toolCalls[call.index]!;
+            current.id = call.id ?? current.id;
+            current.function.name += call.function?.name ?? '';
+            current.function.arguments += call.function?.arguments ?? '';
+          }
         }
-        if (text) {
-          result += text;
-          onStream?.(text);
+      } catch (e: any) {
+        stopTimer({ status: 'error' });
+        res = null;
+        toolCalls = [];
+        if (signal?.aborted) {
+          // 主动取消
+          result = '';
+        } else {
+          // 连接中断等异常：返回已收到的文字，丢弃不完整的工具调用
+          console.error('❌ LLM 流式响应中断', e);
+          await onError?.(e);
         }
       }
     } else {
-      result = res?.choices?.[0]?.message?.content ?? '';
+      const message = res?.choices?.[0]?.message;
+      result = message?.content ?? '';
+      toolCalls = message?.tool_calls ?? [];
+      usage = res?.usage;
+    }
+
+    if (res) {
+      stopTimer({ status: 'ok' });
+    }
+    if (usage) {
+      kTokenUsage.inc({ model: params.model, type: 'prompt' }, usage.prompt_tokens);
+      kTokenUsage.inc({ model: params.model, type: 'completion' }, usage.completion_tokens);
     }
 
     if (requestId) {
       delete this._abortCallbacks[requestId];
     }
 
-    return result;
+    return { text: result, toolCalls: toolCalls.filter(Boolean) };
   }
 }
 
@@ -0,0 +1,261 @@
+import { once } from 'node:events';
+import { type Server, createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { Metrics } from '@mi-gpt/utils/metrics';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { OpenAIBackend } from '../src/config.js';
+import { OpenAI } from '../src/index.js';
+
+interface Reply {
+  status?: number;
+  delayMs?: number;
+}
+
+/**
+ * 模拟多个大模型服务：路径为 /<后端名称>/chat/completions，
+ * 按 replies 中的配置返回响应（默认成功），记录每个后端收到的请求
+ *
+ * 流式请求按 SSE 返回，请求了 stream_options.include_usage 时最后返回 token 用量
+ */
+function createMockServer() {
+  const state = {
+    requests: [] as { backend: string; body: any }[],
+    replies: {} as Record<string, Reply>,
+  };
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const backend = req.url!.split('/')[1]!;
+    state.requests.push({ backend, body: JSON.parse(body) });
+    const { status = 200, delayMs = 0 } = state.replies[backend] ?? {};
+    if (delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+    if (res.destroyed) {
+      return;
+    }
+    res.writeHead(status, { 'content-type': 'application/json' });
+    if (status !== 200) {
+      res.end(JSON.stringify({ error: { message: `${backend} 出错了` } }));
+      return;
+    }
+    const usage = { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 };
+    if (state.requests.at(-1)!.body.stream) {
+      const chunk = (data: object) =>
+        `data: ${JSON.stringify({ id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 0, model: backend, ...data })}\n\n`;
+      res.write(chunk({ choices: [{ index: 0, delta: { content: '来自 ' } }] }));
+      res.write(chunk({ choices: [{ index: 0, delta: { content: `${backend} 的回复` } }] }));
+      if (state.requests.at(-1)!.body.stream_options?.include_usage) {
+        res.write(chunk({ choices: [], usage }));
+      }
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+    res.end(
+      JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 0,
+        model: backend,
+        choices: [
+          {
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: `来自 ${backend} 的回复` },
+          },
+        ],
+        usage,
+      }),
+    );
+  });
+  return { server, state };
+}
+
+describe('OpenAI', () => {
+  let server: Server;
+  let state: ReturnType<typeof createMockServer>['state'];
+  let baseURL: string;
+
+  const backend = (name: string, options?: OpenAIBackend): OpenAIBackend => ({
+    name,
+    model: name,
+    baseURL: `${baseURL}/${name}`,
+    ...options,
+  });
+
+  const chat = (options?: { task?: string; requestId?: string }) => {
+    const onError = vi.fn(async (_error: Error) => {});
+    const result = OpenAI.chat({
+      ...options,
+      onError,
+      createParams: { messages: [{ role: 'user', content: '你好' }] },
+    });
+    return { result, onError };
+  };
+
+  const requested = () => state.requests.map((e) => e.backend);
+
+  beforeAll(async () => {
+    ({ server, state } = createMockServer());
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseURL = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    // 切换后端和请求失败时会输出日志
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    OpenAI.dispose();
+    server.closeAllConnections();
+    server.close();
+    vi.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    state.replies = {};
+    OpenAI.init({
+      backends: [backend('primary'), backend('secondary'), backend('last', { maxRetries: 0 })],
+      routes: {
+        story: ['last', 'primary'],
+        intent: ['unknown', 'secondary'],
+        missing: ['unknown'],
+      },
+    });
+  });
+
+  it('使用第一个后端的模型', async () => {
+    const { result, onError } = chat();
+    expect(await result).toBe('来自 primary 的回复');
+    expect(requested()).toEqual(['primary']);
+    expect(state.requests[0]!.body.model).toBe('primary');
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('请求出错时切换到下一个后端', async () => {
+    state.replies.primary = { status: 500 };
+    const { result, onError } = chat();
+    expect(await result).toBe('来自 secondary 的回复');
+    expect(requested()).toEqual(['primary', 'secondary']);
+    expect(state.requests[1]!.body.model).toBe('secondary');
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('请求超时时切换到下一个后端', async () => {
+    OpenAI.init({
+      backends: [backend('primary', { timeout: 200 }), backend('secondary')],
+    });
+    state.replies.primary = { delayMs: 1000 };
+    const start = Date.now();
+    const { result } = chat();
+    expect(await result).toBe('来自 secondary 的回复');
+    expect(requested()).toEqual(['primary', 'secondary']);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  it('全部后端失败时返回空字符串并回调 onError', async () => {
+    for (const name of ['primary', 'secondary', 'last']) {
+      state.replies[name] = { status: 500 };
+    }
+    const { result, onError } = chat();
+    expect(await result).toBe('');
+    expect(requested()).toEqual(['primary', 'secondary', 'last']);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it('主动取消后不再切换到下一个后端', async () => {
+    state.replies.primary = { delayMs: 500 };
+    const { result, onError } = chat({ requestId: 'req-1' });
+    await vi.waitFor(() => expect(requested()).toEqual(['primary']));
+    OpenAI.cancel('req-1');
+    expect(await result).toBe('');
+    // 等待被取消的请求处理完毕
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    expect(requested()).toEqual(['primary']);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  describe('routes', () => {
+    it('按任务类型选择后端和故障转移顺序', async () => {
+      expect(await chat({ task: 'story' }).result).toBe('来自 last 的回复');
+
+      state.requests = [];
+      state.replies.last = { status: 500 };
+      expect(await chat({ task: 'story' }).result).toBe('来自 primary 的回复');
+      expect(requested()).toEqual(['last', 'primary']);
+    });
+
+    it('忽略不存在的后端名称', async () => {
+      expect(await chat({ task: 'intent' }).result).toBe('来自 secondary 的回复');
+      expect(OpenAI.getBackends('intent').map((e) => e.name)).toEqual(['secondary']);
+    });
+
+    it('未配置或没有可用后端的任务类型使用全部后端', async () => {
+      const all = ['primary', 'secondary', 'last'];
+      expect(OpenAI.getBackends('chat').map((e) => e.name)).toEqual(all);
+      expect(OpenAI.getBackends('missing').map((e) => e.name)).toEqual(all);
+      expect(await chat({ task: 'chat' }).result).toBe('来自 primary 的回复');
+    });
+  });
+
+  describe('maxRetries', () => {
+    it('有下一个后端时不重试，直接切换', async () => {
+      state.replies.primary = { status: 500 };
+      state.replies.secondary = { status: 500 };
+      await chat().result;
+      expect(requested()).toEqual(['primary', 'secondary', 'last']);
+    });
+
+    it('配置了 maxRetries 时按配置重试', async () => {
+      OpenAI.init({
+        backends: [backend('primary', { maxRetries: 1 }), backend('secondary')],
+      });
+      state.replies.primary = { status: 500 };
+      expect(await chat().result).toBe('来自 secondary 的回复');
+      expect(requested()).toEqual(['primary', 'primary', 'secondary']);
+    });
+
+    it('最后一个后端使用 SDK 默认的重试次数', async () => {
+      OpenAI.init({ backends: [backend('primary'), backend('secondary')] });
+      state.replies.primary = { status: 500 };
+      state.replies.secondary = { status: 500 };
+      const { result, onError } = chat();
+      expect(await result).toBe('');
+      // openai SDK 默认重试 2 次
+      expect(requested()).toEqual(['primary', 'secondary', 'secondary', 'secondary']);
+      expect(onError).toHaveBeenCalledTimes(1);
+    }, 15000);
+  });
+
+  describe('streamUsage', () => {
+    const tokens = (model: string, type: string) => {
+      const line = Metrics.toPrometheus()
+        .split('\n')
+        .find((e) => e.startsWith(`migpt_llm_tokens_total{model="${model}",type="${type}"}`));
+      return line ? Number(line.split(' ').at(-1)) : 0;
+    };
+
+    const stream = (model: string) =>
+      OpenAI.chat({
+        createParams: { model, stream: true, messages: [{ role: 'user', content: '你好' }] },
+      });
+
+    it('默认不请求流式响应的 token 用量', async () => {
+      OpenAI.init({ backends: [backend('primary')] });
+      expect(await stream('stream-default')).toBe('来自 primary 的回复');
+      expect(state.requests[0]!.body.stream_options).toBeUndefined();
+      expect(tokens('stream-default', 'prompt')).toBe(0);
+    });
+
+    it('开启后请求并统计 token 用量', async () => {
+      OpenAI.init({ backends: [backend('primary')], streamUsage: true });
+      expect(await stream('stream-usage')).toBe('来自 primary 的回复');
+      expect(state.requests[0]!.body.stream_options).toEqual({ include_usage: true });
+      expect(tokens('stream-usage', 'prompt')).toBe(3);
+      expect(tokens('stream-usage', 'completion')).toBe(5);
+    });
+  });
+});
@@ -45,6 +45,7 @@ export class StreamResponse {
     if (!text) {
       return;
     }
+    this._result += text;
     this._batchSubmit(text);
   }
 
@@ -0,0 +1,146 @@
+export type MetricLabels = Record<string, string | number | undefined>;
+
+const kDefaultBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function labelKey(labels: MetricLabels = {}) {
+  return Object.keys(labels)
+    .filter((key) => labels[key] != null)
+    .sort()
+    .map((key) => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+    .join(',');
+}
+
+function withLabels(name: string, key: string, extra?: string) {
+  const labels = [key, extra].filter(Boolean).join(',');
+  return labels ? `${name}{${labels}}` : name;
+}
+
+abstract class Metric {
+  abstract readonly type: 'counter' | 'gauge' | 'histogram';
+
+  constructor(
+    public name: string,
+    public help: string,
+  ) {}
+
+  abstract lines(): string[];
+
+  toPrometheus() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.lines(),
+    ];
+  }
+}
+
+export class Counter extends Metric {
+  readonly type = 'counter';
+  private _values = new Map<string, number>();
+
+  inc(labels?: MetricLabels, value = 1) {
+    const key = labelKey(labels);
+    this._values.set(key, (this._values.get(key) ?? 0) + value);
+  }
+
+  lines() {
+    return Array.from(this._values, ([key, value]) => `${withLabels(this.name, key)} ${value}`);
+  }
+}
+
+export class Gauge extends Metric {
+  readonly type = 'gauge';
+  private _values = new Map<string, number>();
+
+  set(labels: MetricLabels | undefined, value: number) {
+    this._values.set(labelKey(labels), value);
+  }
+
+  lines() {
+    return Array.from(this._values, ([key, value]) => `${withLabels(this.name, key)} ${value}`);
+  }
+}
+
+export class Histogram extends Metric {
+  readonly type = 'histogram';
+  private _values = new Map<string, { counts: number[]; sum: number; count: number }>();
+
+  constructor(
+    name: string,
+    help: string,
+    public buckets: number[] = kDefaultBuckets,
+  ) {
+    super(name, help);
+  }
+
+  observe(labels: MetricLabels | undefined, value: number) {
+    const key = labelKey(labels);
+    const data = this._values.get(key) ?? { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this._values.set(key, data);
+    data.counts = data.counts.map((count, idx) =>
+      value <= this.buckets[idx]! ? count + 1 : count,
+    );
+    data.sum += value;
+    data.count += 1;
+  }
+
+  /**
+   * 开始计时，调用返回的函数时记录耗时（秒）
+   */
+  startTimer(labels?: MetricLabels) {
+    const start = performance.now();
+    return (extraLabels?: MetricLabels) => {
+      this.observe({ ...labels, ...extraLabels }, (performance.now() - start) / 1000);
+    };
+  }
+
+  lines() {
+    const lines: string[] = [];
+    for (const [key, data] of this._values) {
+      this.buckets.forEach((bucket, idx) => {
+        lines.push(
+          `${withLabels(`${this.name}_bucket`, key, `le="${bucket}"`)} ${data.counts[idx]}`,
+        );
+      });
+      lines.push(`${withLabels(`${this.name}_bucket`, key, 'le="+Inf"')} ${data.count}`);
+      lines.push(`${withLabels(`${this.name}_sum`, key)} ${data.sum}`);
+      lines.push(`${withLabels(`${this.name}_count`, key)} ${data.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 运行指标，可导出为 Prometheus 文本格式
+ *
+ * 同名指标只会创建一次，各模块可以直接获取后记录
+ */
+class _Metrics {
+  private _metrics = new Map<string, Metric>();
+
+  private _getOrCreate<T extends Metric>(name: string, create: () => T): T {
+    if (!this._metrics.has(name)) {
+      this._metrics.set(name, create());
+    }
+    return this._metrics.get(name) as T;
+  }
+
+  counter(name: string, help: string) {
+    return this._getOrCreate(name, () => new Counter(name, help));
+  }
+
+  gauge(name: string, help: string) {
+    return this._getOrCreate(name, () => new Gauge(name, help));
+  }
+
+  histogram(name: string, help: string, buckets?: number[]) {
+    return this._getOrCreate(name, () => new Histogram(name, help, buckets));
+  }
+
+  toPrometheus() {
+    const lines = Array.from(this._metrics.values()).flatMap((e) => e.toPrometheus());
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export const Metrics = new _Metrics();